@@ -0,0 +1,84 @@
+// Service worker do Glicemia Control.
+// Mantém o app disponível offline: a página principal usa "rede primeiro" (com o
+// cache como reserva) e os demais arquivos usam "cache primeiro, atualizando em
+// segundo plano". As chamadas ao Firebase não passam por aqui: o próprio Firestore
+// guarda os dados e a fila de gravações no IndexedDB.
+
+const CACHE_NAME = 'glicemia-control-v1';
+const APP_SHELL = ['./', './index.html', './manifest.json', './icon-192.png', './icon-512.png'];
+
+// Recursos externos carregados pelo index.html (Tailwind via CDN e fonte)
+const CACHEABLE_HOSTS = ['cdn.tailwindcss.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const isCacheable = (url) => url.origin === self.location.origin || CACHEABLE_HOSTS.includes(url.hostname);
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // Navegação: tenta a rede e, offline, devolve o index.html do cache
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put('./index.html', copy));
+          return response;
+        })
+        .catch(() => caches.match('./index.html'))
+    );
+    return;
+  }
+
+  if (!isCacheable(url)) return;
+
+  event.respondWith(
+    caches.open(CACHE_NAME).then((cache) => cache.match(request).then((cached) => {
+      const network = fetch(request)
+        .then((response) => {
+          // Respostas "opaque" (scripts de outros domínios sem CORS) têm status 0
+          if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+          return response;
+        })
+        .catch(() => cached);
+      return cached || network;
+    }))
+  );
+});
+
+// Toque em uma notificação de lembrete: se o app já estiver aberto, foca a janela e
+// avisa a página (que abre o formulário preenchido); senão, abre o app na URL do lembrete.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { url } = event.notification.data || {};
+  if (!url) return;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const client = windows.find((w) => new URL(w.url).origin === self.location.origin);
+      if (client) {
+        client.postMessage({ type: 'abrir-lembrete', url });
+        return client.focus();
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
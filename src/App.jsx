@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef, createContext, useContext } from 'react';
 import {
   initializeApp
 } from 'firebase/app';
@@ -7,20 +7,36 @@ import {
   createUserWithEmailAndPassword,
   signInWithEmailAndPassword,
   signOut,
-  onAuthStateChanged
+  onAuthStateChanged,
+  sendEmailVerification,
+  sendPasswordResetEmail,
+  EmailAuthProvider,
+  reauthenticateWithCredential,
+  updatePassword,
+  deleteUser,
+  setPersistence,
+  browserLocalPersistence,
+  browserSessionPersistence
 } from 'firebase/auth';
 import {
   getFirestore,
-  addDoc,
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
   collection,
+  doc,
+  getDocs,
   query,
-  where,
   onSnapshot,
   Timestamp,
   orderBy,
-  limit
+  serverTimestamp,
+  setDoc,
+  writeBatch
 } from 'firebase/firestore';
-import { LogIn, UserPlus, LogOut, Loader2, Save, X, Calendar, Clock, BarChart, AlertTriangle } from 'lucide-react';
+import { LogIn, UserPlus, LogOut, Loader2, Save, X, Calendar, Clock, BarChart, AlertTriangle, Pencil, Trash2, History, Settings, ArrowLeft, LineChart, Table, Download, Upload, FileText, Printer, WifiOff, CloudOff, CheckCircle2, Syringe, Plus, Calculator, Utensils, Bell, Share2, Users, UserCog, KeyRound, MailCheck, Lock, Lightbulb, HardDrive, UploadCloud, ListPlus } from 'lucide-react';
+import { createFirestoreStorage, createIndexedDbStorage } from './storage';
+import { t, LANGUAGES, getLocale, setLocale, formatDate, formatShortDate, formatTime, formatDateTime, formatNumber } from './i18n';
 
 // =========================================================================
 // 1. CONFIGURAÇÃO E HOOKS DO FIREBASE
@@ -41,6 +57,9 @@ const firebaseConfig = {
 // Usamos o Project ID como um ID de aplicativo robusto para o caminho do Firestore
 const appId = firebaseConfig.projectId || 'default-render-app-id';
 
+// Sem as variáveis do Firebase, o app funciona apenas no modo local (sem conta)
+const isFirebaseConfigured = Boolean(firebaseConfig.apiKey && firebaseConfig.projectId);
+
 // Hook para gerenciar o estado da autenticação
 const useFirebaseAuth = () => {
   const [user, setUser] = useState(null);
@@ -50,9 +69,11 @@ const useFirebaseAuth = () => {
   const [error, setError] = useState(null);
 
   useEffect(() => {
-    if (!firebaseConfig.apiKey || !firebaseConfig.projectId) {
-      console.error("Firebase config is incomplete. Please check environment variables.");
-      setError("Configuração do Firebase ausente ou incompleta. Verifique as variáveis de ambiente.");
+    // Versões anteriores guardavam a senha em texto puro para o "lembrar-me"
+    localStorage.removeItem('glico_auth_password');
+
+    if (!isFirebaseConfigured) {
+      console.warn("Firebase não configurado: usando apenas o modo local.");
       setLoading(false);
       return;
     }
@@ -60,7 +81,17 @@ const useFirebaseAuth = () => {
     try {
       const app = initializeApp(firebaseConfig);
       const authInstance = getAuth(app);
-      const dbInstance = getFirestore(app);
+      // Cache local persistente (IndexedDB): o app funciona offline e as gravações
+      // ficam na fila até a conexão voltar. Se o Firestore já tiver sido iniciado
+      // (ex.: efeito executado duas vezes pelo StrictMode), reutiliza a instância.
+      let dbInstance;
+      try {
+        dbInstance = initializeFirestore(app, {
+          localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+        });
+      } catch (e) {
+        dbInstance = getFirestore(app);
+      }
 
       setAuth(authInstance);
       setDb(dbInstance);
@@ -74,7 +105,7 @@ const useFirebaseAuth = () => {
       return () => unsubscribe();
     } catch (e) {
       console.error("Erro ao inicializar Firebase:", e);
-      setError("Erro ao inicializar Firebase. Detalhes no console.");
+      setError(t("Erro ao inicializar Firebase. Detalhes no console."));
       setLoading(false);
     }
   }, []);
@@ -85,9 +116,6 @@ const useFirebaseAuth = () => {
       try {
         await signOut(auth);
         setUser(null);
-        // Limpa o remember me
-        localStorage.removeItem('glico_auth_email');
-        localStorage.removeItem('glico_auth_password');
         console.log('Logout bem-sucedido.');
       } catch (error) {
         console.error("Erro ao fazer logout:", error);
@@ -98,10 +126,358 @@ const useFirebaseAuth = () => {
   return { user, loading, db, auth, handleSignOut, error };
 };
 
+// Faixas-alvo padrão (mg/dL), usadas enquanto o usuário não define as suas:
+// abaixo de "low" é hipoglicemia, entre "targetLow" e "targetHigh" é a meta
+// e acima de "high" é hiperglicemia.
+const DEFAULT_TARGETS = { low: 70, targetLow: 70, targetHigh: 130, high: 180 };
+
+// Parâmetros da calculadora de bolus: glicemia-alvo (mg/dL), duração de ação da insulina
+// rápida (horas) e faixas horárias com início (HH:MM), razão insulina/carboidrato
+// ("icr", gramas por unidade) e fator de correção ("fc", mg/dL por unidade).
+const DEFAULT_BOLUS = { alvo: 110, duracaoInsulina: 4, faixas: [] };
+
+// Unidades de glicemia aceitas. Os valores são sempre salvos em mg/dL
+// (unidade canônica) e convertidos apenas na entrada e na exibição.
+const GLICEMIA_UNITS = {
+  'mg/dL': { decimals: 0, step: '1', example: '120' },
+  'mmol/L': { decimals: 1, step: '0.1', example: '6.7' },
+};
+const DEFAULT_UNIT = 'mg/dL';
+const MGDL_PER_MMOLL = 18.0182;
+
+// Perfis da conta: o principal usa os dados do próprio usuário e cada dependente
+// (ex.: um filho) tem um documento em .../dependentes/{id}, que guarda o perfil dele
+// e serve de raiz para as suas coleções de registros.
+const getUserBasePath = (userId) => `artifacts/${appId}/users/${userId}`;
+const getDependentsPath = (userId) => `${getUserBasePath(userId)}/dependentes`;
+const getProfileBasePath = (userId, dependenteId) => (
+  dependenteId ? `${getDependentsPath(userId)}/${dependenteId}` : getUserBasePath(userId)
+);
+
+// Chave dos dados guardados por perfil neste aparelho (lembretes avisados, episódio de hipoglicemia)
+const getProfileScopeKey = (userId, dependenteId) => (dependenteId ? `${userId}_${dependenteId}` : userId);
+
+// O perfil principal fica em um documento ao lado da coleção glicemia_records
+const getProfileDocPath = (userId, dependenteId) => (
+  dependenteId ? getProfileBasePath(userId, dependenteId) : `${getUserBasePath(userId)}/profile/settings`
+);
+
+// Modo local: sem conta, os dados ficam no IndexedDB deste navegador, nos caminhos de um
+// usuário fictício e com a mesma estrutura da nuvem. Podem ser enviados depois para
+// uma conta (LocalHistoryUpload).
+const LOCAL_USER_ID = 'local';
+const LOCAL_MODE_STORAGE_KEY = 'glico_modo_local';
+
+// Conta que pode receber os registros locais: ao sair do modo local para entrar numa
+// conta, a marca fica "pendente" e a primeira conta que entrar fica com ela. Outras
+// contas que usem o mesmo navegador não recebem a oferta de envio.
+const LOCAL_DATA_OWNER_KEY = 'glico_dados_locais_dono';
+const LOCAL_DATA_PENDING_OWNER = 'pendente';
+
+const claimLocalData = (userId) => {
+  const owner = localStorage.getItem(LOCAL_DATA_OWNER_KEY);
+  if (owner === LOCAL_DATA_PENDING_OWNER) localStorage.setItem(LOCAL_DATA_OWNER_KEY, userId);
+  return owner === LOCAL_DATA_PENDING_OWNER || owner === userId;
+};
+
+let deviceStorage = null;
+const getDeviceStorage = () => {
+  deviceStorage = deviceStorage || createIndexedDbStorage();
+  return deviceStorage;
+};
+
+// Completa os dados salvos com os valores padrão. "targetsByContext" guarda
+// apenas os contextos de medição que têm limites próprios.
+const mergeProfile = (data = {}) => ({
+  ...data,
+  unidade: GLICEMIA_UNITS[data.unidade] ? data.unidade : DEFAULT_UNIT,
+  targets: { ...DEFAULT_TARGETS, ...(data.targets || {}) },
+  targetsByContext: data.targetsByContext || {},
+  insulinas: Array.isArray(data.insulinas) ? data.insulinas : [],
+  bolus: { ...DEFAULT_BOLUS, ...(data.bolus || {}) },
+  lembretes: Array.isArray(data.lembretes) ? data.lembretes : [],
+});
+
+// Faixas-alvo aplicáveis a um contexto de medição (ou as gerais, se não houver)
+const getTargetsFor = (profile, contexto) => profile.targetsByContext[contexto] || profile.targets;
+
+// Hook para ler (em tempo real) e salvar o perfil do usuário
+const useUserProfile = (storage, userId, dependenteId = null) => {
+  const [profile, setProfile] = useState(() => mergeProfile());
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!storage || !userId) return;
+
+    setLoading(true);
+    const unsubscribe = storage.watchDoc(getProfileDocPath(userId, dependenteId), (data) => {
+      setProfile(mergeProfile(data));
+      setLoading(false);
+    }, (error) => {
+      console.error("Erro ao carregar perfil:", error);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [storage, userId, dependenteId]);
+
+  // Os campos enviados substituem os salvos por inteiro (mergeFields),
+  // para que entradas removidas de um mapa não permaneçam no documento.
+  const saveProfile = useCallback(async (changes) => {
+    await storage.set(getProfileDocPath(userId, dependenteId), {
+      ...changes,
+      atualizadoEm: storage.now(),
+    }, { mergeFields: [...Object.keys(changes), 'atualizadoEm'] });
+  }, [storage, userId, dependenteId]);
+
+  return { profile, loading, saveProfile };
+};
+
+// Esquema dos registros (glicemia, doses e refeições), versão 2:
+//   timestamp      instante da medição (Timestamp do Firestore, em UTC)
+//   fusoHorario    fuso IANA do aparelho no momento da medição (ex.: 'America/Sao_Paulo')
+//   offsetMinutos  diferença para o UTC naquele instante, em minutos (ex.: -180)
+//   glicemia       número, sempre em mg/dL, indicado em "unidade"
+// A data e a hora exibidas vêm do instante somado ao deslocamento: uma leitura feita
+// em viagem continua mostrando o horário do relógio de lá.
+// A versão 1 guardava "data" (DD/MM/YYYY) e "hora" (HH:MM) como texto e, nos registros
+// mais antigos, "glicemia" como string. Esses documentos são convertidos na leitura
+// (normalizeRecord) e regravados uma única vez por useRecordMigration.
+const RECORD_SCHEMA_VERSION = 2;
+const RECORD_UNIT = 'mg/dL';
+
+const getDeviceTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+
+// Instante de uma data (YYYY-MM-DD) e hora (HH:MM) lidas no relógio de quem mediu.
+// Sem deslocamento conhecido, usa o fuso atual do aparelho.
+const parseLocalDateTime = (data, hora, offsetMinutos) => {
+  if (typeof offsetMinutos !== 'number') return new Date(`${data}T${hora}:00`);
+  return new Date(new Date(`${data}T${hora}:00Z`).getTime() - offsetMinutos * 60000);
+};
+
+// Campos de tempo e versão de um registro novo. "zone" mantém o fuso de um registro
+// já existente (edição); sem ele, vale o fuso do aparelho no instante informado.
+const getRecordTimeFields = (date, zone = null) => ({
+  timestamp: Timestamp.fromDate(date),
+  fusoHorario: zone ? zone.fusoHorario || null : getDeviceTimeZone(),
+  offsetMinutos: zone ? zone.offsetMinutos : -date.getTimezoneOffset(),
+  versao: RECORD_SCHEMA_VERSION,
+});
+
+// Converte um documento da versão 1 para o esquema atual, sem gravar nada
+const normalizeRecord = (reg) => {
+  if (reg.versao === RECORD_SCHEMA_VERSION) return reg;
+  const { data, hora, ...rest } = reg;
+  const hasClock = Boolean(data && hora);
+  const instant = reg.timestamp?.toDate ? reg.timestamp.toDate() : parseLocalDateTime(toInputDate(data), hora);
+  // "data" e "hora" eram o relógio de quem mediu: a diferença para o instante é o deslocamento
+  const offsetMinutos = hasClock
+    ? Math.round((new Date(`${toInputDate(data)}T${hora}:00Z`).getTime() - instant.getTime()) / 60000)
+    : -instant.getTimezoneOffset();
+  const normalized = {
+    ...rest,
+    timestamp: reg.timestamp?.toDate ? reg.timestamp : Timestamp.fromDate(instant),
+    // O fuso IANA só é conhecido quando coincide com o do aparelho que faz a conversão
+    fusoHorario: offsetMinutos === -instant.getTimezoneOffset() ? getDeviceTimeZone() : null,
+    offsetMinutos,
+    versao: RECORD_SCHEMA_VERSION,
+  };
+  if (reg.glicemia !== undefined && reg.glicemia !== null) {
+    normalized.glicemia = parseFloat(reg.glicemia);
+    normalized.unidade = RECORD_UNIT;
+  }
+  return normalized;
+};
+
+const MIGRATION_BATCH_SIZE = 400; // Abaixo do limite de 500 operações por lote do Firestore
+
+// Regrava no esquema atual os documentos antigos das coleções do perfil. Roda uma vez por
+// perfil: ao terminar, grava "versaoRegistros" no perfil. Quem só tem acesso de leitura
+// (enabled = false) não grava; para esses a conversão acontece apenas na leitura.
+const useRecordMigration = (storage, collectionPaths, profile, saveProfile, enabled) => {
+  const pathsKey = collectionPaths.join('|');
+  const migrated = profile.versaoRegistros >= RECORD_SCHEMA_VERSION;
+
+  useEffect(() => {
+    if (!storage || !enabled || migrated) return;
+
+    let cancelled = false;
+    const migrate = async () => {
+      for (const path of pathsKey.split('|')) {
+        const items = await storage.list(path);
+        const outdated = items.filter(item => item.data.versao !== RECORD_SCHEMA_VERSION);
+        for (let i = 0; i < outdated.length; i += MIGRATION_BATCH_SIZE) {
+          if (cancelled) return;
+          // set sem merge: remove os campos "data" e "hora" da versão 1
+          await storage.commit(outdated.slice(i, i + MIGRATION_BATCH_SIZE)
+            .map(item => ({ type: 'set', path: item.path, data: normalizeRecord(item.data) })));
+        }
+      }
+      if (!cancelled) await saveProfile({ versaoRegistros: RECORD_SCHEMA_VERSION });
+    };
+    migrate().catch(error => console.error("Erro ao migrar registros:", error));
+
+    return () => { cancelled = true; };
+  }, [storage, pathsKey, saveProfile, enabled, migrated]);
+};
+
+// Histórico de alterações das leituras. Na versão 1 ficava na subcoleção
+// glicemia_records/{id}/history; na 2 fica em glicemia_history, com o id da leitura em
+// "registroId", para sobreviver à exclusão dela. As entradas antigas são movidas uma
+// única vez por perfil, que ao terminar guarda "versaoHistorico". Entradas sob leituras
+// já excluídas não são alcançáveis pelo cliente (o Firestore não lista subcoleções
+// órfãs) e ficam de fora.
+const HISTORY_SCHEMA_VERSION = 2;
+
+const useHistoryMigration = (storage, recordsPath, historyPath, profile, saveProfile, enabled) => {
+  const migrated = profile.versaoHistorico >= HISTORY_SCHEMA_VERSION;
+
+  useEffect(() => {
+    if (!storage || !enabled || migrated) return;
+
+    let cancelled = false;
+    const migrate = async () => {
+      const records = await storage.list(recordsPath);
+      for (const record of records) {
+        if (cancelled) return;
+        const legacy = await storage.list(`${record.path}/history`);
+        // Cópia e exclusão no mesmo lote, mantendo o id: repetir após uma falha não duplica
+        for (let i = 0; i < legacy.length; i += MIGRATION_BATCH_SIZE / 2) {
+          await storage.commit(legacy.slice(i, i + MIGRATION_BATCH_SIZE / 2).flatMap(item => [
+            { type: 'set', path: `${historyPath}/${item.id}`, data: { registroId: record.id, ...item.data } },
+            { type: 'delete', path: item.path },
+          ]));
+        }
+      }
+      if (!cancelled) await saveProfile({ versaoHistorico: HISTORY_SCHEMA_VERSION });
+    };
+    migrate().catch(error => console.error("Erro ao migrar histórico:", error));
+
+    return () => { cancelled = true; };
+  }, [storage, recordsPath, historyPath, saveProfile, enabled, migrated]);
+};
+
+// Documento lido do armazenamento no formato usado pelas telas, já no esquema atual.
+// "pendente" indica gravação ainda não sincronizada.
+const toRecord = (item) => ({ id: item.id, ...normalizeRecord(item.data), pendente: item.pending });
+
+// Id de um documento a partir do caminho (o último segmento) e caminho da coleção dele
+const getPathId = (path) => path.slice(path.lastIndexOf('/') + 1);
+const getParentPath = (path) => path.slice(0, path.lastIndexOf('/'));
+
+// Intervalo de consulta entre o início do primeiro dia e o fim do último (AAAA-MM-DD)
+const getDayRange = (dataInicio, dataFim, order) => ({
+  from: new Date(`${dataInicio}T00:00:00`),
+  to: new Date(`${dataFim}T23:59:59`),
+  order,
+});
+
+// Hook para ouvir (em tempo real) os documentos de uma coleção em um intervalo de datas,
+// do mais novo para o mais antigo
+const useRecordsInRange = (storage, collectionPath, dataInicio, dataFim) => {
+  const [records, setRecords] = useState([]);
+
+  useEffect(() => {
+    if (!storage || !collectionPath) return;
+
+    const unsubscribe = storage.watch(collectionPath, getDayRange(dataInicio, dataFim, 'desc'), (items) => {
+      setRecords(items.map(toRecord));
+    }, (error) => {
+      console.error(`Erro ao ouvir ${collectionPath}:`, error);
+    });
+
+    return () => unsubscribe();
+  }, [storage, collectionPath, dataInicio, dataFim]);
+
+  return records;
+};
+
+// Hook para ouvir (em tempo real) todas as leituras de um período, para as estatísticas.
+// Diferente de useRecordsInRange, informa se a escuta do período atual já respondeu.
+const usePeriodRecords = (storage, collectionPath, dataInicio, dataFim) => {
+  const queryKey = `${collectionPath}|${dataInicio}|${dataFim}`;
+  const [result, setResult] = useState({ queryKey: null, records: [] });
+
+  useEffect(() => {
+    if (!storage || !collectionPath) return;
+
+    const unsubscribe = storage.watch(collectionPath, getDayRange(dataInicio, dataFim, 'desc'), (items) => {
+      setResult({ queryKey, records: items.map(toRecord) });
+    }, (error) => {
+      console.error(`Erro ao ouvir ${collectionPath}:`, error);
+      setResult({ queryKey, records: [] });
+    });
+
+    return () => unsubscribe();
+  }, [storage, collectionPath, dataInicio, dataFim, queryKey]);
+
+  // Ao trocar de período, os dados anteriores não valem enquanto a escuta não responde
+  return { records: result.queryKey === queryKey ? result.records : [], loading: result.queryKey !== queryKey };
+};
+
+// Hook para ouvir (em tempo real) as leituras de um período em páginas de "pageSize", do
+// mais novo para o mais antigo. O cursor é a última leitura das páginas já abertas: elas
+// são ouvidas até ele (endAt), e a página seguinte começa depois dele (startAfter), com
+// uma leitura a mais para saber se ainda há outras. Assim, incluir ou excluir leituras
+// nas páginas abertas não desloca nem repete itens entre as páginas.
+const getRecordCursor = (reg) => ({ value: getRecordDate(reg), id: reg.id });
+
+const usePagedRecords = (storage, collectionPath, dataInicio, dataFim, pageSize) => {
+  const queryKey = `${collectionPath}|${dataInicio}|${dataFim}`;
+  const [paging, setPaging] = useState({ queryKey: null, cursor: null });
+  const cursor = paging.queryKey === queryKey ? paging.cursor : null;
+  const [opened, setOpened] = useState({ queryKey: null, records: [] });
+  const [next, setNext] = useState({ queryKey: null, cursor: null, records: [] });
+
+  useEffect(() => {
+    if (!storage || !collectionPath || !cursor) return;
+
+    const range = { ...getDayRange(dataInicio, dataFim, 'desc'), endAt: cursor };
+    return storage.watch(collectionPath, range, (items) => {
+      setOpened({ queryKey, records: items.map(toRecord) });
+    }, (error) => {
+      console.error(`Erro ao ouvir ${collectionPath}:`, error);
+    });
+  }, [storage, collectionPath, dataInicio, dataFim, queryKey, cursor]);
+
+  useEffect(() => {
+    if (!storage || !collectionPath) return;
+
+    const range = { ...getDayRange(dataInicio, dataFim, 'desc'), limit: pageSize + 1, ...(cursor && { startAfter: cursor }) };
+    return storage.watch(collectionPath, range, (items) => {
+      setNext({ queryKey, cursor, records: items.map(toRecord) });
+    }, (error) => {
+      console.error(`Erro ao ouvir ${collectionPath}:`, error);
+      setNext({ queryKey, cursor, records: [] });
+    });
+  }, [storage, collectionPath, dataInicio, dataFim, queryKey, cursor, pageSize]);
+
+  const nextRecords = next.queryKey === queryKey ? next.records : [];
+  // Ao abrir uma página, as escutas antigas valem até as novas responderem (sem repetir
+  // ids), e só então se pode abrir outra
+  const seen = new Set();
+  const records = [...(cursor && opened.queryKey === queryKey ? opened.records : []), ...nextRecords.slice(0, pageSize)]
+    .filter(reg => !seen.has(reg.id) && seen.add(reg.id));
+  const hasMore = next.cursor === cursor && nextRecords.length > pageSize;
+
+  const lastRecord = records[records.length - 1];
+  const loadMore = useCallback(() => {
+    if (hasMore) setPaging({ queryKey, cursor: getRecordCursor(lastRecord) });
+  }, [hasMore, queryKey, lastRecord]);
+
+  return { records, loading: next.queryKey !== queryKey, hasMore, loadMore };
+};
+
 // =========================================================================
 // 2. COMPONENTES UTILITÁRIOS (Sem Alterações na Lógica)
 // =========================================================================
 
+// Idioma ativo. Trocar o idioma renderiza o app de novo, e os textos são traduzidos na
+// renderização; só o que fica guardado (useMemo, mensagens em estado) não se refaz
+// sozinho. Cálculos memorizados que produzem texto traduzido (erros de validação,
+// insights) leem o idioma deste contexto e o incluem nas dependências do useMemo.
+const LocaleContext = createContext(getLocale());
+
 const Card = ({ children, className = '' }) => (
   <div className={`bg-white p-6 rounded-xl shadow-lg ${className}`}>
     {children}
@@ -143,7 +519,7 @@ const Button = ({ children, onClick, disabled = false, icon: Icon, className = '
   );
 };
 
-const Input = ({ label, id, type = 'text', value, onChange, placeholder, required = false, className = '' }) => (
+const Input = ({ label, id, type = 'text', value, onChange, placeholder, required = false, className = '', step }) => (
   <div className={`space-y-1 ${className}`}>
     <label htmlFor={id} className="text-sm font-medium text-gray-700">
       {label} {required && <span className="text-red-500">*</span>}
@@ -151,6 +527,7 @@ const Input = ({ label, id, type = 'text', value, onChange, placeholder, require
     <input
       id={id}
       type={type}
+      step={step}
       value={value}
       onChange={onChange}
       placeholder={placeholder}
@@ -193,6 +570,29 @@ const TimeInput = ({ label, id, value, onChange, required = false, className = '
   </div>
 );
 
+// As listas de opções fixas guardam o rótulo em português; traduz na hora de exibir
+const translateOptions = (options) => options.map(opt => ({ ...opt, label: t(opt.label) }));
+
+const Select = ({ label, id, value, onChange, options, placeholder, required = false, className = '' }) => (
+  <div className={`space-y-1 ${className}`}>
+    <label htmlFor={id} className="text-sm font-medium text-gray-700">
+      {label} {required && <span className="text-red-500">*</span>}
+    </label>
+    <select
+      id={id}
+      value={value}
+      onChange={onChange}
+      required={required}
+      className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500 transition-colors"
+    >
+      {placeholder !== undefined && <option value="">{placeholder}</option>}
+      {options.map(opt => (
+        <option key={opt.value} value={opt.value}>{opt.label}</option>
+      ))}
+    </select>
+  </div>
+);
+
 const Message = ({ children, type = 'info' }) => {
   let style = "";
   switch (type) {
@@ -217,6 +617,68 @@ const Message = ({ children, type = 'info' }) => {
   );
 };
 
+// Hook que acompanha o estado da conexão do navegador
+const useOnlineStatus = () => {
+  const [online, setOnline] = useState(navigator.onLine);
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return online;
+};
+
+// Notificações do navegador. Quando há service worker, a notificação sai por ele
+// (exigência dos navegadores de celular); senão, pela API Notification da página.
+const requestNotificationPermission = () => (
+  'Notification' in window && Notification.permission === 'default'
+    ? Notification.requestPermission()
+    : Promise.resolve('Notification' in window ? Notification.permission : 'denied')
+);
+
+// Em "extra.data.url" vai o endereço a abrir quando a notificação é tocada.
+const showBrowserNotification = (title, body, extra = {}) => {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  const options = { body, icon: `${process.env.PUBLIC_URL}/icon-192.png`, ...extra };
+  const fallback = () => {
+    const notification = new Notification(title, options);
+    if (options.data && options.data.url) {
+      notification.onclick = () => {
+        window.focus();
+        window.location.assign(options.data.url);
+      };
+    }
+  };
+  if (!('serviceWorker' in navigator)) {
+    fallback();
+    return;
+  }
+  navigator.serviceWorker.getRegistration()
+    .then(registration => (registration ? registration.showNotification(title, options) : fallback()))
+    .catch(fallback);
+};
+
+const OfflineBanner = () => (
+  <div className="flex items-center space-x-2 p-3 bg-yellow-100 text-yellow-800 border border-yellow-300 rounded-lg text-sm no-print" role="status">
+    <WifiOff className="w-5 h-5 flex-shrink-0" />
+    <span>{t('Você está offline. Os registros ficam salvos neste aparelho e serão sincronizados quando a conexão voltar.')}</span>
+  </div>
+);
+
+const LocalModeBanner = () => (
+  <div className="flex items-center space-x-2 p-3 bg-gray-100 text-gray-700 border border-gray-300 rounded-lg text-sm no-print" role="status">
+    <HardDrive className="w-5 h-5 flex-shrink-0" />
+    <span>{t('Modo local: os registros ficam apenas neste navegador, sem conta. Exporte o CSV de vez em quando como cópia de segurança.')}</span>
+  </div>
+);
+
 // =========================================================================
 // 3. FUNÇÕES DE AUTENTICAÇÃO (LOGIN/REGISTRO)
 // =========================================================================
@@ -224,36 +686,50 @@ const Message = ({ children, type = 'info' }) => {
 const getErrorMessage = (errorCode) => {
   switch (errorCode) {
     case 'auth/invalid-email':
-      return 'O formato do e-mail é inválido.';
+      return t('O formato do e-mail é inválido.');
     case 'auth/user-disabled':
-      return 'Esta conta de usuário foi desativada.';
+      return t('Esta conta de usuário foi desativada.');
     case 'auth/user-not-found':
-      return 'Nenhum usuário encontrado com este e-mail.';
+      return t('Nenhum usuário encontrado com este e-mail.');
     case 'auth/wrong-password':
     case 'auth/invalid-credential':
-      return 'A senha está incorreta.';
+      return t('A senha está incorreta.');
     case 'auth/email-already-in-use':
-      return 'Este e-mail já está em uso.';
+      return t('Este e-mail já está em uso.');
     case 'auth/weak-password':
-      return 'A senha deve ter pelo menos 6 caracteres.';
+      return t('A senha deve ter pelo menos 6 caracteres.');
+    case 'auth/missing-email':
+      return t('Informe o e-mail.');
+    case 'auth/missing-password':
+      return t('Informe a senha.');
+    case 'auth/too-many-requests':
+      return t('Muitas tentativas seguidas. Aguarde alguns minutos e tente novamente.');
+    case 'auth/network-request-failed':
+      return t('Sem conexão com a internet. Verifique sua rede e tente novamente.');
+    case 'auth/requires-recent-login':
+      return t('Por segurança, entre novamente e repita a operação.');
+    case 'auth/user-mismatch':
+      return t('A senha informada não pertence à conta conectada.');
+    case 'auth/expired-action-code':
+      return t('O link expirou. Solicite um novo.');
+    case 'auth/invalid-action-code':
+      return t('O link é inválido ou já foi usado.');
     default:
-      return 'Ocorreu um erro desconhecido. Por favor, tente novamente.';
+      return t('Ocorreu um erro desconhecido. Por favor, tente novamente.');
   }
 };
 
-const Login = ({ auth, setView }) => {
+const Login = ({ auth, setView, onUseLocalMode }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [rememberMe, setRememberMe] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
-  // Carregar credenciais salvas (se houver)
+  // Carregar o e-mail salvo (se houver). A senha nunca é guardada.
   useEffect(() => {
     const savedEmail = localStorage.getItem('glico_auth_email');
-    const savedPassword = localStorage.getItem('glico_auth_password');
     if (savedEmail) setEmail(savedEmail);
-    if (savedPassword) setPassword(savedPassword);
     setRememberMe(!!savedEmail);
   }, []);
 
@@ -264,13 +740,13 @@ const Login = ({ auth, setView }) => {
 
     if (rememberMe) {
       localStorage.setItem('glico_auth_email', email);
-      localStorage.setItem('glico_auth_password', password);
     } else {
       localStorage.removeItem('glico_auth_email');
-      localStorage.removeItem('glico_auth_password');
     }
 
     try {
+      // "Manter conectado": sessão salva no aparelho; senão, termina ao fechar a aba
+      await setPersistence(auth, rememberMe ? browserLocalPersistence : browserSessionPersistence);
       await signInWithEmailAndPassword(auth, email, password);
     } catch (err) {
       setError(getErrorMessage(err.code));
@@ -282,25 +758,25 @@ const Login = ({ auth, setView }) => {
 
   return (
     <Card className="max-w-md w-full mx-auto">
-      <h2 className="text-2xl font-bold text-gray-800 mb-6 text-center">Acessar Glicemia Control</h2>
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 text-center">{t('Acessar Glicemia Control')}</h2>
       <form onSubmit={handleLogin} className="space-y-4">
         <Input
-          label="E-mail (Nome de Usuário)"
+          label={t('E-mail (Nome de Usuário)')}
           id="login-email"
           type="email"
           value={email}
           onChange={(e) => setEmail(e.target.value)}
           required
-          placeholder="seu@email.com"
+          placeholder={t('seu@email.com')}
         />
         <Input
-          label="Senha"
+          label={t('Senha')}
           id="login-password"
           type="password"
           value={password}
           onChange={(e) => setPassword(e.target.value)}
           required
-          placeholder="Sua senha secreta"
+          placeholder={t('Sua senha secreta')}
         />
 
         <div className="flex items-center justify-between">
@@ -313,7 +789,7 @@ const Login = ({ auth, setView }) => {
               className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
             />
             <label htmlFor="remember-me" className="text-sm text-gray-700">
-              Salvar usuário e senha neste dispositivo
+              {t('Manter conectado e lembrar o e-mail neste dispositivo')}
             </label>
           </div>
         </div>
@@ -321,13 +797,19 @@ const Login = ({ auth, setView }) => {
         {error && <Message type="error">{error}</Message>}
 
         <Button type="submit" disabled={loading} icon={loading ? Loader2 : LogIn} className="w-full">
-          {loading ? 'Entrando...' : 'Entrar'}
+          {loading ? t('Entrando...') : t('Entrar')}
+        </Button>
+        <Button onClick={() => setView('reset')} variant="link" className="w-full text-sm">
+          {t('Esqueci minha senha')}
         </Button>
       </form>
       <div className="mt-6 pt-4 border-t text-center">
-        <p className="text-sm text-gray-600 mb-2">Não tem uma conta?</p>
+        <p className="text-sm text-gray-600 mb-2">{t('Não tem uma conta?')}</p>
         <Button onClick={() => setView('register')} variant="secondary" icon={UserPlus} className="w-full">
-          Cadastrar Novo Usuário
+          {t('Cadastrar Novo Usuário')}
+        </Button>
+        <Button onClick={onUseLocalMode} variant="link" icon={HardDrive} className="w-full text-sm mt-2">
+          {t('Usar sem conta (dados só neste navegador)')}
         </Button>
       </div>
     </Card>
@@ -352,8 +834,10 @@ const Register = ({ auth, setView }) => {
     // O Firebase Auth usa o e-mail como identificador único.
 
     try {
-      await createUserWithEmailAndPassword(auth, email, password);
-      setSuccess('Cadastro realizado com sucesso! Você será logado automaticamente.');
+      const credential = await createUserWithEmailAndPassword(auth, email, password);
+      // A confirmação do e-mail é necessária para ver registros compartilhados
+      sendEmailVerification(credential.user).catch((err) => console.error("Erro ao enviar confirmação de e-mail:", err));
+      setSuccess(t('Cadastro realizado com sucesso! Enviamos um link de confirmação para o seu e-mail. Você será logado automaticamente.'));
       // O onAuthStateChanged do hook pai cuidará do login.
     } catch (err) {
       setError(getErrorMessage(err.code));
@@ -365,332 +849,5393 @@ const Register = ({ auth, setView }) => {
 
   return (
     <Card className="max-w-md w-full mx-auto">
-      <h2 className="text-2xl font-bold text-gray-800 mb-6 text-center">Cadastro de Novo Usuário</h2>
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 text-center">{t('Cadastro de Novo Usuário')}</h2>
       <form onSubmit={handleRegister} className="space-y-4">
         <Input
-          label="E-mail"
+          label={t('E-mail')}
           id="register-email"
           type="email"
           value={email}
           onChange={(e) => setEmail(e.target.value)}
           required
-          placeholder="seu@email.com (Será seu login)"
+          placeholder={t('seu@email.com (Será seu login)')}
         />
         <Input
-          label="Senha (Mínimo 6 caracteres)"
+          label={t('Senha (Mínimo 6 caracteres)')}
           id="register-password"
           type="password"
           value={password}
           onChange={(e) => setPassword(e.target.value)}
           required
-          placeholder="Sua senha"
+          placeholder={t('Sua senha')}
         />
 
         {error && <Message type="error">{error}</Message>}
         {success && <Message type="success">{success}</Message>}
 
         <Button type="submit" disabled={loading} icon={loading ? Loader2 : UserPlus} className="w-full">
-          {loading ? 'Cadastrando...' : 'Cadastrar e Entrar'}
+          {loading ? t('Cadastrando...') : t('Cadastrar e Entrar')}
         </Button>
       </form>
       <div className="mt-6 pt-4 border-t text-center">
         <Button onClick={() => setView('login')} variant="link">
           <LogIn className="w-4 h-4 mr-1" />
-          Voltar para o Login
+          {t('Voltar para o Login')}
         </Button>
       </div>
     </Card>
   );
 };
 
-// =========================================================================
-// 4. FUNÇÕES DO APLICATIVO PRINCIPAL (TRACKER)
-// =========================================================================
+const PasswordReset = ({ auth, setView }) => {
+  const [email, setEmail] = useState(localStorage.getItem('glico_auth_email') || '');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
 
-const GlicemiaTracker = ({ db, userId, handleSignOut }) => {
-  // Caminho da coleção adaptado para usar o appId (que é o project ID)
-  const GLICEMIA_COLLECTION = `artifacts/${appId}/users/${userId}/glicemia_records`;
+  const handleReset = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+    setLoading(true);
 
-  // Formulário
-  const today = new Date().toISOString().split('T')[0];
-  const currentTime = new Date().toTimeString().split(' ')[0].substring(0, 5);
-  const [glicemia, setGlicemia] = useState('');
-  const [data, setData] = useState(today);
-  const [hora, setHora] = useState(currentTime);
-  const [loadingSave, setLoadingSave] = useState(false);
-  const [saveMessage, setSaveMessage] = useState({ type: null, text: '' });
+    try {
+      await sendPasswordResetEmail(auth, email.trim());
+      // Mensagem neutra: não revela se o e-mail tem conta
+      setSuccess(t('Se houver uma conta com este e-mail, você receberá um link para criar uma nova senha.'));
+    } catch (err) {
+      setError(getErrorMessage(err.code));
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-  // Listagem de Registros
-  const [registros, setRegistros] = useState([]);
-  const [loadingRecords, setLoadingRecords] = useState(true);
-  const [dataInicio, setDataInicio] = useState(today);
-  const [dataFim, setDataFim] = useState(today);
+  return (
+    <Card className="max-w-md w-full mx-auto">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 text-center">{t('Recuperar Senha')}</h2>
+      <form onSubmit={handleReset} className="space-y-4">
+        <Input
+          label={t('E-mail')}
+          id="reset-email"
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+          placeholder={t('seu@email.com')}
+        />
 
-  // Função para salvar novo registro
-  const handleSave = async (e) => {
-    e.preventDefault();
-    setLoadingSave(true);
-    setSaveMessage({ type: null, text: '' });
+        {error && <Message type="error">{error}</Message>}
+        {success && <Message type="success">{success}</Message>}
 
-    const glicemiaValue = parseFloat(glicemia);
-    if (isNaN(glicemiaValue) || glicemiaValue <= 0) {
-      setSaveMessage({ type: 'error', text: 'Por favor, insira um valor de glicemia válido.' });
-      setLoadingSave(false);
-      return;
-    }
+        <Button type="submit" disabled={loading} icon={loading ? Loader2 : KeyRound} className="w-full">
+          {loading ? t('Enviando...') : t('Enviar Link de Recuperação')}
+        </Button>
+      </form>
+      <div className="mt-6 pt-4 border-t text-center">
+        <Button onClick={() => setView('login')} variant="link">
+          <LogIn className="w-4 h-4 mr-1" />
+          {t('Voltar para o Login')}
+        </Button>
+      </div>
+    </Card>
+  );
+};
 
-    try {
-      // Cria um objeto Date para o timestamp (YYYY-MM-DDTHH:MM:SS.sssZ)
-      const dateString = `${data}T${hora}:00`;
-      const recordDate = new Date(dateString);
-
-      if (isNaN(recordDate.getTime())) {
-         setSaveMessage({ type: 'error', text: 'Data ou hora inválida.' });
-         setLoadingSave(false);
-         return;
-      }
+// Aviso de e-mail não confirmado, com reenvio do link. Depois da confirmação, o token
+// é renovado para que as regras do Firestore já vejam o e-mail como confirmado.
+const EmailVerificationNotice = ({ user, onVerified, children }) => {
+  const [message, setMessage] = useState({ type: null, text: '' });
 
-      await addDoc(collection(db, GLICEMIA_COLLECTION), {
-        glicemia: glicemia, // Salva como string
-        data: data.split('-').reverse().join('/'), // Salva como DD/MM/YYYY
-        hora: hora, // Salva como HH:MM
-        timestamp: Timestamp.fromDate(recordDate),
+  const handleSend = () => {
+    sendEmailVerification(user)
+      .then(() => setMessage({ type: 'success', text: t('Enviamos um link de confirmação para {email}.', { email: user.email }) }))
+      .catch((error) => {
+        console.error("Erro ao enviar confirmação de e-mail:", error);
+        setMessage({ type: 'error', text: getErrorMessage(error.code) });
       });
+  };
 
-      setSaveMessage({ type: 'success', text: `Registro de ${glicemia} mg/dL salvo com sucesso!` });
-      setGlicemia(''); // Limpa o campo após salvar
-    } catch (error) {
-      console.error("Erro ao salvar registro:", error);
-      setSaveMessage({ type: 'error', text: 'Erro ao salvar: ' + error.message });
-    } finally {
-      setLoadingSave(false);
-      setTimeout(() => setSaveMessage({ type: null, text: '' }), 4000);
-    }
+  const handleCheck = () => {
+    user.reload()
+      .then(() => user.getIdToken(true))
+      .then(() => {
+        if (user.emailVerified) onVerified();
+        else setMessage({ type: 'warning', text: t('O e-mail ainda não foi confirmado.') });
+      })
+      .catch((error) => {
+        console.error("Erro ao verificar e-mail:", error);
+        setMessage({ type: 'error', text: getErrorMessage(error.code) });
+      });
   };
 
-  // Função para carregar registros (usa onSnapshot para real-time)
-  useEffect(() => {
-    if (!db || !userId) return;
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-700 flex items-start space-x-2">
+        <MailCheck className="w-5 h-5 flex-shrink-0 text-yellow-600" />
+        <span>{children}</span>
+      </p>
+      <div className="flex space-x-3">
+        <Button onClick={handleSend} variant="secondary" className="flex-1 text-sm">{t('Enviar link de confirmação')}</Button>
+        <Button onClick={handleCheck} className="flex-1 text-sm">{t('Já confirmei')}</Button>
+      </div>
+      {message.text && <Message type={message.type}>{message.text}</Message>}
+    </div>
+  );
+};
 
-    // Converte DD/MM/YYYY para Date para filtragem
-    const startOfDay = new Date(`${dataInicio}T00:00:00`);
-    const endOfDay = new Date(`${dataFim}T23:59:59`);
+// Bloqueio do app (opcional, por aparelho): PIN e/ou tempo de inatividade. Enquanto
+// bloqueado, os dados de saúde ficam ocultos. O PIN é guardado só como hash PBKDF2
+// com sal aleatório, em glico_bloqueio_{uid}: { pinHash, salt, timeoutMinutos }.
+const LOCK_SETTINGS_EVENT = 'glico-bloqueio-alterado';
+const LOCK_TIMEOUT_OPTIONS = [
+  { value: '0', label: 'Desativado' },
+  { value: '1', label: '1 minuto' },
+  { value: '5', label: '5 minutos' },
+  { value: '15', label: '15 minutos' },
+  { value: '30', label: '30 minutos' },
+];
+const LOCK_CHECK_INTERVAL_MS = 15 * 1000;
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'touchstart', 'scroll'];
 
-    const q = query(
-      collection(db, GLICEMIA_COLLECTION),
-      where('timestamp', '>=', Timestamp.fromDate(startOfDay)),
-      where('timestamp', '<=', Timestamp.fromDate(endOfDay)),
-      orderBy('timestamp', 'desc'), // Ordena do mais novo para o mais antigo
-      limit(100) // Limita para evitar grandes cargas de dados
-    );
+const getLockStorageKey = (userId) => `glico_bloqueio_${userId}`;
 
-    setLoadingRecords(true);
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const fetchedRecords = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-      }));
-      setRegistros(fetchedRecords);
-      setLoadingRecords(false);
-    }, (error) => {
-      console.error("Erro ao ouvir registros:", error);
-      setLoadingRecords(false);
-      // Você pode adicionar um alerta aqui
-    });
+const loadLockSettings = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(getLockStorageKey(userId))) || {};
+  } catch (e) {
+    return {};
+  }
+};
 
-    // Limpa o listener ao desmontar ou quando as dependências mudam
-    return () => unsubscribe();
-  }, [db, userId, dataInicio, dataFim]);
+const saveLockSettings = (userId, settings) => {
+  localStorage.setItem(getLockStorageKey(userId), JSON.stringify(settings));
+  window.dispatchEvent(new Event(LOCK_SETTINGS_EVENT));
+};
 
-  // Cálculo de estatísticas e cores
-  const stats = useMemo(() => {
-    if (registros.length === 0) return { avg: 0, count: 0, min: 0, max: 0, status: 'info' };
-    const values = registros.map(r => parseFloat(r.glicemia)).filter(v => !isNaN(v));
-    const sum = values.reduce((acc, v) => acc + v, 0);
-    const avg = sum / values.length;
-    const min = Math.min(...values);
-    const max = Math.max(...values);
-    const count = values.length;
-
-    let status = 'normal';
-    let color = 'bg-green-500';
-    if (avg < 70) {
-      status = 'hipoglicemia';
-      color = 'bg-blue-500';
-    } else if (avg > 180) {
-      status = 'hiperglicemia';
-      color = 'bg-red-500';
-    } else if (avg >= 70 && avg <= 130) {
-      status = 'ótimo';
-      color = 'bg-lime-600';
-    } else if (avg > 130 && avg <= 180) {
-      status = 'moderado';
-      color = 'bg-yellow-500';
-    }
+const toHex = (buffer) => Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
 
-    return {
-      avg: avg.toFixed(1),
-      count,
-      min: min.toFixed(0),
-      max: max.toFixed(0),
-      status,
-      color
-    };
-  }, [registros]);
+const hashPin = async (pin, salt) => {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: new TextEncoder().encode(salt), iterations: 100000, hash: 'SHA-256' },
+    key,
+    256
+  );
+  return toHex(bits);
+};
 
-  // Função para determinar o estilo do valor
-  const getGlicemiaStyle = (value) => {
-    const val = parseFloat(value);
-    if (val < 70) return 'text-blue-600 font-bold bg-blue-50 border-blue-200';
-    if (val <= 130) return 'text-green-600 font-bold bg-green-50 border-green-200';
-    if (val <= 180) return 'text-yellow-700 font-bold bg-yellow-50 border-yellow-200';
-    return 'text-red-600 font-bold bg-red-50 border-red-200';
-  };
+const createPinSettings = async (pin) => {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  return { pinHash: await hashPin(pin, salt), salt };
+};
 
+// Tentativas erradas de PIN, em glico_pin_tentativas_{uid}: { falhas, esperaAte }. A
+// partir da terceira falha cada nova tentativa espera mais (30 s, 1 min, 2 min) e, no
+// limite, o PIN deixa de valer até o desbloqueio com a senha da conta. Fica no
+// localStorage para que recarregar a página não zere a contagem.
+const PIN_FREE_ATTEMPTS = 3;
+const PIN_MAX_ATTEMPTS = 6;
+const PIN_BASE_DELAY_MS = 30 * 1000;
 
-  return (
-    <div className="flex flex-col space-y-6">
-      {/* HEADER */}
-      <header className="flex justify-between items-center bg-indigo-600 text-white p-4 rounded-b-xl shadow-lg no-print">
-        <h1 className="text-xl font-bold">Glicemia Control</h1>
-        <div className="flex items-center space-x-3">
-          <span className="text-sm font-medium hidden sm:inline-block truncate">Usuário ID: {userId.substring(0, 8)}...</span>
-          <Button onClick={handleSignOut} variant="danger" icon={LogOut} className="text-xs">
-            Sair
-          </Button>
-        </div>
-      </header>
+const getPinAttemptsKey = (userId) => `glico_pin_tentativas_${userId}`;
 
-      {/* 1. REGISTRO DE GLICEMIA */}
-      <Card>
-        <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
-          <Save className="w-5 h-5 text-indigo-600" />
-          <span>Novo Registro</span>
-        </h2>
-        <form onSubmit={handleSave} className="space-y-4">
-          <Input
-            label="Valor da Glicemia (mg/dL)"
-            id="glicemia"
-            type="number"
-            value={glicemia}
-            onChange={(e) => setGlicemia(e.target.value)}
-            placeholder="Ex: 120"
-            required
-            className="col-span-full"
-          />
-          <div className="grid grid-cols-2 gap-4">
-            <DateInput
-              label="Data"
-              id="data"
-              value={data}
-              onChange={(e) => setData(e.target.value)}
-              required
-            />
-            <TimeInput
-              label="Hora"
-              id="hora"
-              value={hora}
-              onChange={(e) => setHora(e.target.value)}
-              required
-            />
-          </div>
+const loadPinAttempts = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(getPinAttemptsKey(userId))) || { falhas: 0, esperaAte: 0 };
+  } catch (e) {
+    return { falhas: 0, esperaAte: 0 };
+  }
+};
 
-          {saveMessage.text && (
-            <Message type={saveMessage.type}>
-              {saveMessage.text}
-            </Message>
-          )}
+const recordPinFailure = (userId) => {
+  const falhas = loadPinAttempts(userId).falhas + 1;
+  const esperaAte = falhas >= PIN_FREE_ATTEMPTS && falhas < PIN_MAX_ATTEMPTS
+    ? Date.now() + PIN_BASE_DELAY_MS * 2 ** (falhas - PIN_FREE_ATTEMPTS)
+    : 0;
+  const attempts = { falhas, esperaAte };
+  localStorage.setItem(getPinAttemptsKey(userId), JSON.stringify(attempts));
+  return attempts;
+};
 
-          <Button type="submit" disabled={loadingSave} icon={loadingSave ? Loader2 : Save} className="w-full mt-4">
-            {loadingSave ? 'Salvando...' : 'Salvar Registro'}
-          </Button>
-        </form>
-      </Card>
+const clearPinAttempts = (userId) => localStorage.removeItem(getPinAttemptsKey(userId));
 
-      {/* 2. FILTRO E RESULTADOS */}
-      <Card>
-        <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
-          <BarChart className="w-5 h-5 text-indigo-600" />
-          <span>Histórico e Estatísticas</span>
-        </h2>
+// Última atividade do usuário, em glico_atividade_{uid}, para que recarregar ou reabrir a
+// aba depois do tempo de inatividade também abra o app bloqueado. Sair da conta apaga o
+// registro, para que o próximo login não caia direto no bloqueio.
+const getLastActivityKey = (userId) => `glico_atividade_${userId}`;
+
+const loadLastActivity = (userId) => Number(localStorage.getItem(getLastActivityKey(userId))) || 0;
+
+const saveLastActivity = (userId, time) => localStorage.setItem(getLastActivityKey(userId), String(time));
+
+const isIdleExpired = (userId, timeoutMinutos) => {
+  const lastActivity = loadLastActivity(userId);
+  return !!timeoutMinutos && lastActivity > 0 && Date.now() - lastActivity >= timeoutMinutos * 60 * 1000;
+};
+
+// Estado do bloqueio: começa bloqueado quando há PIN ou quando a última atividade salva
+// passou do tempo de inatividade, e bloqueia de novo após esse tempo (também quando a aba
+// fica em segundo plano).
+const useAppLock = (userId) => {
+  // Configuração lida do localStorage; até o efeito abaixo guardá-la, é lida direto
+  // (assim o app já abre bloqueado no primeiro render do usuário)
+  const [stored, setStored] = useState({ userId: null, settings: {} });
+  const settings = stored.userId === userId ? stored.settings : (userId ? loadLockSettings(userId) : {});
+  // Usuário já desbloqueado nesta abertura do app (com PIN, o app abre bloqueado)
+  const [unlockedUserId, setUnlockedUserId] = useState(null);
+  const [idleLocked, setIdleLocked] = useState(false);
+  // Usuário cuja última atividade salva já foi conferida ao abrir o app; até lá, é lida direto
+  const [checkedUserId, setCheckedUserId] = useState(null);
+
+  // Alterações feitas na página da conta: quem as fez já está com o app desbloqueado
+  useEffect(() => {
+    if (!userId) return;
+    setStored({ userId, settings: loadLockSettings(userId) });
+    const handleChange = () => {
+      setStored({ userId, settings: loadLockSettings(userId) });
+      setUnlockedUserId(userId);
+    };
+    window.addEventListener(LOCK_SETTINGS_EVENT, handleChange);
+    return () => window.removeEventListener(LOCK_SETTINGS_EVENT, handleChange);
+  }, [userId]);
+
+  const timeoutMinutos = settings.timeoutMinutos || 0;
+  const expiredOnOpen = !!userId && checkedUserId !== userId && isIdleExpired(userId, timeoutMinutos);
+
+  useEffect(() => {
+    if (!userId) return;
+    if (isIdleExpired(userId, loadLockSettings(userId).timeoutMinutos)) setIdleLocked(true);
+    setCheckedUserId(userId);
+    return () => localStorage.removeItem(getLastActivityKey(userId));
+  }, [userId]);
+
+  const locked = idleLocked || expiredOnOpen || (!!settings.pinHash && unlockedUserId !== userId);
+
+  useEffect(() => {
+    if (!userId || !timeoutMinutos || locked) return;
+
+    // A atividade fica em memória e vai para o localStorage a cada verificação e quando a
+    // aba sai de vista; a atividade salva por outra aba do mesmo usuário também conta
+    let lastActivity = Date.now();
+    let savedActivity = lastActivity;
+    saveLastActivity(userId, lastActivity);
+    const markActivity = () => { lastActivity = Date.now(); };
+    const persist = () => {
+      if (lastActivity === savedActivity) return;
+      savedActivity = lastActivity;
+      saveLastActivity(userId, Math.max(lastActivity, loadLastActivity(userId)));
+    };
+    const check = () => {
+      persist();
+      if (Date.now() - Math.max(lastActivity, loadLastActivity(userId)) >= timeoutMinutos * 60 * 1000) setIdleLocked(true);
+    };
+    const handleVisibility = () => (document.visibilityState === 'visible' ? check() : persist());
+
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, markActivity, { passive: true }));
+    document.addEventListener('visibilitychange', handleVisibility);
+    const interval = setInterval(check, LOCK_CHECK_INTERVAL_MS);
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, markActivity));
+      document.removeEventListener('visibilitychange', handleVisibility);
+      clearInterval(interval);
+    };
+  }, [userId, timeoutMinutos, locked]);
+
+  const unlock = () => {
+    setUnlockedUserId(userId);
+    setIdleLocked(false);
+  };
+
+  return { locked: !!userId && locked, settings, unlock };
+};
+
+// Tela de bloqueio: PIN (se houver) ou a senha da conta
+const AppLockScreen = ({ auth, settings, onUnlock, handleSignOut }) => {
+  const userId = auth.currentUser.uid;
+  const [attempts, setAttempts] = useState(() => loadPinAttempts(userId));
+  const pinBlocked = attempts.falhas >= PIN_MAX_ATTEMPTS;
+  const [usePassword, setUsePassword] = useState(!settings.pinHash || pinBlocked);
+  const [value, setValue] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(pinBlocked ? t('Muitas tentativas incorretas. Desbloqueie com a senha da conta.') : '');
+
+  // Contagem regressiva da espera entre tentativas de PIN
+  const [now, setNow] = useState(() => Date.now());
+  const waitSeconds = usePassword ? 0 : Math.ceil(Math.max(0, attempts.esperaAte - now) / 1000);
+  useEffect(() => {
+    if (attempts.esperaAte <= now) return;
+    const timeout = setTimeout(() => setNow(Date.now()), 1000);
+    return () => clearTimeout(timeout);
+  }, [attempts.esperaAte, now]);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    if (waitSeconds > 0) return;
+    setError('');
+    setLoading(true);
+    try {
+      if (usePassword) {
+        const user = auth.currentUser;
+        await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, value));
+        clearPinAttempts(userId);
+        onUnlock();
+      } else if (await hashPin(value, settings.salt) === settings.pinHash) {
+        clearPinAttempts(userId);
+        onUnlock();
+      } else {
+        const next = recordPinFailure(userId);
+        setAttempts(next);
+        setNow(Date.now());
+        setValue('');
+        if (next.falhas >= PIN_MAX_ATTEMPTS) {
+          setUsePassword(true);
+          setError(t('Muitas tentativas incorretas. Desbloqueie com a senha da conta.'));
+        } else {
+          setError(t('PIN incorreto. Restam {n} tentativa(s) antes de exigir a senha da conta.', { n: PIN_MAX_ATTEMPTS - next.falhas }));
+        }
+      }
+    } catch (err) {
+      setError(getErrorMessage(err.code));
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card className="max-w-md w-full mx-auto mt-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-2 text-center flex items-center justify-center space-x-2">
+        <Lock className="w-6 h-6 text-indigo-600" />
+        <span>{t('App bloqueado')}</span>
+      </h2>
+      <p className="text-sm text-gray-600 text-center mb-6">{auth.currentUser && auth.currentUser.email}</p>
+      <form onSubmit={handleUnlock} className="space-y-4">
+        <Input
+          label={usePassword ? t('Senha da conta') : t('PIN')}
+          id="unlock-value"
+          type="password"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          required
+        />
+        {error && <Message type="error">{error}</Message>}
+        {waitSeconds > 0 && <Message type="warning">{t('Aguarde {n} s para tentar de novo.', { n: waitSeconds })}</Message>}
+        <Button type="submit" disabled={loading || waitSeconds > 0} icon={loading ? Loader2 : LogIn} className="w-full">
+          {t('Desbloquear')}
+        </Button>
+      </form>
+      <div className="mt-6 pt-4 border-t flex justify-between">
+        {settings.pinHash && !pinBlocked && (
+          <Button onClick={() => { setUsePassword(!usePassword); setValue(''); setError(''); }} variant="link" className="text-sm">
+            {usePassword ? t('Usar PIN') : t('Esqueci o PIN')}
+          </Button>
+        )}
+        <Button onClick={handleSignOut} variant="link" icon={LogOut} className="text-sm">
+          {t('Sair')}
+        </Button>
+      </div>
+    </Card>
+  );
+};
+
+// Configuração do bloqueio na página da conta (vale só para este aparelho)
+const AppLockSettings = ({ userId }) => {
+  const [settings, setSettings] = useState(() => loadLockSettings(userId));
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [message, setMessage] = useState({ type: null, text: '' });
+
+  const update = (next) => {
+    saveLockSettings(userId, next);
+    setSettings(next);
+  };
+
+  const handleSavePin = async (e) => {
+    e.preventDefault();
+    setMessage({ type: null, text: '' });
+    if (!/^\d{4,8}$/.test(pin)) {
+      setMessage({ type: 'error', text: t('O PIN deve ter de 4 a 8 dígitos.') });
+      return;
+    }
+    if (pin !== confirmPin) {
+      setMessage({ type: 'error', text: t('A confirmação não confere com o PIN.') });
+      return;
+    }
+    update({ ...settings, ...(await createPinSettings(pin)) });
+    clearPinAttempts(userId);
+    setPin('');
+    setConfirmPin('');
+    setMessage({ type: 'success', text: t('PIN definido. O app pedirá o PIN ao ser aberto.') });
+  };
+
+  const handleRemovePin = () => {
+    const { pinHash, salt, ...others } = settings;
+    update(others);
+    setMessage({ type: 'success', text: t('PIN removido.') });
+  };
+
+  return (
+    <form onSubmit={handleSavePin} className="space-y-4 pt-4 mt-4 border-t">
+      <h3 className="font-semibold text-gray-700 flex items-center space-x-2">
+        <Lock className="w-4 h-4 text-indigo-600" />
+        <span>{t('Bloqueio do app neste aparelho')}</span>
+      </h3>
+      <Select
+        label={t('Bloquear após inatividade')}
+        id="lock-timeout"
+        value={String(settings.timeoutMinutos || 0)}
+        onChange={(e) => update({ ...settings, timeoutMinutos: parseInt(e.target.value, 10) })}
+        options={translateOptions(LOCK_TIMEOUT_OPTIONS)}
+      />
+      <div className="grid grid-cols-2 gap-4">
+        <Input label={settings.pinHash ? t('Novo PIN') : t('PIN (opcional)')} id="lock-pin" type="password" value={pin} onChange={(e) => setPin(e.target.value)} placeholder={t('4 a 8 dígitos')} />
+        <Input label={t('Confirme o PIN')} id="lock-pin-confirm" type="password" value={confirmPin} onChange={(e) => setConfirmPin(e.target.value)} />
+      </div>
+      <p className="text-xs text-gray-500">{t('Sem PIN, o desbloqueio após a inatividade pede a senha da conta.')}</p>
+      {message.text && <Message type={message.type}>{message.text}</Message>}
+      <div className="flex space-x-3">
+        {settings.pinHash && (
+          <Button onClick={handleRemovePin} variant="secondary" className="flex-1 text-sm">{t('Remover PIN')}</Button>
+        )}
+        <Button type="submit" disabled={!pin} icon={Lock} className="flex-1 text-sm">
+          {settings.pinHash ? t('Trocar PIN') : t('Definir PIN')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+// =========================================================================
+// 4. FUNÇÕES DO APLICATIVO PRINCIPAL (TRACKER)
+// =========================================================================
+
+// Contextos de medição. O "value" é o que fica salvo no campo "contexto" do registro.
+const MEASUREMENT_CONTEXTS = [
+  { value: 'jejum', label: 'Jejum' },
+  { value: 'pre_refeicao', label: 'Antes da refeição' },
+  { value: 'pos_refeicao', label: '2h após a refeição' },
+  { value: 'antes_dormir', label: 'Antes de dormir' },
+  { value: 'madrugada', label: 'Madrugada' },
+];
+
+// Registros antigos não têm contexto
+const getContextLabel = (contexto) => t(MEASUREMENT_CONTEXTS.find(c => c.value === contexto)?.label || '—');
+
+// Conversões entre a unidade do usuário e a unidade canônica (mg/dL).
+// Os valores também chegam como texto dos campos de formulário, por isso o parseFloat.
+const toMgdl = (value, unit) => (unit === 'mmol/L' ? value * MGDL_PER_MMOLL : value);
+const fromMgdl = (mgdl, unit) => (unit === 'mmol/L' ? mgdl / MGDL_PER_MMOLL : mgdl);
+// Nos campos de formulário e no CSV o número vai sempre com ponto decimal; na tela,
+// no formato do idioma ativo
+const formatGlicemiaInput = (mgdl, unit) => fromMgdl(parseFloat(mgdl), unit).toFixed(GLICEMIA_UNITS[unit].decimals);
+const formatGlicemia = (mgdl, unit) => formatNumber(fromMgdl(parseFloat(mgdl), unit), GLICEMIA_UNITS[unit].decimals);
+const formatGlicemiaWithUnit = (mgdl, unit) => `${formatGlicemia(mgdl, unit)} ${unit}`;
+
+// Classificação de um valor de glicemia segundo as faixas-alvo do usuário.
+// A mesma classificação colore o resumo do período e as linhas da tabela.
+const GLICEMIA_LEVELS = {
+  hipoglicemia: { label: 'Hipoglicemia', color: 'bg-blue-500', fill: 'fill-blue-500', style: 'text-blue-600 font-bold bg-blue-50 border-blue-200' },
+  baixo: { label: 'Abaixo da meta', color: 'bg-sky-500', fill: 'fill-sky-500', style: 'text-sky-600 font-bold bg-sky-50 border-sky-200' },
+  otimo: { label: 'Ótimo', color: 'bg-lime-600', fill: 'fill-green-600', style: 'text-green-600 font-bold bg-green-50 border-green-200' },
+  moderado: { label: 'Moderado', color: 'bg-yellow-500', fill: 'fill-yellow-500', style: 'text-yellow-700 font-bold bg-yellow-50 border-yellow-200' },
+  hiperglicemia: { label: 'Hiperglicemia', color: 'bg-red-500', fill: 'fill-red-500', style: 'text-red-600 font-bold bg-red-50 border-red-200' },
+};
+
+const classifyGlicemia = (value, targets) => {
+  if (value < targets.low) return 'hipoglicemia';
+  if (value < targets.targetLow) return 'baixo';
+  if (value <= targets.targetHigh) return 'otimo';
+  if (value <= targets.high) return 'moderado';
+  return 'hiperglicemia';
+};
+
+// Valida as faixas-alvo informadas. Retorna a mensagem de erro ou null.
+const validateTargets = (targets) => {
+  const { low, targetLow, targetHigh, high } = targets;
+  if ([low, targetLow, targetHigh, high].some(v => isNaN(v) || v <= 0)) {
+    return t('Informe valores positivos para todos os limites.');
+  }
+  if (!(low <= targetLow && targetLow < targetHigh && targetHigh <= high)) {
+    return t('Os limites devem respeitar: Hipo ≤ Meta mínima < Meta máxima ≤ Hiper.');
+  }
+  return null;
+};
+
+// Faixas do consenso internacional de tempo no alvo (mg/dL): < 54, 54–69, 70–180,
+// 181–250 e > 250. São fixas, independentes das faixas-alvo do usuário, para que os
+// números sejam comparáveis entre consultas.
+const TIR_RANGES = [
+  { key: 'veryLow', label: 'Muito baixo', max: 54, color: 'bg-red-800' },
+  { key: 'low', label: 'Baixo', max: 70, color: 'bg-red-500' },
+  { key: 'inRange', label: 'No alvo', max: 180, inclusive: true, color: 'bg-green-500' },
+  { key: 'high', label: 'Alto', max: 250, inclusive: true, color: 'bg-yellow-400' },
+  { key: 'veryHigh', label: 'Muito alto', max: Infinity, color: 'bg-orange-500' },
+];
+
+// Abaixo disso as métricas clínicas são pouco representativas
+const MIN_READINGS_FOR_METRICS = 30;
+
+// Estatísticas de uma lista de valores em mg/dL: média, mínimo, máximo, classificação
+// da média, distribuição nas faixas do consenso (%), desvio padrão, coeficiente de
+// variação (%), GMI (%) e HbA1c estimada (%). Os números são devolvidos sem
+// arredondamento; a formatação depende da unidade exibida.
+const computeStats = (values, targets) => {
+  if (values.length === 0) return { avg: 0, count: 0, min: 0, max: 0, status: 'info' };
+  const sum = values.reduce((acc, v) => acc + v, 0);
+  const avg = sum / values.length;
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const count = values.length;
+
+  const status = classifyGlicemia(avg, targets);
+  const { color } = GLICEMIA_LEVELS[status];
+
+  const timeInRanges = Object.fromEntries(TIR_RANGES.map(r => [r.key, 0]));
+  values.forEach(v => {
+    timeInRanges[TIR_RANGES.find(r => v < r.max || (r.inclusive && v === r.max)).key] += 100 / count;
+  });
+
+  // Desvio padrão amostral
+  const sd = count > 1 ? Math.sqrt(values.reduce((acc, v) => acc + (v - avg) ** 2, 0) / (count - 1)) : 0;
+
+  return {
+    avg,
+    count,
+    min,
+    max,
+    status,
+    color,
+    timeInRanges,
+    sd,
+    cv: (sd / avg) * 100,
+    gmi: 3.31 + 0.02392 * avg, // Bergenstal et al., 2018
+    ea1c: (avg + 46.7) / 28.7, // Nathan et al. (ADAG), 2008
+  };
+};
+
+const getRecordValues = (records) => records.map(r => parseFloat(r.glicemia)).filter(v => !isNaN(v));
+
+// Painel com as métricas do consenso internacional para o período
+const ClinicalMetrics = ({ stats, unit }) => {
+  const rangeLabel = (range, index) => {
+    if (index === 0) return `< ${formatGlicemia(range.max, unit)}`;
+    const from = formatGlicemia(TIR_RANGES[index - 1].max, unit);
+    return range.max === Infinity ? `≥ ${from}` : `${from}–${formatGlicemia(range.max, unit)}`;
+  };
+
+  return (
+    <div className="space-y-3 pt-3 border-t">
+      <h4 className="font-semibold text-gray-700">{t('Métricas clínicas')}</h4>
+
+      {stats.count < MIN_READINGS_FOR_METRICS && (
+        <Message type="warning">
+          {t('Apenas {count} registro(s) no período. Com menos de {min} medições, as métricas abaixo são pouco representativas.', { count: stats.count, min: MIN_READINGS_FOR_METRICS })}
+        </Message>
+      )}
+
+      {/* Barra empilhada de tempo nas faixas */}
+      <div className="flex h-6 w-full rounded-lg overflow-hidden border" title={t('Tempo nas faixas')}>
+        {TIR_RANGES.map(r => stats.timeInRanges[r.key] > 0 && (
+          <div key={r.key} className={r.color} style={{ width: `${stats.timeInRanges[r.key]}%` }} />
+        ))}
+      </div>
+      <div className="grid grid-cols-2 gap-1 text-xs">
+        {TIR_RANGES.map((r, index) => (
+          <div key={r.key} className="flex items-center space-x-2">
+            <span className={`inline-block w-3 h-3 rounded-sm ${r.color}`} />
+            <span className="text-gray-600">{t(r.label)} ({rangeLabel(r, index)}):</span>
+            <span className="font-bold">{formatNumber(stats.timeInRanges[r.key])}%</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 text-sm font-medium">
+        <div className="text-gray-600">{t('Desvio padrão:')}</div>
+        <div className="text-right">{formatGlicemiaWithUnit(stats.sd, unit)}</div>
+
+        <div className="text-gray-600">{t('Coeficiente de variação:')}</div>
+        <div className={`text-right ${stats.cv > 36 ? 'text-red-600 font-bold' : ''}`}>{formatNumber(stats.cv, 1)}%</div>
+
+        <div className="text-gray-600">{t('GMI:')}</div>
+        <div className="text-right">{formatNumber(stats.gmi, 1)}%</div>
+
+        <div className="text-gray-600">{t('HbA1c estimada:')}</div>
+        <div className="text-right">{formatNumber(stats.ea1c, 1)}%</div>
+      </div>
+      <p className="text-xs text-gray-400">
+        {t('Meta do consenso: mais de 70% no alvo, menos de 4% abaixo de {low}, menos de 1% abaixo de {veryLow} e coeficiente de variação de até 36%.', { low: formatGlicemiaWithUnit(70, unit), veryLow: formatGlicemiaWithUnit(54, unit) })}
+      </p>
+    </div>
+  );
+};
+
+// Gráficos em SVG puro (sem bibliotecas), para que saiam iguais na tela e na impressão.
+// Os valores são posicionados em mg/dL e apenas os rótulos são convertidos para a unidade do usuário.
+const CHART = { width: 600, height: 240, left: 40, right: 10, top: 10, bottom: 26 };
+const CHART_PLOT_WIDTH = CHART.width - CHART.left - CHART.right;
+const CHART_PLOT_HEIGHT = CHART.height - CHART.top - CHART.bottom;
+const CHART_Y_STEP = { 'mg/dL': 50, 'mmol/L': 3 }; // Intervalo das linhas de grade, na unidade exibida
+
+// Percentil com interpolação linear de uma lista já ordenada
+const percentile = (sorted, p) => {
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+// Instante do registro: use para ordenar e medir intervalos
+const getRecordDate = (reg) => reg.timestamp.toDate();
+
+// Relógio de quem mediu: uma data cujos getters locais (getDate, getHours...) devolvem
+// a data e a hora marcadas no lugar da medição, mesmo que o aparelho esteja hoje em
+// outro fuso. Use para exibir e para agrupar por dia ou por hora do dia.
+const getRecordLocalDate = (reg) => {
+  const instant = getRecordDate(reg);
+  if (typeof reg.offsetMinutos !== 'number') return instant;
+  const clock = new Date(instant.getTime() + reg.offsetMinutos * 60000);
+  return new Date(clock.getUTCFullYear(), clock.getUTCMonth(), clock.getUTCDate(), clock.getUTCHours(), clock.getUTCMinutes(), clock.getUTCSeconds());
+};
+
+const formatRecordDate = (reg) => formatDate(getRecordLocalDate(reg));
+const formatRecordTime = (reg) => formatTime(getRecordLocalDate(reg));
+const formatRecordDateTime = (reg) => formatDateTime(getRecordLocalDate(reg));
+const getRecordDay = (reg) => toISODate(getRecordLocalDate(reg));
+
+// Minutos desde a meia-noite, na hora local da medição
+const getRecordMinutes = (reg) => {
+  const date = getRecordLocalDate(reg);
+  return date.getHours() * 60 + date.getMinutes();
+};
+
+const getChartYMax = (values) => Math.max(300, Math.ceil(Math.max(0, ...values) / 50) * 50);
+
+// Converte uma sequência de pontos [x, y] em um caminho SVG
+const toSvgPath = (points) => points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+
+// Moldura comum: linhas de grade, eixo Y na unidade do usuário, faixa-alvo e rótulos do eixo X
+const ChartFrame = ({ yMax, yScale, targets, unit, xTicks, children }) => {
+  const step = CHART_Y_STEP[unit];
+  const yTicks = [];
+  for (let tick = 0; toMgdl(tick, unit) <= yMax; tick += step) yTicks.push(tick);
+
+  return (
+    <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full h-auto" role="img">
+      {yTicks.map(tick => (
+        <g key={tick}>
+          <line x1={CHART.left} x2={CHART.width - CHART.right} y1={yScale(toMgdl(tick, unit))} y2={yScale(toMgdl(tick, unit))} className="stroke-gray-200" />
+          <text x={CHART.left - 4} y={yScale(toMgdl(tick, unit)) + 3} textAnchor="end" className="fill-gray-500" fontSize="10">{tick}</text>
+        </g>
+      ))}
+      <rect
+        x={CHART.left}
+        width={CHART_PLOT_WIDTH}
+        y={yScale(targets.targetHigh)}
+        height={yScale(targets.targetLow) - yScale(targets.targetHigh)}
+        className="fill-green-100"
+        opacity="0.7"
+      />
+      <line x1={CHART.left} x2={CHART.width - CHART.right} y1={yScale(targets.low)} y2={yScale(targets.low)} className="stroke-blue-400" strokeDasharray="4 3" />
+      <line x1={CHART.left} x2={CHART.width - CHART.right} y1={yScale(targets.high)} y2={yScale(targets.high)} className="stroke-red-400" strokeDasharray="4 3" />
+      {xTicks.map(({ x, label }) => (
+        <text key={`${x}-${label}`} x={x} y={CHART.height - 8} textAnchor="middle" className="fill-gray-500" fontSize="10">{label}</text>
+      ))}
+      {children}
+    </svg>
+  );
+};
+
+// Série temporal das leituras no intervalo selecionado
+const TrendChart = ({ records, targets, unit, dataInicio, dataFim }) => {
+  const start = new Date(`${dataInicio}T00:00:00`).getTime();
+  const end = new Date(`${dataFim}T23:59:59`).getTime();
+  const points = records
+    .map(reg => ({ time: getRecordDate(reg).getTime(), value: parseFloat(reg.glicemia), reg }))
+    .filter(p => !isNaN(p.value) && p.time >= start && p.time <= end)
+    .sort((a, b) => a.time - b.time);
+
+  const yMax = getChartYMax(points.map(p => p.value));
+  const xScale = (time) => CHART.left + ((time - start) / (end - start)) * CHART_PLOT_WIDTH;
+  const yScale = (value) => CHART.top + (1 - Math.min(value, yMax) / yMax) * CHART_PLOT_HEIGHT;
+
+  // Até ~7 rótulos: horas para um único dia, datas para intervalos maiores
+  const DAY = 24 * 60 * 60 * 1000;
+  const days = Math.max(1, Math.round((end - start) / DAY));
+  const xTicks = [];
+  if (days === 1) {
+    for (let h = 0; h <= 24; h += 4) xTicks.push({ x: xScale(start + h * 60 * 60 * 1000), label: `${String(h).padStart(2, '0')}h` });
+  } else {
+    const step = Math.ceil(days / 7);
+    for (let d = 0; d < days; d += step) {
+      const date = new Date(start + d * DAY + DAY / 2);
+      xTicks.push({ x: xScale(date.getTime()), label: formatShortDate(date) });
+    }
+  }
+
+  return (
+    <ChartFrame yMax={yMax} yScale={yScale} targets={targets} unit={unit} xTicks={xTicks}>
+      <path d={toSvgPath(points.map(p => [xScale(p.time), yScale(p.value)]))} fill="none" className="stroke-indigo-500" strokeWidth="1.5" />
+      {points.map(p => (
+        <circle key={p.reg.id} cx={xScale(p.time)} cy={yScale(p.value)} r="3" className={GLICEMIA_LEVELS[classifyGlicemia(p.value, targets)].fill}>
+          <title>{`${formatDateTime(new Date(p.time))}: ${formatGlicemiaWithUnit(p.value, unit)}`}</title>
+        </circle>
+      ))}
+    </ChartFrame>
+  );
+};
+
+// Perfil ambulatorial de glicose (AGP): todos os dias sobrepostos em um eixo de 24 h.
+// Para cada hora, usa as leituras de uma janela de 3 h centrada nela (medidas de ponta
+// de dedo são esparsas) e calcula mediana e percentis 25/75 e 5/95.
+const AGP_WINDOW_MINUTES = 90;
+
+const computeAgpProfile = (records) => {
+  const readings = records
+    .map(reg => ({ minutes: getRecordMinutes(reg), value: parseFloat(reg.glicemia) }))
+    .filter(r => !isNaN(r.value));
+
+  return Array.from({ length: 24 }, (_, hour) => {
+    const center = hour * 60 + 30;
+    const values = readings
+      .filter(r => {
+        const distance = Math.abs(r.minutes - center);
+        return Math.min(distance, 1440 - distance) <= AGP_WINDOW_MINUTES;
+      })
+      .map(r => r.value)
+      .sort((a, b) => a - b);
+    if (values.length === 0) return null;
+    return {
+      minutes: center,
+      p5: percentile(values, 0.05),
+      p25: percentile(values, 0.25),
+      p50: percentile(values, 0.5),
+      p75: percentile(values, 0.75),
+      p95: percentile(values, 0.95),
+    };
+  });
+};
+
+const AgpChart = ({ records, targets, unit }) => {
+  const profile = computeAgpProfile(records);
+  const yMax = getChartYMax(profile.filter(Boolean).map(p => p.p95));
+  const xScale = (minutes) => CHART.left + (minutes / 1440) * CHART_PLOT_WIDTH;
+  const yScale = (value) => CHART.top + (1 - Math.min(value, yMax) / yMax) * CHART_PLOT_HEIGHT;
+  const xTicks = [0, 3, 6, 9, 12, 15, 18, 21, 24].map(h => ({ x: xScale(h * 60), label: `${String(h).padStart(2, '0')}h` }));
+
+  // Horas sem leituras interrompem as faixas
+  const segments = [];
+  profile.forEach((p, hour) => {
+    if (!p) return;
+    if (hour > 0 && profile[hour - 1]) segments[segments.length - 1].push(p);
+    else segments.push([p]);
+  });
+
+  const band = (segment, lowKey, highKey) => toSvgPath([
+    ...segment.map(p => [xScale(p.minutes), yScale(p[highKey])]),
+    ...[...segment].reverse().map(p => [xScale(p.minutes), yScale(p[lowKey])]),
+  ]) + ' Z';
+
+  return (
+    <ChartFrame yMax={yMax} yScale={yScale} targets={targets} unit={unit} xTicks={xTicks}>
+      {segments.map((segment, i) => (
+        <g key={i}>
+          <path d={band(segment, 'p5', 'p95')} className="fill-indigo-100" />
+          <path d={band(segment, 'p25', 'p75')} className="fill-indigo-300" />
+          <path d={toSvgPath(segment.map(p => [xScale(p.minutes), yScale(p.p50)]))} fill="none" className="stroke-indigo-700" strokeWidth="2" />
+          {segment.length === 1 && <circle cx={xScale(segment[0].minutes)} cy={yScale(segment[0].p50)} r="3" className="fill-indigo-700" />}
+        </g>
+      ))}
+    </ChartFrame>
+  );
+};
+
+// Os dois gráficos da visão "Gráficos" do histórico
+const GlicemiaCharts = ({ records, targets, unit, dataInicio, dataFim }) => (
+  <div className="space-y-6">
+    <div className="chart-block">
+      <h3 className="font-semibold text-gray-700 mb-2">{t('Tendência no período')}</h3>
+      <TrendChart records={records} targets={targets} unit={unit} dataInicio={dataInicio} dataFim={dataFim} />
+      <p className="text-xs text-gray-500 mt-1">{t('Faixa verde: meta. Linhas tracejadas: limites de hipo e hiperglicemia. Valores em {unit}.', { unit })}</p>
+    </div>
+    <div className="chart-block">
+      <h3 className="font-semibold text-gray-700 mb-2">{t('Perfil ambulatorial (AGP)')}</h3>
+      <AgpChart records={records} targets={targets} unit={unit} />
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-500 mt-1">
+        <span className="flex items-center"><span className="inline-block w-4 h-1 bg-indigo-700 mr-1" /> {t('Mediana')}</span>
+        <span className="flex items-center"><span className="inline-block w-3 h-3 bg-indigo-300 mr-1" /> {t('Percentis 25–75')}</span>
+        <span className="flex items-center"><span className="inline-block w-3 h-3 bg-indigo-100 mr-1" /> {t('Percentis 5–95')}</span>
+      </div>
+      {records.length < MIN_READINGS_FOR_METRICS && (
+        <p className="text-xs text-yellow-700 mt-1">{t('Poucas leituras no período: as faixas de percentis são pouco representativas.')}</p>
+      )}
+    </div>
+  </div>
+);
+
+// Exportação e importação de CSV.
+// O CSV do app tem as colunas data (AAAA-MM-DD), hora, valor, unidade e contexto.
+// Na importação também são aceitas exportações de glicosímetros e do LibreView,
+// com mapeamento manual das colunas.
+const CSV_HEADER = ['data', 'hora', 'valor', 'unidade', 'contexto'];
+const FIRESTORE_BATCH_LIMIT = 500;
+
+// Valores fora desta faixa (mg/dL) são tratados como erro de digitação/leitura
+const PLAUSIBLE_GLICEMIA = { min: 10, max: 1000 };
+
+const escapeCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const recordsToCsv = (records, unit) => [
+  CSV_HEADER,
+  ...records.map(reg => [getRecordDay(reg), toISOTime(getRecordLocalDate(reg)), formatGlicemiaInput(reg.glicemia, unit), unit, reg.contexto || '']),
+].map(row => row.map(escapeCsvField).join(',')).join('\r\n');
+
+const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Lê um CSV (com aspas) detectando o separador: vírgula, ponto e vírgula ou tabulação
+const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLines = content.split(/\r?\n/).slice(0, 5).join('\n');
+  const delimiter = [';', '\t', ','].reduce((best, d) => (
+    firstLines.split(d).length > firstLines.split(best).length ? d : best
+  ), ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field.trim());
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field.trim());
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+};
+
+const GLUCOSE_HEADER_PATTERN = /glic|gluc|glyc|valor|value|mg\/dl|mmol/i;
+const DATE_HEADER_PATTERN = /data|date|timestamp|fecha/i;
+
+// Exportações como a do LibreView trazem linhas de metadados antes do cabeçalho
+const detectHeaderRow = (rows) => {
+  const index = rows.slice(0, 10).findIndex(row => {
+    const glucoseCell = row.findIndex(cell => GLUCOSE_HEADER_PATTERN.test(cell));
+    return glucoseCell >= 0 && row.some((cell, i) => i !== glucoseCell && DATE_HEADER_PATTERN.test(cell));
+  });
+  return Math.max(0, index);
+};
+
+const DATE_FORMATS = [
+  { value: 'YMD', label: 'AAAA-MM-DD' },
+  { value: 'DMY', label: 'DD/MM/AAAA' },
+  { value: 'MDY', label: 'MM/DD/AAAA' },
+];
+
+const splitDateParts = (text) => (text.match(/\d+/g) || []).map(Number);
+
+// Deduz o formato de data olhando todas as linhas (um dia > 12 desfaz a ambiguidade)
+const detectDateFormat = (dates) => {
+  const samples = dates.map(d => splitDateParts(d)).filter(parts => parts.length >= 3);
+  if (samples.some(parts => String(parts[0]).length === 4)) return 'YMD';
+  if (samples.some(parts => parts[1] > 12)) return 'MDY';
+  return 'DMY';
+};
+
+const guessUnitFromText = (text) => {
+  if (/mmol/i.test(text)) return 'mmol/L';
+  if (/mg/i.test(text)) return 'mg/dL';
+  return null;
+};
+
+// Sugestão inicial de mapeamento a partir dos nomes das colunas
+const guessCsvMapping = (rows, headerRow, defaultUnit) => {
+  const header = rows[headerRow] || [];
+  const find = (pattern) => header.findIndex(h => pattern.test(h));
+
+  const valueCols = header
+    .map((h, i) => (GLUCOSE_HEADER_PATTERN.test(h) && !/unid|unit|tipo|type|record/i.test(h) ? i : -1))
+    .filter(i => i >= 0);
+  const dateCol = Math.max(0, find(/^data$|^date$|timestamp|data\/hora|date.?time|fecha/i));
+  const timeCol = find(/^hora$|^time$/i);
+  const unitCol = find(/^unidade$|^unit$|^unidad$/i);
+  const contextCol = find(/contexto|context|momento/i);
+  const unitFromHeader = valueCols.map(i => guessUnitFromText(header[i])).find(Boolean);
+
+  return {
+    headerRow,
+    dateCol,
+    timeCol: timeCol === dateCol ? -1 : timeCol,
+    valueCols,
+    unitCol,
+    unit: unitFromHeader || defaultUnit,
+    contextCol,
+    dateFormat: detectDateFormat(rows.slice(headerRow + 1).map(row => row[dateCol] || '')),
+  };
+};
+
+const findContextByText = (text) => {
+  const normalized = (text || '').trim().toLowerCase();
+  if (!normalized) return null;
+  const match = MEASUREMENT_CONTEXTS.find(c => (
+    c.value === normalized || c.label.toLowerCase() === normalized || t(c.label).toLowerCase() === normalized
+  ));
+  return match ? match.value : null;
+};
+
+// Converte data e hora de texto para Date, conforme o formato escolhido.
+// Sem coluna de hora, a hora vem do mesmo campo da data (ex.: "03-15-2024 08:30").
+const parseImportDate = (dateText, timeText, format) => {
+  const parts = splitDateParts(dateText);
+  if (parts.length < 3) return null;
+  const [a, b, c] = parts;
+  const [year, month, day] = format === 'YMD' ? [a, b, c] : format === 'MDY' ? [c, a, b] : [c, b, a];
+
+  const time = (timeText !== null ? timeText : dateText).match(/(\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?/);
+  let hours = time ? Number(time[1]) : 0;
+  const minutes = time ? Number(time[2]) : 0;
+  if (time && time[3]) hours = (hours % 12) + (/p/i.test(time[3]) ? 12 : 0);
+
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(fullYear, month - 1, day, hours, minutes);
+  if (isNaN(date.getTime()) || date.getMonth() !== month - 1 || date.getDate() !== day || hours > 23) return null;
+  return date;
+};
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// Duplicados: mesmo minuto da medição e mesmo valor dentro da precisão da exportação de origem.
+// A tolerância é meio passo da unidade da fonte: valores inteiros em mg/dL precisam coincidir,
+// mas 0,1 mmol/L ≈ 1,8 mg/dL, então um valor em mmol/L pode voltar até ~0,9 mg/dL diferente.
+// Registros já salvos não têm unidade de origem e usam a tolerância da outra leitura.
+const getDuplicateKey = (date, mgdl, sourceUnit) => ({
+  minute: Math.floor(date.getTime() / 60000),
+  mgdl,
+  tolerance: sourceUnit ? toMgdl(parseFloat(GLICEMIA_UNITS[sourceUnit].step), sourceUnit) / 2 : 0,
+});
+
+const isSameReading = (a, b) => a.minute === b.minute && Math.abs(a.mgdl - b.mgdl) <= Math.max(a.tolerance, b.tolerance);
+
+// Conjunto de leituras (chaves de duplicado) agrupadas por minuto
+const createDuplicateIndex = (keys = []) => {
+  const byMinute = new Map();
+  const index = {
+    keys: [],
+    has: (key) => (byMinute.get(key.minute) || []).some(other => isSameReading(key, other)),
+    add: (key) => {
+      index.keys.push(key);
+      byMinute.set(key.minute, [...(byMinute.get(key.minute) || []), key]);
+    },
+  };
+  keys.forEach(index.add);
+  return index;
+};
+
+// Chaves dos registros já salvos na coleção, para reconhecer duplicados
+const loadDuplicateKeys = async (storage, collectionPath) => createDuplicateIndex((await storage.list(collectionPath)).map(item => {
+  const reg = toRecord(item);
+  return getDuplicateKey(getRecordDate(reg), reg.glicemia);
+}));
+
+// Interpreta uma linha do CSV. Retorna { error } ou { record, key } no formato salvo no Firestore.
+const parseImportRow = (row, mapping) => {
+  const rawValue = mapping.valueCols.map(i => row[i]).find(v => v && v.trim() !== '');
+  if (!rawValue) return { error: t('Sem valor de glicemia') };
+  const value = parseFloat(rawValue.replace(',', '.'));
+  if (isNaN(value)) return { error: t('Valor inválido: "{value}"', { value: rawValue }) };
+
+  const unit = (mapping.unitCol >= 0 && guessUnitFromText(row[mapping.unitCol] || '')) || mapping.unit;
+  const mgdl = Math.round(toMgdl(value, unit) * 10) / 10;
+  if (mgdl < PLAUSIBLE_GLICEMIA.min || mgdl > PLAUSIBLE_GLICEMIA.max) {
+    return { error: t('Valor fora da faixa plausível: {value} {unit}', { value: rawValue, unit }) };
+  }
+
+  const date = parseImportDate(row[mapping.dateCol] || '', mapping.timeCol >= 0 ? (row[mapping.timeCol] || '') : null, mapping.dateFormat);
+  if (!date) return { error: t('Data ou hora inválida') };
+
+  const record = {
+    glicemia: mgdl,
+    unidade: RECORD_UNIT,
+    ...getRecordTimeFields(date),
+    origem: 'importacao',
+  };
+  const contexto = mapping.contextCol >= 0 ? findContextByText(row[mapping.contextCol]) : null;
+  if (contexto) record.contexto = contexto;
+
+  return { record, key: getDuplicateKey(date, mgdl, unit) };
+};
+
+// Tela de importação: arquivo → mapeamento de colunas → prévia → gravação em lotes
+const CsvImport = ({ storage, collectionPath, unit: defaultUnit, online, onBack, onImportFhir }) => {
+  const [rows, setRows] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [mapping, setMapping] = useState(null);
+  const [existingKeys, setExistingKeys] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ type: null, text: '' });
+
+  // Chaves dos registros já salvos, para ignorar duplicados
+  useEffect(() => {
+    if (!storage) return;
+    loadDuplicateKeys(storage, collectionPath)
+      .then(setExistingKeys)
+      .catch(error => {
+        console.error("Erro ao carregar registros existentes:", error);
+        setMessage({ type: 'error', text: t('Erro ao carregar registros existentes: ') + error.message });
+      });
+  }, [storage, collectionPath]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setMessage({ type: null, text: '' });
+    const parsedRows = parseCsv(await file.text());
+    if (parsedRows.length < 2) {
+      setMessage({ type: 'error', text: t('O arquivo não contém registros.') });
+      return;
+    }
+    setFileName(file.name);
+    setRows(parsedRows);
+    setMapping(guessCsvMapping(parsedRows, detectHeaderRow(parsedRows), defaultUnit));
+  };
+
+  const updateMapping = (changes) => setMapping({ ...mapping, ...changes });
+
+  const changeHeaderRow = (headerRow) => setMapping(guessCsvMapping(rows, headerRow, defaultUnit));
+
+  const toggleValueCol = (index) => updateMapping({
+    valueCols: mapping.valueCols.includes(index)
+      ? mapping.valueCols.filter(i => i !== index)
+      : [...mapping.valueCols, index].sort((a, b) => a - b),
+  });
+
+  // Interpreta todas as linhas e marca duplicados (no banco ou repetidos no próprio arquivo)
+  const locale = useContext(LocaleContext);
+  const parsed = useMemo(() => {
+    if (!mapping) return [];
+    const seen = createDuplicateIndex(existingKeys ? existingKeys.keys : []);
+    return rows.slice(mapping.headerRow + 1).map((row, i) => {
+      const result = parseImportRow(row, mapping);
+      if (result.error) return { line: mapping.headerRow + i + 2, status: 'invalid', ...result };
+      if (seen.has(result.key)) return { line: mapping.headerRow + i + 2, status: 'duplicate', ...result };
+      seen.add(result.key);
+      return { line: mapping.headerRow + i + 2, status: 'ok', ...result };
+    });
+  }, [rows, mapping, existingKeys, locale]);
+
+  const counts = parsed.reduce((acc, r) => ({ ...acc, [r.status]: acc[r.status] + 1 }), { ok: 0, duplicate: 0, invalid: 0 });
+
+  // Online, cada lote é confirmado antes do próximo, e só os já gravados contam como
+  // importados. Offline o commit só resolve quando o servidor responde, então os lotes
+  // ficam gravados no aparelho sem espera; um lote que falhar sai do índice de duplicados.
+  const handleImport = async () => {
+    const toImport = parsed.filter(r => r.status === 'ok');
+    const batches = [];
+    for (let i = 0; i < toImport.length; i += FIRESTORE_BATCH_LIMIT) batches.push(toImport.slice(i, i + FIRESTORE_BATCH_LIMIT));
+    const commitBatch = (batch) => storage.commit(batch.map(r => ({ type: 'set', path: storage.newDocPath(collectionPath), data: r.record })));
+    setMessage({ type: null, text: '' });
+
+    if (!online) {
+      batches.forEach(batch => commitBatch(batch).catch((error) => {
+        console.error("Erro ao importar registros:", error);
+        const failed = new Set(batch.map(r => r.key));
+        setExistingKeys(current => createDuplicateIndex(current.keys.filter(key => !failed.has(key))));
+        setMessage({ type: 'error', text: t('Erro ao importar registros: {error}', { error: error.message }) });
+      }));
+      setExistingKeys(createDuplicateIndex([...(existingKeys ? existingKeys.keys : []), ...toImport.map(r => r.key)]));
+      setMessage({
+        type: 'success',
+        text: t('{written} registro(s) importado(s). {duplicate} duplicado(s) e {invalid} inválido(s) ignorados.', { written: toImport.length, duplicate: counts.duplicate, invalid: counts.invalid })
+          + ` — ${t('registros salvos neste aparelho')}`,
+      });
+      return;
+    }
+
+    setLoading(true);
+    const written = [];
+    try {
+      for (const batch of batches) {
+        await commitBatch(batch);
+        written.push(...batch);
+      }
+      setMessage({ type: 'success', text: t('{written} registro(s) importado(s). {duplicate} duplicado(s) e {invalid} inválido(s) ignorados.', { written: written.length, duplicate: counts.duplicate, invalid: counts.invalid }) });
+    } catch (error) {
+      console.error("Erro ao importar registros:", error);
+      setMessage({ type: 'error', text: t('Erro ao importar após {written} registro(s): {error}', { written: written.length, error: error.message }) });
+    } finally {
+      setExistingKeys(createDuplicateIndex([...(existingKeys ? existingKeys.keys : []), ...written.map(r => r.key)]));
+      setLoading(false);
+    }
+  };
+
+  const header = mapping ? rows[mapping.headerRow] : [];
+  const columnOptions = header.map((h, i) => ({ value: String(i), label: h || t('Coluna {n}', { n: i + 1 }) }));
+  const STATUS_LABELS = { ok: t('OK'), duplicate: t('Duplicado'), invalid: t('Inválido') };
+  const STATUS_STYLES = { ok: 'text-green-700', duplicate: 'text-yellow-700', invalid: 'text-red-600' };
+
+  return (
+    <Card>
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
+        <Upload className="w-5 h-5 text-indigo-600" />
+        <span>{t('Importar Registros (CSV)')}</span>
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        {t('Aceita o CSV exportado por este app e exportações de glicosímetros ou do LibreView. Registros que já existem (mesmo horário e valor) são ignorados.')}
+      </p>
+
+      <div className="space-y-4">
+        <input
+          type="file"
+          accept=".csv,.txt,text/csv"
+          onChange={handleFile}
+          className="block w-full text-sm text-gray-700 file:mr-3 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-indigo-50 file:text-indigo-700"
+        />
+
+        {mapping && (
+          <>
+            <p className="text-sm text-gray-500">{fileName}: {t('{n} linha(s)', { n: rows.length })}</p>
+            <Select
+              label={t('Linha do cabeçalho')}
+              id="import-header-row"
+              value={String(mapping.headerRow)}
+              onChange={(e) => changeHeaderRow(Number(e.target.value))}
+              options={rows.slice(0, 10).map((row, i) => ({ value: String(i), label: `${t('Linha {n}', { n: i + 1 })}: ${row.slice(0, 3).join(' | ')}` }))}
+            />
+            <div className="grid grid-cols-2 gap-4">
+              <Select
+                label={t('Data')}
+                id="import-date-col"
+                value={String(mapping.dateCol)}
+                onChange={(e) => updateMapping({ dateCol: Number(e.target.value) })}
+                options={columnOptions}
+              />
+              <Select
+                label={t('Hora')}
+                id="import-time-col"
+                value={String(mapping.timeCol)}
+                onChange={(e) => updateMapping({ timeCol: Number(e.target.value) })}
+                options={[{ value: '-1', label: t('Junto com a data') }, ...columnOptions]}
+              />
+              <Select
+                label={t('Formato da data')}
+                id="import-date-format"
+                value={mapping.dateFormat}
+                onChange={(e) => updateMapping({ dateFormat: e.target.value })}
+                options={translateOptions(DATE_FORMATS)}
+              />
+              <Select
+                label={t('Contexto')}
+                id="import-context-col"
+                value={String(mapping.contextCol)}
+                onChange={(e) => updateMapping({ contextCol: Number(e.target.value) })}
+                options={[{ value: '-1', label: t('Nenhum') }, ...columnOptions]}
+              />
+              <Select
+                label={t('Coluna de unidade')}
+                id="import-unit-col"
+                value={String(mapping.unitCol)}
+                onChange={(e) => updateMapping({ unitCol: Number(e.target.value) })}
+                options={[{ value: '-1', label: t('Nenhuma') }, ...columnOptions]}
+              />
+              <Select
+                label={t('Unidade dos valores')}
+                id="import-unit"
+                value={mapping.unit}
+                onChange={(e) => updateMapping({ unit: e.target.value })}
+                options={Object.keys(GLICEMIA_UNITS).map(u => ({ value: u, label: u }))}
+              />
+            </div>
+            <div className="space-y-1">
+              <p className="text-sm font-medium text-gray-700">{t('Colunas de valor (usa a primeira preenchida em cada linha)')}</p>
+              <div className="flex flex-wrap gap-x-4 gap-y-1">
+                {columnOptions.map(({ value, label }) => (
+                  <label key={value} className="flex items-center space-x-1 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={mapping.valueCols.includes(Number(value))}
+                      onChange={() => toggleValueCol(Number(value))}
+                      className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                    />
+                    <span>{label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <Message type="info">
+              {t('{ok} para importar, {duplicate} duplicado(s), {invalid} inválido(s).', counts)}
+              {!existingKeys && ` ${t('Verificando registros existentes...')}`}
+            </Message>
+
+            {/* Prévia */}
+            <div className="overflow-x-auto max-h-72 overflow-y-auto border rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">{t('Linha')}</th>
+                    <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">{t('Data/Hora')}</th>
+                    <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">{t('Valor')}</th>
+                    <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">{t('Situação')}</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {parsed.slice(0, 50).map(r => (
+                    <tr key={r.line}>
+                      <td className="px-2 py-1 text-gray-500">{r.line}</td>
+                      <td className="px-2 py-1">{r.record ? formatDateTime(r.record.timestamp.toDate()) : '—'}</td>
+                      <td className="px-2 py-1">{r.record ? formatGlicemiaWithUnit(r.record.glicemia, defaultUnit) : '—'}</td>
+                      <td className={`px-2 py-1 ${STATUS_STYLES[r.status]}`}>{r.error || STATUS_LABELS[r.status]}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {parsed.length > 50 && <p className="text-xs text-gray-400">{t('Mostrando as primeiras 50 de {n} linhas.', { n: parsed.length })}</p>}
+          </>
+        )}
+
+        {message.text && <Message type={message.type}>{message.text}</Message>}
+
+        <div className="flex space-x-3">
+          <Button onClick={onBack} variant="secondary" icon={ArrowLeft} className="flex-1">
+            {t('Voltar')}
+          </Button>
+          {mapping && (
+            <Button onClick={handleImport} disabled={loading || !existingKeys || counts.ok === 0} icon={loading ? Loader2 : Upload} className="flex-1">
+              {loading ? t('Importando...') : t('Importar {n}', { n: counts.ok })}
+            </Button>
+          )}
+        </div>
+        <Button onClick={onImportFhir} variant="link" icon={FileText} className="w-full text-sm">
+          {t('Importar um arquivo FHIR (JSON)')}
+        </Button>
+      </div>
+    </Card>
+  );
+};
+
+// Digitação em lote (leituras do caderno ou da memória do glicosímetro): grade editável
+// com navegação pelo teclado e colagem de planilhas. Tudo é gravado num único lote
+// atômico, por isso a grade aceita no máximo o limite de operações de um lote.
+const BULK_COLUMNS = ['data', 'hora', 'valor', 'contexto'];
+const BULK_INITIAL_ROWS = 10;
+
+const isBulkRowEmpty = (row) => BULK_COLUMNS.every(col => row[col].trim() === '');
+
+// Valida uma linha da grade. Retorna { error } ou { record, key }, como parseImportRow.
+// A hora pode vir junto com a data (ex.: "15/03/2024 08:30"), como na importação.
+const parseBulkRow = (row, dateFormat, unit) => {
+  if (row.valor.trim() === '') return { error: t('Sem valor de glicemia') };
+  const value = parseFloat(row.valor.replace(',', '.'));
+  if (isNaN(value)) return { error: t('Valor inválido: "{value}"', { value: row.valor }) };
+  const mgdl = Math.round(toMgdl(value, unit) * 10) / 10;
+  if (mgdl < PLAUSIBLE_GLICEMIA.min || mgdl > PLAUSIBLE_GLICEMIA.max) {
+    return { error: t('Valor fora da faixa plausível: {value} {unit}', { value: row.valor, unit }) };
+  }
+
+  const timeText = row.hora.trim() || null;
+  if (!/\d{1,2}:\d{2}/.test(timeText || row.data)) return { error: t('Informe a hora') };
+  const date = parseImportDate(row.data, timeText, dateFormat);
+  if (!date) return { error: t('Data ou hora inválida') };
+  if (date > new Date()) return { error: t('Data no futuro') };
+
+  const record = {
+    glicemia: mgdl,
+    unidade: RECORD_UNIT,
+    ...getRecordTimeFields(date),
+    origem: 'digitacao',
+  };
+  if (row.contexto) record.contexto = row.contexto;
+  return { record, key: getDuplicateKey(date, mgdl, unit) };
+};
+
+const BulkEntry = ({ storage, collectionPath, unit, online, onBack }) => {
+  const nextRowId = useRef(0);
+  const createRows = (count) => Array.from({ length: count }, () => ({ id: nextRowId.current++, data: '', hora: '', valor: '', contexto: '' }));
+  const [rows, setRows] = useState(() => createRows(BULK_INITIAL_ROWS));
+  const [dateFormat, setDateFormat] = useState('DMY');
+  const [existingKeys, setExistingKeys] = useState(null);
+  const [focusCell, setFocusCell] = useState(null); // [linha, coluna] a focar após renderizar
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ type: null, text: '' });
+
+  useEffect(() => {
+    if (!storage) return;
+    loadDuplicateKeys(storage, collectionPath)
+      .then(setExistingKeys)
+      .catch(error => {
+        console.error("Erro ao carregar registros existentes:", error);
+        setMessage({ type: 'error', text: t('Erro ao carregar registros existentes: ') + error.message });
+      });
+  }, [storage, collectionPath]);
+
+  useEffect(() => {
+    if (!focusCell) return;
+    const input = document.getElementById(`bulk-${focusCell[0]}-${focusCell[1]}`);
+    if (input) input.focus();
+    setFocusCell(null);
+  }, [focusCell]);
+
+  // Situação de cada linha: vazia, com erro (inclusive duplicados no banco ou na própria grade) ou pronta
+  const locale = useContext(LocaleContext);
+  const parsed = useMemo(() => {
+    const seen = []; // { key, line } das linhas já aceitas
+    return rows.map((row, i) => {
+      if (isBulkRowEmpty(row)) return { status: 'empty' };
+      const result = parseBulkRow(row, dateFormat, unit);
+      if (result.error) return { status: 'invalid', ...result };
+      if (existingKeys && existingKeys.has(result.key)) return { status: 'invalid', ...result, error: t('Já registrado') };
+      const repeated = seen.find(s => isSameReading(s.key, result.key));
+      if (repeated) return { status: 'invalid', ...result, error: t('Repetido na linha {n}', { n: repeated.line }) };
+      seen.push({ key: result.key, line: i + 1 });
+      return { status: 'ok', row, ...result };
+    });
+  }, [rows, dateFormat, unit, existingKeys, locale]);
+
+  const readyCount = parsed.filter(r => r.status === 'ok').length;
+  const invalidCount = parsed.filter(r => r.status === 'invalid').length;
+
+  const updateCell = (index, column, value) => setRows(rows.map((row, i) => (i === index ? { ...row, [column]: value } : row)));
+
+  const removeRow = (index) => setRows(rows.length > 1 ? rows.filter((_, i) => i !== index) : createRows(1));
+
+  const addRows = () => setRows([...rows, ...createRows(Math.min(BULK_INITIAL_ROWS, FIRESTORE_BATCH_LIMIT - rows.length))]);
+
+  // Setas e Enter movem entre as células; Enter na última linha cria uma nova.
+  // Nos campos de texto, esquerda/direita só mudam de célula com o cursor na borda.
+  const handleKeyDown = (e, row, col) => {
+    const input = e.target;
+    const isSelect = input.tagName === 'SELECT';
+    let target = null;
+    if (e.key === 'Enter' || e.key === 'ArrowDown') target = [row + 1, col];
+    else if (e.key === 'ArrowUp') target = [row - 1, col];
+    else if (e.key === 'ArrowLeft' && (isSelect || input.selectionStart === 0)) target = [row, col - 1];
+    else if (e.key === 'ArrowRight' && (isSelect || input.selectionEnd === input.value.length)) target = [row, col + 1];
+    if (!target || target[0] < 0 || target[1] < 0 || target[1] >= BULK_COLUMNS.length) return;
+    e.preventDefault();
+    if (target[0] >= rows.length) {
+      if (e.key !== 'Enter' || rows.length >= FIRESTORE_BATCH_LIMIT) return;
+      setRows([...rows, ...createRows(1)]);
+    }
+    setFocusCell(target);
+  };
+
+  // Colagem de várias células (planilhas copiam linhas separadas por tabulação):
+  // preenche a partir da célula atual, criando as linhas que faltarem
+  const handlePaste = (e, row, col) => {
+    const text = e.clipboardData.getData('text');
+    if (!/[\t\n]/.test(text.trim())) return; // Um valor só: colagem normal
+    e.preventDefault();
+    const lines = text.split(/\r?\n/)
+      .filter(line => /\d/.test(line)) // Ignora cabeçalhos e linhas em branco
+      .map(line => line.split('\t').map(cell => cell.trim()));
+    const lastRow = Math.min(row + lines.length, FIRESTORE_BATCH_LIMIT);
+    const next = [...rows, ...createRows(Math.max(0, lastRow - rows.length))];
+    lines.slice(0, lastRow - row).forEach((cells, i) => {
+      const updated = { ...next[row + i] };
+      cells.forEach((cell, j) => {
+        const column = BULK_COLUMNS[col + j];
+        if (column) updated[column] = column === 'contexto' ? (findContextByText(cell) || '') : cell;
+      });
+      next[row + i] = updated;
+    });
+    setRows(next);
+    if (col === 0) setDateFormat(detectDateFormat(next.map(r => r.data).filter(Boolean)));
+    setMessage(row + lines.length > FIRESTORE_BATCH_LIMIT
+      ? { type: 'warning', text: t('A grade aceita até {n} linhas por vez; o restante não foi colado.', { n: FIRESTORE_BATCH_LIMIT }) }
+      : { type: null, text: '' });
+  };
+
+  // Grava todas as linhas num único lote: ou tudo é salvo, ou nada. Online espera a
+  // confirmação antes de limpar a grade; offline o commit só resolve quando o servidor
+  // responde, então a grade é limpa logo e uma falha posterior só é avisada.
+  const handleSave = async () => {
+    const toSave = parsed.filter(r => r.status === 'ok');
+    setMessage({ type: null, text: '' });
+    const saving = storage.commit(toSave.map(r => ({ type: 'set', path: storage.newDocPath(collectionPath), data: r.record })));
+    if (online) {
+      setLoading(true);
+      try {
+        await saving;
+      } catch (error) {
+        console.error("Erro ao salvar registros em lote:", error);
+        setMessage({ type: 'error', text: t('Nenhum registro foi salvo: {error}', { error: error.message }) });
+        return;
+      } finally {
+        setLoading(false);
+      }
+    } else {
+      saving.catch((error) => {
+        console.error("Erro ao salvar registros em lote:", error);
+        const failed = new Set(toSave.map(r => r.key));
+        setExistingKeys(current => createDuplicateIndex(current.keys.filter(key => !failed.has(key))));
+        setMessage({ type: 'error', text: t('Nenhum registro foi salvo: {error}', { error: error.message }) });
+      });
+    }
+
+    const dates = toSave.map(r => r.record.timestamp.toDate()).sort((a, b) => a - b);
+    const byContext = {};
+    toSave.forEach(r => {
+      const label = r.record.contexto ? getContextLabel(r.record.contexto) : t('Sem contexto');
+      byContext[label] = (byContext[label] || 0) + 1;
+    });
+    setExistingKeys(current => createDuplicateIndex([...current.keys, ...toSave.map(r => r.key)]));
+    // Tira da grade só as linhas salvas, sem descartar o que foi digitado enquanto isso
+    const savedRows = new Set(toSave.map(r => r.row));
+    setRows(current => {
+      const remaining = current.filter(row => !savedRows.has(row) && !isBulkRowEmpty(row));
+      return remaining.length > 0 ? remaining : createRows(BULK_INITIAL_ROWS);
+    });
+    setMessage({
+      type: 'success',
+      text: t('{n} leitura(s) salva(s), de {inicio} a {fim}: {detalhe}.', {
+        n: toSave.length,
+        inicio: formatDateTime(dates[0]),
+        fim: formatDateTime(dates[dates.length - 1]),
+        detalhe: Object.entries(byContext).map(([label, count]) => `${count} ${label.toLowerCase()}`).join(', '),
+      }) + (online ? '' : ` — ${t('registros salvos neste aparelho')}`),
+    });
+  };
+
+  const inputStyle = (status) => `w-full px-2 py-1 border rounded text-sm focus:ring-indigo-500 focus:border-indigo-500 ${status === 'invalid' ? 'border-red-300' : 'border-gray-300'}`;
+  const dateFormatLabel = t(DATE_FORMATS.find(f => f.value === dateFormat).label);
+
+  return (
+    <Card>
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
+        <ListPlus className="w-5 h-5 text-indigo-600" />
+        <span>{t('Vários registros de uma vez')}</span>
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        {t('Digite as leituras ou cole linhas de uma planilha (data, hora, valor e contexto). Enter e as setas mudam de célula. Nada é salvo até que todas as linhas estejam corretas, e então tudo é salvo de uma vez.')}
+      </p>
+
+      <div className="space-y-4">
+        <Select
+          label={t('Formato da data')}
+          id="bulk-date-format"
+          value={dateFormat}
+          onChange={(e) => setDateFormat(e.target.value)}
+          options={translateOptions(DATE_FORMATS)}
+        />
+
+        <div className="overflow-x-auto max-h-96 overflow-y-auto border rounded-lg">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">#</th>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">{t('Data')}</th>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">{t('Hora')}</th>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">{t('Valor ({unit})', { unit })}</th>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">{t('Contexto')}</th>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">{t('Situação')}</th>
+                <th className="px-2 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {rows.map((row, i) => {
+                const { status, error } = parsed[i];
+                const cellProps = (col) => ({
+                  id: `bulk-${i}-${col}`,
+                  onKeyDown: (e) => handleKeyDown(e, i, col),
+                  className: inputStyle(status),
+                });
+                return (
+                  <tr key={row.id} className={status === 'invalid' ? 'bg-red-50' : ''}>
+                    <td className="px-2 py-1 text-gray-400">{i + 1}</td>
+                    {['data', 'hora', 'valor'].map((column, col) => (
+                      <td key={column} className="px-1 py-1">
+                        <input
+                          {...cellProps(col)}
+                          type="text"
+                          inputMode={column === 'data' ? undefined : 'decimal'}
+                          value={row[column]}
+                          placeholder={column === 'data' ? dateFormatLabel : column === 'hora' ? 'HH:MM' : GLICEMIA_UNITS[unit].example}
+                          onChange={(e) => updateCell(i, column, e.target.value)}
+                          onPaste={(e) => handlePaste(e, i, col)}
+                        />
+                      </td>
+                    ))}
+                    <td className="px-1 py-1">
+                      <select {...cellProps(3)} value={row.contexto} onChange={(e) => updateCell(i, 'contexto', e.target.value)}>
+                        <option value="">{t('Sem contexto')}</option>
+                        {translateOptions(MEASUREMENT_CONTEXTS).map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+                      </select>
+                    </td>
+                    <td className="px-2 py-1 text-xs">
+                      {status === 'invalid' && <span className="text-red-600">{error}</span>}
+                      {status === 'ok' && <CheckCircle2 className="w-4 h-4 text-green-600" />}
+                    </td>
+                    <td className="px-1 py-1">
+                      <button type="button" onClick={() => removeRow(i)} title={t('Remover linha')} className="p-1 text-gray-400 hover:text-red-600">
+                        <X className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <Button onClick={addRows} disabled={rows.length >= FIRESTORE_BATCH_LIMIT} variant="link" icon={Plus} className="text-sm">
+          {t('Adicionar linhas')}
+        </Button>
+
+        <Message type={invalidCount > 0 ? 'warning' : 'info'}>
+          {t('{ok} linha(s) pronta(s), {invalid} com erro.', { ok: readyCount, invalid: invalidCount })}
+          {!existingKeys && ` ${t('Verificando registros existentes...')}`}
+        </Message>
+
+        {message.text && <Message type={message.type}>{message.text}</Message>}
+
+        <div className="flex space-x-3">
+          <Button onClick={onBack} variant="secondary" icon={ArrowLeft} className="flex-1">
+            {t('Voltar')}
+          </Button>
+          <Button onClick={handleSave} disabled={loading || !existingKeys || readyCount === 0 || invalidCount > 0} icon={loading ? Loader2 : Save} className="flex-1">
+            {loading ? t('Salvando...') : t('Salvar {n}', { n: readyCount })}
+          </Button>
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+// Exportação e importação em HL7 FHIR R4: um Bundle "collection" com o Patient do
+// perfil e uma Observation de glicemia por leitura (código LOINC, unidade UCUM e
+// horário com o deslocamento de quem mediu). O contexto da medição vai numa tag e
+// o id do registro num identifier, para que a importação reconstrua o registro.
+const LOINC_SYSTEM = 'http://loinc.org';
+const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+const FHIR_CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const FHIR_INTERPRETATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+const FHIR_CONTEXT_SYSTEM = 'urn:glicemia-control:contexto';
+const FHIR_RECORD_SYSTEM = 'urn:glicemia-control:registro';
+
+// A exportação usa a unidade em que os registros são salvos (mg/dL), sem arredondar,
+// para que a importação do mesmo arquivo reconheça os duplicados
+const FHIR_EXPORT_CODE = { system: LOINC_SYSTEM, code: '41653-7', display: 'Glucose [Mass/volume] in Capillary blood by Glucometer' };
+// Códigos aceitos na importação e a unidade de cada um (sangue capilar, sangue e soro/plasma)
+const FHIR_GLUCOSE_CODES = {
+  '41653-7': 'mg/dL', '2339-0': 'mg/dL', '2345-7': 'mg/dL',
+  '14743-9': 'mmol/L', '15074-8': 'mmol/L', '14749-6': 'mmol/L',
+};
+const FHIR_INTERPRETATION = { hipoglicemia: 'LL', baixo: 'L', otimo: 'N', moderado: 'H', hiperglicemia: 'HH' };
+
+// UUID v4 para os fullUrl "urn:uuid:" das entradas do Bundle
+const createUuid = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = toHex(bytes);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const formatFhirOffset = (minutes) => `${minutes < 0 ? '-' : '+'}${pad2(Math.floor(Math.abs(minutes) / 60))}:${pad2(Math.abs(minutes) % 60)}`;
+
+// Relógio de quem mediu + deslocamento (ex.: 2024-03-15T08:30:00-03:00)
+const toFhirDateTime = (reg) => {
+  const local = getRecordLocalDate(reg);
+  return `${toISODate(local)}T${toISOTime(local)}:${pad2(local.getSeconds())}${formatFhirOffset(reg.offsetMinutos)}`;
+};
+
+// Só horários completos, com fuso, situam a leitura no tempo
+const parseFhirDateTime = (text) => {
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.exec(text || '');
+  if (!match) return null;
+  const [, data, hora, zone] = match;
+  const offsetMinutos = zone === 'Z' ? 0 : (zone[0] === '-' ? -1 : 1) * (Number(zone.slice(1, 3)) * 60 + Number(zone.slice(4, 6)));
+  const date = parseLocalDateTime(data, hora, offsetMinutos);
+  return isNaN(date.getTime()) ? null : { date, offsetMinutos };
+};
+
+const buildFhirBundle = (records, profile) => {
+  const toQuantity = (mgdl) => ({ value: parseFloat(mgdl), unit: RECORD_UNIT, system: UCUM_SYSTEM, code: RECORD_UNIT });
+
+  const patientUrl = `urn:uuid:${createUuid()}`;
+  const patient = { resourceType: 'Patient' };
+  if (profile.nome) patient.name = [{ text: profile.nome }];
+  if (profile.dataNascimento) patient.birthDate = profile.dataNascimento;
+
+  const observations = records.map(reg => {
+    const targets = getTargetsFor(profile, reg.contexto);
+    return {
+      fullUrl: `urn:uuid:${createUuid()}`,
+      resource: {
+        resourceType: 'Observation',
+        ...(reg.contexto ? { meta: { tag: [{ system: FHIR_CONTEXT_SYSTEM, code: reg.contexto, display: getContextLabel(reg.contexto) }] } } : {}),
+        identifier: [{ system: FHIR_RECORD_SYSTEM, value: reg.id }],
+        status: 'final',
+        category: [{ coding: [{ system: FHIR_CATEGORY_SYSTEM, code: 'laboratory', display: 'Laboratory' }] }],
+        code: { coding: [FHIR_EXPORT_CODE], text: t('Glicemia') },
+        subject: { reference: patientUrl },
+        effectiveDateTime: toFhirDateTime(reg),
+        valueQuantity: toQuantity(reg.glicemia),
+        interpretation: [{ coding: [{ system: FHIR_INTERPRETATION_SYSTEM, code: FHIR_INTERPRETATION[classifyGlicemia(parseFloat(reg.glicemia), targets)] }] }],
+        referenceRange: [{ low: toQuantity(targets.targetLow), high: toQuantity(targets.targetHigh) }],
+      },
+    };
+  });
+
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: [{ fullUrl: patientUrl, resource: patient }, ...observations],
+  };
+};
+
+// Tipos primitivos e value sets obrigatórios da especificação R4 usados aqui
+const FHIR_YEAR = '([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)';
+const FHIR_TIME = 'T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\\.[0-9]+)?(Z|(\\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00))';
+const FHIR_PATTERNS = {
+  id: /^[A-Za-z0-9.-]{1,64}$/,
+  code: /^[^\s]+( [^\s]+)*$/,
+  uri: /^\S+$/,
+  date: new RegExp(`^${FHIR_YEAR}(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1]))?)?$`),
+  dateTime: new RegExp(`^${FHIR_YEAR}(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1])(${FHIR_TIME})?)?)?$`),
+  instant: new RegExp(`^${FHIR_YEAR}-(0[1-9]|1[0-2])-(0[1-9]|[1-2][0-9]|3[0-1])${FHIR_TIME}$`),
+};
+const FHIR_BUNDLE_TYPES = ['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection'];
+const FHIR_OBSERVATION_STATUS = ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown'];
+const FHIR_GENDERS = ['male', 'female', 'other', 'unknown'];
+
+// Valida a estrutura de um Bundle com Patients e Observations: elementos obrigatórios,
+// cardinalidade, formato dos tipos primitivos, códigos obrigatórios e referências
+// internas. Retorna a lista de erros (vazia se o Bundle estiver correto).
+const validateFhirBundle = (bundle) => {
+  const errors = [];
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const invalid = (path) => errors.push(t('{campo}: valor inválido', { campo: path }));
+  const required = (value, path) => {
+    if (value !== undefined) return true;
+    errors.push(t('{campo}: obrigatório', { campo: path }));
+    return false;
+  };
+  const checkPrimitive = (value, pattern, path) => {
+    if (value !== undefined && (typeof value !== 'string' || !pattern.test(value))) invalid(path);
+  };
+  const checkCode = (value, allowed, path) => {
+    if (value !== undefined && !allowed.includes(value)) invalid(path);
+  };
+  // Em JSON, listas FHIR nunca vêm vazias
+  const checkList = (value, path) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || value.length === 0) {
+      invalid(path);
+      return [];
+    }
+    return value;
+  };
+  const checkCoding = (coding, path) => {
+    if (!isObject(coding)) return invalid(path);
+    checkPrimitive(coding.system, FHIR_PATTERNS.uri, `${path}.system`);
+    checkPrimitive(coding.code, FHIR_PATTERNS.code, `${path}.code`);
+    if (coding.display !== undefined && typeof coding.display !== 'string') invalid(`${path}.display`);
+  };
+  const checkCodeableConcept = (concept, path) => {
+    if (!isObject(concept)) return invalid(path);
+    checkList(concept.coding, `${path}.coding`).forEach((coding, i) => checkCoding(coding, `${path}.coding[${i}]`));
+    if (concept.text !== undefined && typeof concept.text !== 'string') invalid(`${path}.text`);
+  };
+  const checkQuantity = (quantity, path) => {
+    if (!isObject(quantity)) return invalid(path);
+    if (quantity.value !== undefined && (typeof quantity.value !== 'number' || !isFinite(quantity.value))) invalid(`${path}.value`);
+    if (quantity.unit !== undefined && typeof quantity.unit !== 'string') invalid(`${path}.unit`);
+    checkPrimitive(quantity.system, FHIR_PATTERNS.uri, `${path}.system`);
+    checkPrimitive(quantity.code, FHIR_PATTERNS.code, `${path}.code`);
+    if (quantity.code !== undefined && quantity.system === undefined) required(quantity.system, `${path}.system`); // qty-3
+  };
+  const checkReference = (reference, path, fullUrls) => {
+    if (!isObject(reference)) return invalid(path);
+    if (reference.reference === undefined) return;
+    if (typeof reference.reference !== 'string') return invalid(`${path}.reference`);
+    if (reference.reference.startsWith('urn:') && !fullUrls.has(reference.reference)) {
+      errors.push(t('{campo}: referência não encontrada no Bundle', { campo: `${path}.reference` }));
+    }
+  };
+
+  const checkPatient = (patient, path) => {
+    checkList(patient.name, `${path}.name`).forEach((name, i) => {
+      if (!isObject(name)) invalid(`${path}.name[${i}]`);
+    });
+    checkCode(patient.gender, FHIR_GENDERS, `${path}.gender`);
+    checkPrimitive(patient.birthDate, FHIR_PATTERNS.date, `${path}.birthDate`);
+  };
+
+  const checkObservation = (observation, path, fullUrls) => {
+    if (observation.meta !== undefined) {
+      if (!isObject(observation.meta)) invalid(`${path}.meta`);
+      else checkList(observation.meta.tag, `${path}.meta.tag`).forEach((tag, i) => checkCoding(tag, `${path}.meta.tag[${i}]`));
+    }
+    checkList(observation.identifier, `${path}.identifier`).forEach((identifier, i) => {
+      if (!isObject(identifier)) return invalid(`${path}.identifier[${i}]`);
+      checkPrimitive(identifier.system, FHIR_PATTERNS.uri, `${path}.identifier[${i}].system`);
+      if (identifier.value !== undefined && typeof identifier.value !== 'string') invalid(`${path}.identifier[${i}].value`);
+    });
+    if (required(observation.status, `${path}.status`)) checkCode(observation.status, FHIR_OBSERVATION_STATUS, `${path}.status`);
+    checkList(observation.category, `${path}.category`).forEach((category, i) => checkCodeableConcept(category, `${path}.category[${i}]`));
+    if (required(observation.code, `${path}.code`)) checkCodeableConcept(observation.code, `${path}.code`);
+    if (observation.subject !== undefined) checkReference(observation.subject, `${path}.subject`, fullUrls);
+
+    // Elementos [x]: no máximo um tipo de cada
+    const effective = Object.keys(observation).filter(key => key.startsWith('effective'));
+    const value = Object.keys(observation).filter(key => key.startsWith('value'));
+    if (effective.length > 1) invalid(`${path}.effective[x]`);
+    if (value.length > 1) invalid(`${path}.value[x]`);
+    checkPrimitive(observation.effectiveDateTime, FHIR_PATTERNS.dateTime, `${path}.effectiveDateTime`);
+    checkPrimitive(observation.effectiveInstant, FHIR_PATTERNS.instant, `${path}.effectiveInstant`);
+    if (observation.effectivePeriod !== undefined) {
+      if (!isObject(observation.effectivePeriod)) invalid(`${path}.effectivePeriod`);
+      else {
+        checkPrimitive(observation.effectivePeriod.start, FHIR_PATTERNS.dateTime, `${path}.effectivePeriod.start`);
+        checkPrimitive(observation.effectivePeriod.end, FHIR_PATTERNS.dateTime, `${path}.effectivePeriod.end`);
+      }
+    }
+    if (observation.valueQuantity !== undefined) checkQuantity(observation.valueQuantity, `${path}.valueQuantity`);
+    checkList(observation.interpretation, `${path}.interpretation`).forEach((item, i) => checkCodeableConcept(item, `${path}.interpretation[${i}]`));
+    checkList(observation.referenceRange, `${path}.referenceRange`).forEach((range, i) => {
+      const rangePath = `${path}.referenceRange[${i}]`;
+      if (!isObject(range)) return invalid(rangePath);
+      if (range.low === undefined && range.high === undefined && range.text === undefined) invalid(rangePath); // obs-3
+      if (range.low !== undefined) checkQuantity(range.low, `${rangePath}.low`);
+      if (range.high !== undefined) checkQuantity(range.high, `${rangePath}.high`);
+    });
+  };
+
+  if (!isObject(bundle) || bundle.resourceType !== 'Bundle') return [t('O arquivo não é um Bundle FHIR.')];
+  if (required(bundle.type, 'Bundle.type')) checkCode(bundle.type, FHIR_BUNDLE_TYPES, 'Bundle.type');
+  checkPrimitive(bundle.id, FHIR_PATTERNS.id, 'Bundle.id');
+  checkPrimitive(bundle.timestamp, FHIR_PATTERNS.instant, 'Bundle.timestamp');
+
+  const entries = checkList(bundle.entry, 'Bundle.entry');
+  const fullUrls = new Set();
+  entries.forEach((entry, i) => {
+    if (!isObject(entry) || entry.fullUrl === undefined) return;
+    if (fullUrls.has(entry.fullUrl)) errors.push(t('{campo}: fullUrl repetido', { campo: `Bundle.entry[${i}].fullUrl` }));
+    fullUrls.add(entry.fullUrl);
+  });
+  entries.forEach((entry, i) => {
+    const path = `Bundle.entry[${i}]`;
+    if (!isObject(entry)) return invalid(path);
+    checkPrimitive(entry.fullUrl, FHIR_PATTERNS.uri, `${path}.fullUrl`);
+    const resource = entry.resource;
+    if (!required(resource, `${path}.resource`)) return;
+    if (!isObject(resource) || typeof resource.resourceType !== 'string') return invalid(`${path}.resource`);
+    const resourcePath = `${path}.resource(${resource.resourceType})`;
+    checkPrimitive(resource.id, FHIR_PATTERNS.id, `${resourcePath}.id`);
+    if (resource.resourceType === 'Patient') checkPatient(resource, resourcePath);
+    if (resource.resourceType === 'Observation') checkObservation(resource, resourcePath, fullUrls);
+  });
+  return errors;
+};
+
+// Interpreta uma Observation de glicemia. Retorna { error } ou { record, key }, como parseImportRow.
+const parseFhirObservation = (observation) => {
+  if (observation.status === 'cancelled' || observation.status === 'entered-in-error') {
+    return { error: t('Observação cancelada ou registrada por engano') };
+  }
+  const codings = (observation.code && observation.code.coding) || [];
+  const loinc = codings.find(c => c.system === LOINC_SYSTEM && FHIR_GLUCOSE_CODES[c.code]);
+  if (!loinc) return { error: t('Não é uma glicemia (código {code})', { code: (codings[0] && codings[0].code) || '—' }) };
+
+  const quantity = observation.valueQuantity;
+  if (!quantity || typeof quantity.value !== 'number') return { error: t('Sem valor de glicemia') };
+  const unit = (quantity.system === UCUM_SYSTEM && GLICEMIA_UNITS[quantity.code] ? quantity.code : null)
+    || guessUnitFromText(quantity.unit || '')
+    || FHIR_GLUCOSE_CODES[loinc.code];
+  const mgdl = Math.round(toMgdl(quantity.value, unit) * 10) / 10;
+  if (mgdl < PLAUSIBLE_GLICEMIA.min || mgdl > PLAUSIBLE_GLICEMIA.max) {
+    return { error: t('Valor fora da faixa plausível: {value} {unit}', { value: quantity.value, unit }) };
+  }
+
+  const time = parseFhirDateTime(observation.effectiveDateTime || observation.effectiveInstant || (observation.effectivePeriod && observation.effectivePeriod.start));
+  if (!time) return { error: t('Data ou hora inválida') };
+  const { date, offsetMinutos } = time;
+
+  const record = {
+    glicemia: mgdl,
+    unidade: RECORD_UNIT,
+    // O fuso IANA só é conhecido quando o deslocamento coincide com o do aparelho
+    ...getRecordTimeFields(date, { fusoHorario: offsetMinutos === -date.getTimezoneOffset() ? getDeviceTimeZone() : null, offsetMinutos }),
+    origem: 'fhir',
+  };
+  const tag = ((observation.meta && observation.meta.tag) || []).find(c => c.system === FHIR_CONTEXT_SYSTEM);
+  if (tag && MEASUREMENT_CONTEXTS.some(c => c.value === tag.code)) record.contexto = tag.code;
+
+  return { record, key: getDuplicateKey(date, mgdl, unit) };
+};
+
+// Tela de importação FHIR: arquivo → validação da estrutura → prévia → gravação em lotes
+const FhirImport = ({ storage, collectionPath, unit, online, onBack }) => {
+  const [fileName, setFileName] = useState('');
+  const [bundle, setBundle] = useState(null);
+  const [existingKeys, setExistingKeys] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ type: null, text: '' });
+  const [structureErrors, setStructureErrors] = useState([]);
+
+  useEffect(() => {
+    if (!storage) return;
+    loadDuplicateKeys(storage, collectionPath)
+      .then(setExistingKeys)
+      .catch(error => {
+        console.error("Erro ao carregar registros existentes:", error);
+        setMessage({ type: 'error', text: t('Erro ao carregar registros existentes: ') + error.message });
+      });
+  }, [storage, collectionPath]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setMessage({ type: null, text: '' });
+    setBundle(null);
+    setStructureErrors([]);
+    let content;
+    try {
+      content = JSON.parse(await file.text());
+    } catch (error) {
+      setMessage({ type: 'error', text: t('O arquivo não é um JSON válido.') });
+      return;
+    }
+    setFileName(file.name);
+    const errors = validateFhirBundle(content);
+    if (errors.length > 0) {
+      setStructureErrors(errors);
+      return;
+    }
+    setBundle(content);
+  };
+
+  const patientName = useMemo(() => {
+    const patient = ((bundle && bundle.entry) || []).map(entry => entry.resource).find(r => r.resourceType === 'Patient');
+    const name = patient && patient.name && patient.name[0];
+    return name ? name.text || [...(name.given || []), name.family].filter(Boolean).join(' ') : '';
+  }, [bundle]);
+
+  // Interpreta as Observations e marca duplicados (no banco ou repetidos no próprio arquivo)
+  const locale = useContext(LocaleContext);
+  const parsed = useMemo(() => {
+    if (!bundle) return [];
+    const seen = createDuplicateIndex(existingKeys ? existingKeys.keys : []);
+    return (bundle.entry || [])
+      .map((entry, i) => ({ line: i + 1, resource: entry.resource }))
+      .filter(({ resource }) => resource.resourceType === 'Observation')
+      .map(({ line, resource }) => {
+        const result = parseFhirObservation(resource);
+        if (result.error) return { line, status: 'invalid', ...result };
+        if (seen.has(result.key)) return { line, status: 'duplicate', ...result };
+        seen.add(result.key);
+        return { line, status: 'ok', ...result };
+      });
+  }, [bundle, existingKeys, locale]);
+
+  const counts = parsed.reduce((acc, r) => ({ ...acc, [r.status]: acc[r.status] + 1 }), { ok: 0, duplicate: 0, invalid: 0 });
+
+  // Mesma gravação da importação de CSV: online conta só os lotes confirmados,
+  // offline grava no aparelho sem esperar o servidor.
+  const handleImport = async () => {
+    const toImport = parsed.filter(r => r.status === 'ok');
+    const batches = [];
+    for (let i = 0; i < toImport.length; i += FIRESTORE_BATCH_LIMIT) batches.push(toImport.slice(i, i + FIRESTORE_BATCH_LIMIT));
+    const commitBatch = (batch) => storage.commit(batch.map(r => ({ type: 'set', path: storage.newDocPath(collectionPath), data: r.record })));
+    setMessage({ type: null, text: '' });
+
+    if (!online) {
+      batches.forEach(batch => commitBatch(batch).catch((error) => {
+        console.error("Erro ao importar registros FHIR:", error);
+        const failed = new Set(batch.map(r => r.key));
+        setExistingKeys(current => createDuplicateIndex(current.keys.filter(key => !failed.has(key))));
+        setMessage({ type: 'error', text: t('Erro ao importar registros: {error}', { error: error.message }) });
+      }));
+      setExistingKeys(createDuplicateIndex([...(existingKeys ? existingKeys.keys : []), ...toImport.map(r => r.key)]));
+      setMessage({
+        type: 'success',
+        text: t('{written} registro(s) importado(s). {duplicate} duplicado(s) e {invalid} inválido(s) ignorados.', { written: toImport.length, duplicate: counts.duplicate, invalid: counts.invalid })
+          + ` — ${t('registros salvos neste aparelho')}`,
+      });
+      return;
+    }
+
+    setLoading(true);
+    const written = [];
+    try {
+      for (const batch of batches) {
+        await commitBatch(batch);
+        written.push(...batch);
+      }
+      setMessage({ type: 'success', text: t('{written} registro(s) importado(s). {duplicate} duplicado(s) e {invalid} inválido(s) ignorados.', { written: written.length, duplicate: counts.duplicate, invalid: counts.invalid }) });
+    } catch (error) {
+      console.error("Erro ao importar registros FHIR:", error);
+      setMessage({ type: 'error', text: t('Erro ao importar após {written} registro(s): {error}', { written: written.length, error: error.message }) });
+    } finally {
+      setExistingKeys(createDuplicateIndex([...(existingKeys ? existingKeys.keys : []), ...written.map(r => r.key)]));
+      setLoading(false);
+    }
+  };
+
+  const STATUS_LABELS = { ok: t('OK'), duplicate: t('Duplicado'), invalid: t('Inválido') };
+  const STATUS_STYLES = { ok: 'text-green-700', duplicate: 'text-yellow-700', invalid: 'text-red-600' };
+
+  return (
+    <Card>
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
+        <Upload className="w-5 h-5 text-indigo-600" />
+        <span>{t('Importar Registros (FHIR)')}</span>
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        {t('Aceita um Bundle FHIR R4 em JSON com Observations de glicemia (códigos LOINC), como o exportado por este app. Registros que já existem (mesmo horário e valor) são ignorados.')}
+      </p>
+
+      <div className="space-y-4">
+        <input
+          type="file"
+          accept=".json,application/json,application/fhir+json"
+          onChange={handleFile}
+          className="block w-full text-sm text-gray-700 file:mr-3 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-indigo-50 file:text-indigo-700"
+        />
+
+        {structureErrors.length > 0 && (
+          <Message type="error">
+            {t('{arquivo} tem {n} erro(s) de estrutura FHIR:', { arquivo: fileName, n: structureErrors.length })}
+            <ul className="list-disc pl-5 mt-1 text-xs">
+              {structureErrors.slice(0, 10).map(error => <li key={error}>{error}</li>)}
+            </ul>
+          </Message>
+        )}
+
+        {bundle && (
+          <>
+            <p className="text-sm text-gray-500">
+              {fileName}: {t('{n} Observation(s)', { n: parsed.length })}
+              {patientName && <> — {t('Paciente:')} {patientName}</>}
+            </p>
+
+            <Message type="info">
+              {t('{ok} para importar, {duplicate} duplicado(s), {invalid} inválido(s).', counts)}
+              {!existingKeys && ` ${t('Verificando registros existentes...')}`}
+            </Message>
+
+            {/* Prévia */}
+            <div className="overflow-x-auto max-h-72 overflow-y-auto border rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">{t('Entrada')}</th>
+                    <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">{t('Data/Hora')}</th>
+                    <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">{t('Valor')}</th>
+                    <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">{t('Situação')}</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {parsed.slice(0, 50).map(r => (
+                    <tr key={r.line}>
+                      <td className="px-2 py-1 text-gray-500">{r.line}</td>
+                      <td className="px-2 py-1">{r.record ? formatRecordDateTime(r.record) : '—'}</td>
+                      <td className="px-2 py-1">{r.record ? formatGlicemiaWithUnit(r.record.glicemia, unit) : '—'}</td>
+                      <td className={`px-2 py-1 ${STATUS_STYLES[r.status]}`}>{r.error || STATUS_LABELS[r.status]}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {parsed.length > 50 && <p className="text-xs text-gray-400">{t('Mostrando as primeiras 50 de {n} linhas.', { n: parsed.length })}</p>}
+          </>
+        )}
+
+        {message.text && <Message type={message.type}>{message.text}</Message>}
+
+        <div className="flex space-x-3">
+          <Button onClick={onBack} variant="secondary" icon={ArrowLeft} className="flex-1">
+            {t('Voltar')}
+          </Button>
+          {bundle && (
+            <Button onClick={handleImport} disabled={loading || !existingKeys || counts.ok === 0} icon={loading ? Loader2 : Upload} className="flex-1">
+              {loading ? t('Importando...') : t('Importar {n}', { n: counts.ok })}
+            </Button>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+// Relatório para o médico: identificação, estatísticas, diário por dia e contexto,
+// eventos de hipo/hiperglicemia e gráficos, com layout pensado para impressão em A4.
+const REPORT_DEFAULT_DAYS = 14;
+
+const toISODate = (date) => `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+const toISOTime = (date) => `${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+
+// Lista de datas (AAAA-MM-DD) entre início e fim, inclusive
+const listDays = (dataInicio, dataFim) => {
+  const days = [];
+  const end = new Date(`${dataFim}T00:00:00`);
+  for (let d = new Date(`${dataInicio}T00:00:00`); d <= end; d.setDate(d.getDate() + 1)) days.push(toISODate(d));
+  return days;
+};
+
+// Exibe uma data AAAA-MM-DD no formato do idioma ativo (só dia e mês, se "short")
+const formatISODate = (isoDate, short = false) => {
+  const date = new Date(`${isoDate}T00:00:00`);
+  return short ? formatShortDate(date) : formatDate(date);
+};
+
+// Exibe um horário HH:MM (faixas, lembretes) no formato do idioma ativo
+const formatClock = (hhmm) => formatTime(new Date(`2000-01-01T${hhmm}:00`));
+
+const DoctorReport = ({ storage, collectionPath, profile, onBack }) => {
+  const { unidade: unit, targets } = profile;
+  const todayDate = new Date();
+  const startDate = new Date();
+  startDate.setDate(todayDate.getDate() - (REPORT_DEFAULT_DAYS - 1));
+  const [dataInicio, setDataInicio] = useState(toISODate(startDate));
+  const [dataFim, setDataFim] = useState(toISODate(todayDate));
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // O relatório lê todos os registros do período, sem o limite da tabela
+  useEffect(() => {
+    if (!storage) return;
+    setLoading(true);
+    setError('');
+    storage.list(collectionPath, getDayRange(dataInicio, dataFim, 'asc'))
+      .then(items => setRecords(items.map(toRecord)))
+      .catch(err => {
+        console.error("Erro ao carregar relatório:", err);
+        setError(t('Erro ao carregar registros: ') + err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [storage, collectionPath, dataInicio, dataFim]);
+
+  const stats = useMemo(() => computeStats(getRecordValues(records), targets), [records, targets]);
+
+  // Hipo e hiperglicemias, classificadas pelas faixas-alvo do contexto de cada leitura
+  const events = useMemo(() => records
+    .map(reg => ({ reg, level: classifyGlicemia(parseFloat(reg.glicemia), getTargetsFor(profile, reg.contexto)) }))
+    .filter(e => e.level === 'hipoglicemia' || e.level === 'hiperglicemia'), [records, profile]);
+
+  // Diário: uma linha por dia e uma coluna por contexto (mais "sem contexto", se houver)
+  const logbookColumns = useMemo(() => [
+    ...MEASUREMENT_CONTEXTS,
+    ...(records.some(r => !r.contexto) ? [{ value: '', label: 'Sem contexto' }] : []),
+  ], [records]);
+  const logbook = useMemo(() => {
+    const byDay = {};
+    records.forEach(reg => {
+      const day = getRecordDay(reg);
+      const column = reg.contexto || '';
+      byDay[day] = byDay[day] || {};
+      byDay[day][column] = [...(byDay[day][column] || []), reg];
+    });
+    return listDays(dataInicio, dataFim).map(day => ({ day, cells: byDay[day] || {} }));
+  }, [records, dataInicio, dataFim]);
+
+  const hypoCount = events.filter(e => e.level === 'hipoglicemia').length;
+
+  return (
+    <div className="space-y-6">
+      <Card className="no-print">
+        <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
+          <FileText className="w-5 h-5 text-indigo-600" />
+          <span>{t('Relatório para o Médico')}</span>
+        </h2>
         <div className="grid grid-cols-2 gap-4 mb-4">
-          <DateInput
-            label="De"
-            id="data-inicio"
-            value={dataInicio}
-            onChange={(e) => setDataInicio(e.target.value)}
+          <DateInput label={t('De')} id="report-inicio" value={dataInicio} onChange={(e) => setDataInicio(e.target.value)} />
+          <DateInput label={t('Até')} id="report-fim" value={dataFim} onChange={(e) => setDataFim(e.target.value)} />
+        </div>
+        {!profile.nome && (
+          <div className="mb-4">
+            <Message type="warning">{t('Informe o nome do paciente nas Configurações para identificá-lo no relatório.')}</Message>
+          </div>
+        )}
+        <div className="flex space-x-3">
+          <Button onClick={onBack} variant="secondary" icon={ArrowLeft} className="flex-1">
+            {t('Voltar')}
+          </Button>
+          <Button onClick={() => window.print()} disabled={loading} icon={Printer} className="flex-1">
+            {t('Imprimir / PDF')}
+          </Button>
+        </div>
+      </Card>
+
+      {error && <Message type="error">{error}</Message>}
+
+      {loading ? (
+        <Loader2 className="w-6 h-6 animate-spin mx-auto text-indigo-500" />
+      ) : (
+        <div className="report-a4 bg-white p-6 rounded-xl shadow-lg space-y-6 text-sm text-gray-800">
+          {/* Identificação */}
+          <section className="border-b pb-3">
+            <h2 className="text-xl font-bold">{t('Relatório de Glicemia')}</h2>
+            <div className="grid grid-cols-2 gap-x-4 mt-2">
+              <div><span className="text-gray-500">{t('Paciente:')}</span> {profile.nome || '—'}</div>
+              <div><span className="text-gray-500">{t('Nascimento:')}</span> {profile.dataNascimento ? formatISODate(profile.dataNascimento) : '—'}</div>
+              <div><span className="text-gray-500">{t('Período:')}</span> {t('{inicio} a {fim}', { inicio: formatISODate(dataInicio), fim: formatISODate(dataFim) })}</div>
+              <div><span className="text-gray-500">{t('Emitido em:')}</span> {formatDate(new Date())}</div>
+              <div className="col-span-2">
+                <span className="text-gray-500">{t('Faixa-alvo:')}</span> {formatGlicemia(targets.targetLow, unit)}–{formatGlicemiaWithUnit(targets.targetHigh, unit)}
+                {' '}({t('hipo')} &lt; {formatGlicemia(targets.low, unit)}, {t('hiper')} &gt; {formatGlicemia(targets.high, unit)})
+              </div>
+            </div>
+          </section>
+
+          {/* Estatísticas */}
+          <section className="chart-block">
+            <h3 className="font-semibold text-lg mb-2">{t('Estatísticas ({n} leituras)', { n: stats.count })}</h3>
+            {stats.count === 0 ? (
+              <p className="text-gray-500">{t('Nenhum registro no período.')}</p>
+            ) : (
+              <>
+                <div className="grid grid-cols-3 gap-2 mb-3">
+                  <div><span className="text-gray-500">{t('Média:')}</span> <strong>{formatGlicemiaWithUnit(stats.avg, unit)}</strong></div>
+                  <div><span className="text-gray-500">{t('Mínimo:')}</span> {formatGlicemiaWithUnit(stats.min, unit)}</div>
+                  <div><span className="text-gray-500">{t('Máximo:')}</span> {formatGlicemiaWithUnit(stats.max, unit)}</div>
+                  <div><span className="text-gray-500">{t('Hipoglicemias:')}</span> {hypoCount}</div>
+                  <div><span className="text-gray-500">{t('Hiperglicemias:')}</span> {events.length - hypoCount}</div>
+                  <div><span className="text-gray-500">{t('Leituras/dia:')}</span> {formatNumber(stats.count / Math.max(1, logbook.length), 1)}</div>
+                </div>
+                <ClinicalMetrics stats={stats} unit={unit} />
+              </>
+            )}
+          </section>
+
+          {/* Diário */}
+          <section>
+            <h3 className="font-semibold text-lg mb-2">{t('Diário ({unit})', { unit })}</h3>
+            <table className="w-full border-collapse text-xs">
+              <thead>
+                <tr>
+                  <th className="border px-1 py-1 text-left">{t('Dia')}</th>
+                  {logbookColumns.map(c => <th key={c.value} className="border px-1 py-1">{t(c.label)}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {logbook.map(({ day, cells }) => (
+                  <tr key={day} className="break-inside-avoid">
+                    <td className="border px-1 py-1 whitespace-nowrap">{formatISODate(day, true)}</td>
+                    {logbookColumns.map(c => (
+                      <td key={c.value} className="border px-1 py-1 text-center">
+                        {(cells[c.value] || []).map(reg => (
+                          <span
+                            key={reg.id}
+                            title={formatRecordTime(reg)}
+                            className={`inline-block px-1 rounded ${GLICEMIA_LEVELS[classifyGlicemia(parseFloat(reg.glicemia), getTargetsFor(profile, reg.contexto))].style}`}
+                          >
+                            {formatGlicemia(reg.glicemia, unit)}
+                          </span>
+                        ))}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          {/* Eventos */}
+          <section className="chart-block">
+            <h3 className="font-semibold text-lg mb-2">{t('Eventos de hipo e hiperglicemia')}</h3>
+            {events.length === 0 ? (
+              <p className="text-gray-500">{t('Nenhum evento no período.')}</p>
+            ) : (
+              <table className="w-full border-collapse text-xs">
+                <thead>
+                  <tr>
+                    <th className="border px-1 py-1 text-left">{t('Data')}</th>
+                    <th className="border px-1 py-1 text-left">{t('Hora')}</th>
+                    <th className="border px-1 py-1 text-left">{t('Valor')}</th>
+                    <th className="border px-1 py-1 text-left">{t('Contexto')}</th>
+                    <th className="border px-1 py-1 text-left">{t('Evento')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {events.map(({ reg, level }) => (
+                    <tr key={reg.id}>
+                      <td className="border px-1 py-1">{formatRecordDate(reg)}</td>
+                      <td className="border px-1 py-1">{formatRecordTime(reg)}</td>
+                      <td className={`border px-1 py-1 ${GLICEMIA_LEVELS[level].style}`}>{formatGlicemiaWithUnit(reg.glicemia, unit)}</td>
+                      <td className="border px-1 py-1">{getContextLabel(reg.contexto)}</td>
+                      <td className="border px-1 py-1">{t(GLICEMIA_LEVELS[level].label)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+
+          {/* Gráficos */}
+          <section className="print-page-break">
+            <GlicemiaCharts records={records} targets={targets} unit={unit} dataInicio={dataInicio} dataFim={dataFim} />
+          </section>
+
+          <p className="print-only text-xs text-gray-400 border-t pt-2">
+            {t('Gerado pelo Glicemia Control em {data}. Valores informados pelo paciente.', { data: formatDateTime(new Date()) })}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Diário no formato do caderno impresso: uma linha por dia e uma coluna por horário
+// (antes/depois de cada refeição, antes de dormir e madrugada). Cada horário tem o
+// contexto e a hora usados para preencher o formulário ao tocar numa célula vazia.
+const LOGBOOK_MEALS = [
+  { value: 'cafe', label: 'Café da manhã', start: 4 * 60 },
+  { value: 'almoco', label: 'Almoço', start: 10 * 60 + 30 },
+  { value: 'jantar', label: 'Jantar', start: 16 * 60 },
+];
+const LOGBOOK_SLOTS = [
+  { value: 'cafe_antes', refeicao: 'cafe', momento: 'antes', label: 'Antes', contexto: 'jejum', hora: '07:00' },
+  { value: 'cafe_depois', refeicao: 'cafe', momento: 'depois', label: 'Depois', contexto: 'pos_refeicao', hora: '09:00' },
+  { value: 'almoco_antes', refeicao: 'almoco', momento: 'antes', label: 'Antes', contexto: 'pre_refeicao', hora: '12:00' },
+  { value: 'almoco_depois', refeicao: 'almoco', momento: 'depois', label: 'Depois', contexto: 'pos_refeicao', hora: '14:00' },
+  { value: 'jantar_antes', refeicao: 'jantar', momento: 'antes', label: 'Antes', contexto: 'pre_refeicao', hora: '19:00' },
+  { value: 'jantar_depois', refeicao: 'jantar', momento: 'depois', label: 'Depois', contexto: 'pos_refeicao', hora: '21:00' },
+  { value: 'dormir', label: 'Antes de dormir', contexto: 'antes_dormir', hora: '22:30' },
+  { value: 'madrugada', label: 'Madrugada', contexto: 'madrugada', hora: '03:00' },
+];
+
+const clockToMinutes = (hhmm) => parseInt(hhmm.slice(0, 2), 10) * 60 + parseInt(hhmm.slice(3, 5), 10);
+
+// Refeição a que pertence um horário; antes das 04:00 ainda conta como jantar
+const getLogbookMeal = (minutes) => (
+  [...LOGBOOK_MEALS].reverse().find(m => minutes >= m.start) || LOGBOOK_MEALS[LOGBOOK_MEALS.length - 1]
+).value;
+
+// Jejum, antes de dormir e madrugada têm coluna própria; antes/depois da refeição vão
+// para a refeição do horário da leitura; sem contexto, para o horário mais próximo.
+const getLogbookSlot = (reg) => {
+  const minutes = getRecordMinutes(reg);
+  if (reg.contexto === 'pre_refeicao' || reg.contexto === 'pos_refeicao') {
+    const refeicao = getLogbookMeal(minutes);
+    const momento = reg.contexto === 'pre_refeicao' ? 'antes' : 'depois';
+    return LOGBOOK_SLOTS.find(s => s.refeicao === refeicao && s.momento === momento).value;
+  }
+  const byContext = reg.contexto === 'jejum' ? LOGBOOK_SLOTS[0] : LOGBOOK_SLOTS.find(s => !s.refeicao && s.contexto === reg.contexto);
+  if (byContext) return byContext.value;
+  const distance = (slot) => {
+    const diff = Math.abs(clockToMinutes(slot.hora) - minutes);
+    return Math.min(diff, 24 * 60 - diff);
+  };
+  return LOGBOOK_SLOTS.reduce((best, slot) => (distance(slot) < distance(best) ? slot : best)).value;
+};
+
+const getLogbookSlotLabel = (slot) => {
+  const meal = LOGBOOK_MEALS.find(m => m.value === slot.refeicao);
+  return meal ? `${t(meal.label)} (${t(slot.label).toLowerCase()})` : t(slot.label);
+};
+
+const LogbookGrid = ({ records, profile, dataInicio, dataFim, onAddEntry }) => {
+  const unit = profile.unidade;
+
+  const rows = useMemo(() => {
+    const byDay = {};
+    records.forEach(reg => {
+      const day = getRecordDay(reg);
+      const slot = getLogbookSlot(reg);
+      byDay[day] = byDay[day] || {};
+      byDay[day][slot] = [...(byDay[day][slot] || []), reg];
+    });
+    Object.values(byDay).forEach(cells => Object.values(cells).forEach(regs => regs.sort((a, b) => getRecordDate(a) - getRecordDate(b))));
+    return listDays(dataInicio, dataFim).map(day => ({ day, cells: byDay[day] || {} }));
+  }, [records, dataInicio, dataFim]);
+
+  return (
+    <div className="mt-4">
+      {onAddEntry && (
+        <p className="text-xs text-gray-500 mb-2 no-print">{t('Toque em uma célula vazia para registrar a leitura daquele dia e horário.')}</p>
+      )}
+      <div className="overflow-x-auto">
+        <table className="min-w-full border-collapse text-xs">
+          <thead className="bg-gray-50">
+            <tr>
+              <th rowSpan="2" className="border px-2 py-1 text-left">{t('Dia')}</th>
+              {LOGBOOK_MEALS.map(m => <th key={m.value} colSpan="2" className="border px-2 py-1">{t(m.label)}</th>)}
+              {LOGBOOK_SLOTS.filter(s => !s.refeicao).map(s => <th key={s.value} rowSpan="2" className="border px-2 py-1">{t(s.label)}</th>)}
+            </tr>
+            <tr>
+              {LOGBOOK_SLOTS.filter(s => s.refeicao).map(s => <th key={s.value} className="border px-2 py-1 font-normal text-gray-500">{t(s.label)}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ day, cells }) => (
+              <tr key={day}>
+                <td className="border px-2 py-1 whitespace-nowrap">{formatISODate(day, true)}</td>
+                {LOGBOOK_SLOTS.map(slot => {
+                  const regs = cells[slot.value] || [];
+                  if (regs.length === 0) {
+                    return (
+                      <td key={slot.value} className="border p-1 text-center">
+                        {onAddEntry ? (
+                          <button
+                            type="button"
+                            onClick={() => onAddEntry(day, slot)}
+                            title={t('Registrar: {dia}, {horario}', { dia: formatISODate(day), horario: getLogbookSlotLabel(slot) })}
+                            className="w-full min-w-[3rem] py-1 rounded border border-dashed border-gray-300 text-gray-400 hover:bg-indigo-50 hover:text-indigo-600 hover:border-indigo-300"
+                          >
+                            <Plus className="w-3 h-3 mx-auto" />
+                          </button>
+                        ) : (
+                          <span className="block min-w-[3rem] py-1 rounded bg-gray-100 text-gray-400">—</span>
+                        )}
+                      </td>
+                    );
+                  }
+                  return (
+                    <td key={slot.value} className="border p-1 text-center">
+                      <div className="space-y-1">
+                        {regs.map(reg => (
+                          <span
+                            key={reg.id}
+                            title={`${formatRecordTime(reg)} — ${getContextLabel(reg.contexto)}`}
+                            className={`block min-w-[3rem] px-1 py-1 rounded border ${GLICEMIA_LEVELS[classifyGlicemia(parseFloat(reg.glicemia), getTargetsFor(profile, reg.contexto))].style}`}
+                          >
+                            {formatGlicemia(reg.glicemia, unit)}
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex flex-wrap gap-2 mt-2 text-xs">
+        {Object.entries(GLICEMIA_LEVELS).map(([level, { label, style }]) => (
+          <span key={level} className={`px-2 py-0.5 rounded border ${style}`}>{t(label)}</span>
+        ))}
+        <span className="text-gray-500 self-center">{unit}</span>
+      </div>
+    </div>
+  );
+};
+
+const TARGET_FIELDS = [
+  { field: 'low', label: 'Hipoglicemia abaixo de' },
+  { field: 'high', label: 'Hiperglicemia acima de' },
+  { field: 'targetLow', label: 'Meta mínima' },
+  { field: 'targetHigh', label: 'Meta máxima' },
+];
+
+// Os limites são salvos em mg/dL e editados na unidade escolhida
+const targetsToForm = (targets, unit) => Object.fromEntries(TARGET_FIELDS.map(({ field }) => [field, formatGlicemiaInput(targets[field], unit)]));
+const formToTargets = (values, unit) => Object.fromEntries(TARGET_FIELDS.map(({ field }) => [field, toMgdl(parseFloat(values[field]), unit)]));
+const convertTargetsForm = (values, fromUnit, toUnit) => targetsToForm(formToTargets(values, fromUnit), toUnit);
+
+// Parâmetros da calculadora de bolus no formulário (alvo e fator de correção na unidade do usuário)
+const bolusToForm = (bolus, unit) => ({
+  alvo: formatGlicemiaInput(bolus.alvo, unit),
+  duracaoInsulina: String(bolus.duracaoInsulina),
+  faixas: bolus.faixas.map(f => ({ inicio: f.inicio, icr: String(f.icr), fc: formatGlicemiaInput(f.fc, unit) })),
+});
+const formToBolus = (values, unit) => ({
+  alvo: toMgdl(parseFloat(values.alvo), unit),
+  duracaoInsulina: parseFloat(values.duracaoInsulina),
+  faixas: values.faixas
+    .map(f => ({ inicio: f.inicio, icr: parseFloat(f.icr), fc: toMgdl(parseFloat(f.fc), unit) }))
+    .sort((a, b) => a.inicio.localeCompare(b.inicio)),
+});
+// Na troca de unidade, campos ainda vazios continuam vazios
+const convertGlicemiaText = (text, fromUnit, toUnit) => (text === '' ? '' : formatGlicemiaInput(toMgdl(parseFloat(text), fromUnit), toUnit));
+const convertBolusForm = (values, fromUnit, toUnit) => ({
+  ...values,
+  alvo: convertGlicemiaText(values.alvo, fromUnit, toUnit),
+  faixas: values.faixas.map(f => ({ ...f, fc: convertGlicemiaText(f.fc, fromUnit, toUnit) })),
+});
+
+const validateBolus = (bolus) => {
+  if (isNaN(bolus.alvo) || bolus.alvo <= 0) return t('Informe a glicemia-alvo da calculadora.');
+  if (isNaN(bolus.duracaoInsulina) || bolus.duracaoInsulina < 2 || bolus.duracaoInsulina > 8) {
+    return t('A duração de ação da insulina deve ficar entre 2 e 8 horas.');
+  }
+  if (bolus.faixas.some(f => !/^\d{2}:\d{2}$/.test(f.inicio) || isNaN(f.icr) || f.icr <= 0 || isNaN(f.fc) || f.fc <= 0)) {
+    return t('Cada faixa horária precisa de início, razão insulina/carboidrato e fator de correção positivos.');
+  }
+  if (new Set(bolus.faixas.map(f => f.inicio)).size !== bolus.faixas.length) {
+    return t('Duas faixas horárias não podem começar no mesmo horário.');
+  }
+  return null;
+};
+
+// Grupo com os quatro limites (gerais ou de um contexto de medição)
+const TargetFields = ({ idPrefix, values, onChange, unit }) => (
+  <div className="grid grid-cols-2 gap-4">
+    {TARGET_FIELDS.map(({ field, label }) => (
+      <Input
+        key={field}
+        label={`${t(label)} (${unit})`}
+        id={`${idPrefix}-${field}`}
+        type="number"
+        step={GLICEMIA_UNITS[unit].step}
+        value={values[field]}
+        onChange={(e) => onChange({ ...values, [field]: e.target.value })}
+        required
+      />
+    ))}
+  </div>
+);
+
+const ProfileSettings = ({ profile, saveProfile, onBack }) => {
+  const [nome, setNome] = useState(profile.nome || '');
+  const [dataNascimento, setDataNascimento] = useState(profile.dataNascimento || '');
+  const [unit, setUnit] = useState(profile.unidade);
+  const [insulinas, setInsulinas] = useState(profile.insulinas);
+  const [bolusValues, setBolusValues] = useState(() => bolusToForm(profile.bolus, profile.unidade));
+  const [values, setValues] = useState(() => targetsToForm(profile.targets, profile.unidade));
+  // Contextos com limites próprios (os demais usam os limites gerais)
+  const [contextValues, setContextValues] = useState(() => Object.fromEntries(
+    Object.entries(profile.targetsByContext).map(([contexto, targets]) => [contexto, targetsToForm(targets, profile.unidade)])
+  ));
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ type: null, text: '' });
+
+  const toggleContext = (contexto) => {
+    const { [contexto]: current, ...others } = contextValues;
+    setContextValues(current ? others : { ...others, [contexto]: { ...values } });
+  };
+
+  // Ao trocar a unidade, os limites já digitados são convertidos
+  const handleUnitChange = (e) => {
+    const newUnit = e.target.value;
+    setValues(convertTargetsForm(values, unit, newUnit));
+    setContextValues(Object.fromEntries(
+      Object.entries(contextValues).map(([contexto, v]) => [contexto, convertTargetsForm(v, unit, newUnit)])
+    ));
+    setBolusValues(convertBolusForm(bolusValues, unit, newUnit));
+    setUnit(newUnit);
+  };
+
+  const setFaixa = (i, field, value) => setBolusValues({
+    ...bolusValues,
+    faixas: bolusValues.faixas.map((f, j) => (j === i ? { ...f, [field]: value } : f)),
+  });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setMessage({ type: null, text: '' });
+
+    const newTargets = formToTargets(values, unit);
+    let error = validateTargets(newTargets);
+    if (error) {
+      setMessage({ type: 'error', text: error });
+      return;
+    }
+
+    const targetsByContext = {};
+    for (const [contexto, ctxValues] of Object.entries(contextValues)) {
+      targetsByContext[contexto] = formToTargets(ctxValues, unit);
+      error = validateTargets(targetsByContext[contexto]);
+      if (error) {
+        setMessage({ type: 'error', text: `${getContextLabel(contexto)}: ${error}` });
+        return;
+      }
+    }
+
+    const bolus = formToBolus(bolusValues, unit);
+    error = validateBolus(bolus);
+    if (error) {
+      setMessage({ type: 'error', text: error });
+      return;
+    }
+
+    const newInsulinas = insulinas.map(ins => ({ ...ins, nome: ins.nome.trim() })).filter(ins => ins.nome);
+
+    setLoading(true);
+    try {
+      await saveProfile({ nome: nome.trim(), dataNascimento, unidade: unit, targets: newTargets, targetsByContext, insulinas: newInsulinas, bolus });
+      setInsulinas(newInsulinas);
+      setMessage({ type: 'success', text: t('Configurações salvas! O histórico já usa a nova unidade e os novos limites.') });
+    } catch (error) {
+      console.error("Erro ao salvar configurações:", error);
+      setMessage({ type: 'error', text: t('Erro ao salvar: ') + error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card>
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
+        <Settings className="w-5 h-5 text-indigo-600" />
+        <span>{t('Configurações')}</span>
+      </h2>
+      <form onSubmit={handleSave} className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <Input label={t('Nome do paciente')} id="paciente-nome" value={nome} onChange={(e) => setNome(e.target.value)} placeholder={t('Usado no relatório')} />
+          <DateInput label={t('Data de nascimento')} id="paciente-nascimento" value={dataNascimento} onChange={(e) => setDataNascimento(e.target.value)} />
+        </div>
+        <Select
+          label={t('Unidade de glicemia')}
+          id="unidade"
+          value={unit}
+          onChange={handleUnitChange}
+          options={Object.keys(GLICEMIA_UNITS).map(u => ({ value: u, label: u }))}
+        />
+
+        <div className="pt-4 border-t space-y-3">
+          <h3 className="font-semibold text-gray-700">{t('Faixas-alvo')}</h3>
+          <p className="text-sm text-gray-600">
+            {t('Defina os limites indicados pelo seu médico. Eles são usados nas cores do resumo e do histórico.')}
+          </p>
+          <TargetFields idPrefix="target" values={values} onChange={setValues} unit={unit} />
+        </div>
+
+        <div className="pt-4 border-t space-y-3">
+          <h3 className="font-semibold text-gray-700">{t('Limites por contexto de medição')}</h3>
+          <p className="text-xs text-gray-500">{t('Ex.: metas diferentes para jejum e para 2h após a refeição.')}</p>
+          {MEASUREMENT_CONTEXTS.map(({ value, label }) => (
+            <div key={value} className="space-y-2">
+              <div className="flex items-center space-x-2">
+                <input
+                  id={`ctx-${value}`}
+                  type="checkbox"
+                  checked={!!contextValues[value]}
+                  onChange={() => toggleContext(value)}
+                  className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                />
+                <label htmlFor={`ctx-${value}`} className="text-sm text-gray-700">{t('{contexto}: limites próprios', { contexto: t(label) })}</label>
+              </div>
+              {contextValues[value] && (
+                <TargetFields
+                  idPrefix={`target-${value}`}
+                  values={contextValues[value]}
+                  onChange={(v) => setContextValues({ ...contextValues, [value]: v })}
+                  unit={unit}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="pt-4 border-t space-y-3">
+          <h3 className="font-semibold text-gray-700">{t('Minhas insulinas')}</h3>
+          {insulinas.map((ins, i) => (
+            <div key={i} className="flex items-end space-x-2">
+              <Input
+                label={t('Nome')}
+                id={`insulina-nome-${i}`}
+                value={ins.nome}
+                onChange={(e) => setInsulinas(insulinas.map((item, j) => (j === i ? { ...item, nome: e.target.value } : item)))}
+                placeholder={t('Ex: Lantus')}
+                className="flex-1"
+              />
+              <Select
+                label={t('Tipo')}
+                id={`insulina-tipo-${i}`}
+                value={ins.tipo}
+                onChange={(e) => setInsulinas(insulinas.map((item, j) => (j === i ? { ...item, tipo: e.target.value } : item)))}
+                options={translateOptions(INSULIN_TYPES)}
+                className="flex-1"
+              />
+              <button type="button" onClick={() => setInsulinas(insulinas.filter((_, j) => j !== i))} title={t('Remover')} className="p-2 mb-1 text-red-500 hover:text-red-700">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          <Button onClick={() => setInsulinas([...insulinas, { nome: '', tipo: 'basal' }])} variant="secondary" icon={Plus} className="w-full text-sm">
+            {t('Adicionar insulina')}
+          </Button>
+        </div>
+
+        <div className="pt-4 border-t space-y-3">
+          <h3 className="font-semibold text-gray-700">{t('Calculadora de bolus')}</h3>
+          <p className="text-xs text-gray-500">
+            {t('Use os valores definidos pela sua equipe de saúde. Cada faixa vale a partir do horário de início até a próxima.')}
+          </p>
+          <div className="grid grid-cols-2 gap-4">
+            <Input
+              label={t('Glicemia-alvo ({unit})', { unit })}
+              id="bolus-alvo"
+              type="number"
+              step={GLICEMIA_UNITS[unit].step}
+              value={bolusValues.alvo}
+              onChange={(e) => setBolusValues({ ...bolusValues, alvo: e.target.value })}
+            />
+            <Input
+              label={t('Duração da insulina (h)')}
+              id="bolus-duracao"
+              type="number"
+              step="0.5"
+              value={bolusValues.duracaoInsulina}
+              onChange={(e) => setBolusValues({ ...bolusValues, duracaoInsulina: e.target.value })}
+            />
+          </div>
+          {bolusValues.faixas.map((f, i) => (
+            <div key={i} className="flex items-end space-x-2">
+              <TimeInput label={t('Início')} id={`faixa-inicio-${i}`} value={f.inicio} onChange={(e) => setFaixa(i, 'inicio', e.target.value)} className="flex-1" />
+              <Input label={t('g por 1 U')} id={`faixa-icr-${i}`} type="number" step="0.5" value={f.icr} onChange={(e) => setFaixa(i, 'icr', e.target.value)} className="flex-1" />
+              <Input
+                label={t('{unit} por 1 U', { unit })}
+                id={`faixa-fc-${i}`}
+                type="number"
+                step={GLICEMIA_UNITS[unit].step}
+                value={f.fc}
+                onChange={(e) => setFaixa(i, 'fc', e.target.value)}
+                className="flex-1"
+              />
+              <button type="button" onClick={() => setBolusValues({ ...bolusValues, faixas: bolusValues.faixas.filter((_, j) => j !== i) })} title={t('Remover')} className="p-2 mb-1 text-red-500 hover:text-red-700">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          <Button
+            onClick={() => setBolusValues({ ...bolusValues, faixas: [...bolusValues.faixas, { inicio: bolusValues.faixas.length ? '12:00' : '00:00', icr: '', fc: '' }] })}
+            variant="secondary"
+            icon={Plus}
+            className="w-full text-sm"
+          >
+            {t('Adicionar faixa horária')}
+          </Button>
+        </div>
+
+        {message.text && <Message type={message.type}>{message.text}</Message>}
+
+        <div className="flex space-x-3">
+          <Button onClick={onBack} variant="secondary" icon={ArrowLeft} className="flex-1">
+            {t('Voltar')}
+          </Button>
+          <Button type="submit" disabled={loading} icon={loading ? Loader2 : Save} className="flex-1">
+            {loading ? t('Salvando...') : t('Salvar')}
+          </Button>
+        </div>
+      </form>
+    </Card>
+  );
+};
+
+// Valida os campos do formulário e monta os dados do registro no formato salvo no Firestore.
+// O valor digitado na unidade do usuário é convertido para mg/dL.
+// Retorna { error } com a mensagem a exibir ou { record } pronto para gravar.
+// Na edição, "zone" traz o fuso do registro original: a data e a hora digitadas
+// continuam sendo as do relógio de onde a medição foi feita.
+const buildGlicemiaRecord = (glicemia, data, hora, contexto, unit, zone = null) => {
+  const glicemiaValue = parseFloat(glicemia);
+  if (isNaN(glicemiaValue) || glicemiaValue <= 0) {
+    return { error: t('Por favor, insira um valor de glicemia válido.') };
+  }
+  if (!MEASUREMENT_CONTEXTS.some(c => c.value === contexto)) {
+    return { error: t('Selecione o contexto da medição.') };
+  }
+
+  const recordDate = parseLocalDateTime(data, hora, zone ? zone.offsetMinutos : undefined);
+  if (isNaN(recordDate.getTime())) {
+    return { error: t('Data ou hora inválida.') };
+  }
+
+  return {
+    record: {
+      glicemia: Math.round(toMgdl(glicemiaValue, unit) * 10) / 10, // Salva em mg/dL
+      unidade: RECORD_UNIT,
+      contexto: contexto,
+      ...getRecordTimeFields(recordDate, zone),
+    },
+  };
+};
+
+// Converte a data da versão 1 do esquema (DD/MM/YYYY) para YYYY-MM-DD
+const toInputDate = (dataBR) => (dataBR || '').split('/').reverse().join('-');
+
+// Campos registrados no histórico de alterações (valor anterior / valor novo).
+// Entradas antigas do histórico guardam "data" e "hora", por isso o normalizeRecord.
+const pickHistoryFields = (reg) => ({
+  glicemia: reg.glicemia,
+  timestamp: reg.timestamp,
+  fusoHorario: reg.fusoHorario || null,
+  offsetMinutos: reg.offsetMinutos,
+  contexto: reg.contexto || null,
+  versao: RECORD_SCHEMA_VERSION,
+});
+
+// Entradas do histórico da mais recente para a mais antiga. A consulta por "registroId"
+// não é ordenada no servidor (exigiria um índice composto).
+const sortHistoryEntries = (items) => items
+  .map(item => ({ id: item.id, ...item.data }))
+  .sort((a, b) => (b.alteradoEm ? b.alteradoEm.toMillis() : 0) - (a.alteradoEm ? a.alteradoEm.toMillis() : 0));
+
+const formatHistoryFields = (fields, unit) => {
+  if (!fields) return '—';
+  const reg = normalizeRecord(fields);
+  return t('{valor} em {data} às {hora} ({contexto})', {
+    valor: formatGlicemiaWithUnit(reg.glicemia, unit),
+    data: formatRecordDate(reg),
+    hora: formatRecordTime(reg),
+    contexto: getContextLabel(reg.contexto),
+  });
+};
+
+// Doses de insulina: segundo tipo de registro, salvo em "insulina_records" ao lado de
+// "glicemia_records". O tipo da insulina é copiado para a dose no momento do registro.
+const INSULIN_TYPES = [
+  { value: 'basal', label: 'Basal' },
+  { value: 'rapida', label: 'Rápida (bolus)' },
+];
+
+const getInsulinTypeLabel = (tipo) => t(INSULIN_TYPES.find(type => type.value === tipo)?.label || '—');
+
+// Acima disso a dose provavelmente foi digitada errado
+const MAX_INSULIN_UNITS = 100;
+
+// Valida e monta uma dose de insulina. Retorna { error } ou { record }.
+const buildInsulinRecord = (insulina, unidades, data, hora) => {
+  if (!insulina) return { error: t('Selecione a insulina.') };
+  const units = parseFloat(unidades);
+  if (isNaN(units) || units <= 0 || units > MAX_INSULIN_UNITS) {
+    return { error: t('Informe uma dose entre 0 e {max} unidades.', { max: MAX_INSULIN_UNITS }) };
+  }
+  const recordDate = parseLocalDateTime(data, hora);
+  if (isNaN(recordDate.getTime())) return { error: t('Data ou hora inválida.') };
+
+  return {
+    record: {
+      insulina: insulina.nome,
+      tipo: insulina.tipo,
+      unidades: units,
+      ...getRecordTimeFields(recordDate),
+    },
+  };
+};
+
+// Totais diários de insulina basal e bolus (rápida) no período
+const computeInsulinTotals = (doses, dataInicio, dataFim) => {
+  const byDay = Object.fromEntries(listDays(dataInicio, dataFim).map(day => [day, { day, basal: 0, bolus: 0 }]));
+  doses.forEach(dose => {
+    const totals = byDay[getRecordDay(dose)];
+    if (!totals) return;
+    totals[dose.tipo === 'basal' ? 'basal' : 'bolus'] += parseFloat(dose.unidades) || 0;
+  });
+  const days = Object.values(byDay);
+  const sum = (key) => days.reduce((acc, d) => acc + d[key], 0);
+  return {
+    days,
+    avgBasal: days.length ? sum('basal') / days.length : 0,
+    avgBolus: days.length ? sum('bolus') / days.length : 0,
+  };
+};
+
+// Totais diários de insulina no resumo do período
+const InsulinSummary = ({ totals }) => (
+  <div className="space-y-2 pt-3 border-t text-sm">
+    <h4 className="font-semibold text-gray-700 flex items-center space-x-2">
+      <Syringe className="w-4 h-4 text-indigo-600" />
+      <span>{t('Insulina (média diária)')}</span>
+    </h4>
+    <div className="grid grid-cols-3 gap-2 font-medium">
+      <div><span className="text-gray-600">{t('Basal:')}</span> {formatUnits(totals.avgBasal)}</div>
+      <div><span className="text-gray-600">{t('Bolus:')}</span> {formatUnits(totals.avgBolus)}</div>
+      <div><span className="text-gray-600">{t('Total:')}</span> {formatUnits(totals.avgBasal + totals.avgBolus)}</div>
+    </div>
+    <table className="w-full text-xs">
+      <thead>
+        <tr className="text-gray-500">
+          <th className="text-left font-medium">{t('Dia')}</th>
+          <th className="text-right font-medium">{t('Basal')}</th>
+          <th className="text-right font-medium">{t('Bolus')}</th>
+          <th className="text-right font-medium">{t('Total')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {totals.days.filter(d => d.basal + d.bolus > 0).map(d => (
+          <tr key={d.day}>
+            <td>{formatISODate(d.day)}</td>
+            <td className="text-right">{formatUnits(d.basal)}</td>
+            <td className="text-right">{formatUnits(d.bolus)}</td>
+            <td className="text-right font-semibold">{formatUnits(d.basal + d.bolus)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+// "preset" ({ insulina, data, hora }) preenche o formulário, por exemplo ao tocar em um lembrete
+const InsulinDoseForm = ({ storage, collectionPath, insulinas, online, today, currentTime, preset }) => {
+  const [insulinaIndex, setInsulinaIndex] = useState('');
+  const [unidades, setUnidades] = useState('');
+  const [data, setData] = useState(today);
+  const [hora, setHora] = useState(currentTime);
+  const [message, setMessage] = useState({ type: null, text: '' });
+
+  useEffect(() => {
+    if (!preset) return;
+    const index = insulinas.findIndex(ins => ins.nome === preset.insulina);
+    if (index >= 0) setInsulinaIndex(String(index));
+    setData(preset.data);
+    setHora(preset.hora);
+  }, [preset, insulinas]);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const { error, record } = buildInsulinRecord(insulinas[insulinaIndex], unidades, data, hora);
+    if (error) {
+      setMessage({ type: 'error', text: error });
+      return;
+    }
+
+    // Como nos registros de glicemia, não espera a confirmação do servidor (modo offline)
+    storage.set(storage.newDocPath(collectionPath), record).catch((error) => {
+      console.error("Erro ao salvar dose:", error);
+      setMessage({ type: 'error', text: t('Erro ao salvar: ') + error.message });
+    });
+    const params = { dose: formatNumber(record.unidades, 1), insulina: record.insulina };
+    setMessage({
+      type: 'success',
+      text: online ? t('Dose de {dose} U de {insulina} salva!', params) : t('Dose de {dose} U de {insulina} salva neste aparelho!', params),
+    });
+    setUnidades('');
+    setTimeout(() => setMessage({ type: null, text: '' }), 4000);
+  };
+
+  return (
+    <Card>
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
+        <Syringe className="w-5 h-5 text-indigo-600" />
+        <span>{t('Nova Dose de Insulina')}</span>
+      </h2>
+      {insulinas.length === 0 ? (
+        <Message type="info">{t('Cadastre suas insulinas nas Configurações para registrar doses.')}</Message>
+      ) : (
+        <form onSubmit={handleSave} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <Select
+              label={t('Insulina')}
+              id="dose-insulina"
+              value={insulinaIndex}
+              onChange={(e) => setInsulinaIndex(e.target.value)}
+              options={insulinas.map((ins, i) => ({ value: String(i), label: `${ins.nome} (${getInsulinTypeLabel(ins.tipo)})` }))}
+              placeholder={t('Selecione...')}
+              required
+            />
+            <Input
+              label={t('Unidades (U)')}
+              id="dose-unidades"
+              type="number"
+              step="0.5"
+              value={unidades}
+              onChange={(e) => setUnidades(e.target.value)}
+              placeholder={t('Ex: 10')}
+              required
+            />
+            <DateInput label={t('Data')} id="dose-data" value={data} onChange={(e) => setData(e.target.value)} required />
+            <TimeInput label={t('Hora')} id="dose-hora" value={hora} onChange={(e) => setHora(e.target.value)} required />
+          </div>
+
+          {message.text && <Message type={message.type}>{message.text}</Message>}
+
+          <Button type="submit" icon={Syringe} className="w-full">
+            {t('Salvar Dose')}
+          </Button>
+        </form>
+      )}
+    </Card>
+  );
+};
+
+// Refeições e calculadora de bolus.
+// As refeições ficam em "refeicao_records" (carboidratos em gramas e descrição opcional).
+// A calculadora usa, para o horário atual, a razão insulina/carboidrato (g por unidade)
+// e o fator de correção (mg/dL por unidade) do perfil, além da glicemia-alvo e da
+// insulina ainda ativa das doses rápidas recentes.
+
+// Faixa horária vigente: a última cujo início já passou (antes da primeira, vale a última do dia anterior)
+const getBolusFaixaAt = (faixas, hora) => {
+  const sorted = [...faixas].sort((a, b) => a.inicio.localeCompare(b.inicio));
+  return [...sorted].reverse().find(f => f.inicio <= hora) || sorted[sorted.length - 1];
+};
+
+// Insulina ativa com decaimento linear ao longo da duração de ação (em horas)
+const computeInsulinOnBoard = (doses, now, durationHours) => doses
+  .filter(dose => dose.tipo === 'rapida')
+  .reduce((acc, dose) => {
+    const elapsedHours = (now - getRecordDate(dose)) / (60 * 60 * 1000);
+    if (elapsedHours < 0 || elapsedHours >= durationHours) return acc;
+    return acc + (parseFloat(dose.unidades) || 0) * (1 - elapsedHours / durationHours);
+  }, 0);
+
+// Sugestão de bolus (glicemias em mg/dL):
+//   refeição = carboidratos ÷ razão; correção = (glicemia − alvo) ÷ fator;
+//   total = refeição + correção − insulina ativa, arredondado para 0,5 U e nunca negativo
+const computeBolus = ({ carbs, glicemia, faixa, alvo, iob }) => {
+  const mealBolus = carbs > 0 ? carbs / faixa.icr : 0;
+  const correction = glicemia > 0 ? (glicemia - alvo) / faixa.fc : 0;
+  const raw = mealBolus + correction - iob;
+  return { mealBolus, correction, raw, total: Math.max(0, Math.round(raw * 2) / 2) };
+};
+
+const buildMealRecord = (carboidratos, descricao, data, hora) => {
+  const carbs = parseFloat(carboidratos);
+  if (isNaN(carbs) || carbs < 0 || carbs > 500) return { error: t('Informe os carboidratos em gramas (0 a 500).') };
+  const recordDate = parseLocalDateTime(data, hora);
+  if (isNaN(recordDate.getTime())) return { error: t('Data ou hora inválida.') };
+
+  return {
+    record: {
+      carboidratos: carbs,
+      descricao: descricao.trim(),
+      ...getRecordTimeFields(recordDate),
+    },
+  };
+};
+
+const formatUnits = (units) => `${formatNumber(units, 1)} U`;
+
+const BolusCalculator = ({ storage, paths, profile, online, onBack }) => {
+  const { unidade: unit, bolus } = profile;
+  const rapidInsulins = profile.insulinas.filter(ins => ins.tipo === 'rapida');
+
+  // Data e hora do cálculo (momento em que a tela foi aberta)
+  const [now] = useState(() => new Date());
+  const data = toISODate(now);
+  const hora = `${pad2(now.getHours())}:${pad2(now.getMinutes())}`;
+
+  const [carboidratos, setCarboidratos] = useState('');
+  const [descricao, setDescricao] = useState('');
+  const [glicemiaText, setGlicemiaText] = useState('');
+  const [latestReading, setLatestReading] = useState(null);
+  const [recentDoses, setRecentDoses] = useState([]);
+  const [insulinaIndex, setInsulinaIndex] = useState(rapidInsulins.length === 1 ? '0' : '');
+  const [dose, setDose] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState({ type: null, text: '' });
+
+  // Última leitura (para preencher a glicemia atual) e doses dentro da duração de ação
+  useEffect(() => {
+    if (!storage) return;
+    const since = new Date(now.getTime() - bolus.duracaoInsulina * 60 * 60 * 1000);
+    Promise.all([
+      storage.list(paths.glicemia, { order: 'desc', limit: 1 }),
+      storage.list(paths.insulina, { from: since }),
+    ])
+      .then(([readings, recent]) => {
+        const latest = readings[0] ? toRecord(readings[0]) : null;
+        setLatestReading(latest);
+        if (latest) setGlicemiaText(formatGlicemiaInput(latest.glicemia, unit));
+        setRecentDoses(recent.map(toRecord));
+      })
+      .catch(error => {
+        console.error("Erro ao carregar dados da calculadora:", error);
+        setMessage({ type: 'error', text: t('Erro ao carregar a última glicemia e as doses recentes: ') + error.message });
+      })
+      .finally(() => setLoading(false));
+  }, [storage, paths.glicemia, paths.insulina, now, bolus.duracaoInsulina, unit]);
+
+  const faixa = bolus.faixas.length > 0 ? getBolusFaixaAt(bolus.faixas, hora) : null;
+  const carbs = parseFloat(carboidratos) || 0;
+  const glicemiaMgdl = glicemiaText ? toMgdl(parseFloat(glicemiaText), unit) : 0;
+  const iob = computeInsulinOnBoard(recentDoses, now, bolus.duracaoInsulina);
+  const result = faixa ? computeBolus({ carbs, glicemia: glicemiaMgdl, faixa, alvo: bolus.alvo, iob }) : null;
+
+  // A dose sugerida preenche o campo de dose até o usuário alterá-lo
+  const [doseEdited, setDoseEdited] = useState(false);
+  const suggested = result ? result.total : 0;
+  useEffect(() => {
+    if (!doseEdited) setDose(suggested > 0 ? String(suggested) : '');
+  }, [suggested, doseEdited]);
+
+  const handleSave = (withDose) => {
+    setMessage({ type: null, text: '' });
+    const meal = buildMealRecord(carboidratos || '0', descricao, data, hora);
+    if (meal.error) {
+      setMessage({ type: 'error', text: meal.error });
+      return;
+    }
+
+    // Dose só de correção (sem carboidratos) não cria refeição de 0 g
+    const mealPath = meal.record.carboidratos > 0 ? storage.newDocPath(paths.refeicao) : null;
+    const operations = mealPath ? [{ type: 'set', path: mealPath, data: meal.record }] : [];
+
+    if (withDose) {
+      const insulin = buildInsulinRecord(rapidInsulins[insulinaIndex], dose, data, hora);
+      if (insulin.error) {
+        setMessage({ type: 'error', text: insulin.error });
+        return;
+      }
+      operations.push({
+        type: 'set',
+        path: storage.newDocPath(paths.insulina),
+        data: {
+          ...insulin.record,
+          origem: 'calculadora',
+          refeicaoId: mealPath ? getPathId(mealPath) : null,
+          calculo: result && {
+            carboidratos: carbs,
+            glicemia: glicemiaMgdl || null,
+            alvo: bolus.alvo,
+            icr: faixa.icr,
+            fc: faixa.fc,
+            insulinaAtiva: Math.round(iob * 10) / 10,
+            sugerido: suggested,
+          },
+        },
+      });
+    }
+
+    // Sem esperar o servidor, como nos demais registros (modo offline)
+    storage.commit(operations).catch((error) => {
+      console.error("Erro ao salvar refeição:", error);
+      setMessage({ type: 'error', text: t('Erro ao salvar: ') + error.message });
+    });
+    const doseText = { dose: formatNumber(parseFloat(dose), 1) };
+    const savedText = !withDose
+      ? t(online ? 'Refeição salva!' : 'Refeição salva neste aparelho!')
+      : mealPath
+        ? t(online ? 'Refeição e dose de {dose} U salvas!' : 'Refeição e dose de {dose} U salvas neste aparelho!', doseText)
+        : t(online ? 'Dose de {dose} U salva!' : 'Dose de {dose} U salva neste aparelho!', doseText);
+    setMessage({ type: 'success', text: savedText });
+    setCarboidratos('');
+    setDescricao('');
+    setDoseEdited(false);
+  };
+
+  const latestAgeMinutes = latestReading ? Math.round((now - getRecordDate(latestReading)) / 60000) : null;
+
+  return (
+    <Card>
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
+        <Calculator className="w-5 h-5 text-indigo-600" />
+        <span>{t('Refeição e Calculadora de Bolus')}</span>
+      </h2>
+
+      {!faixa && (
+        <div className="mb-4">
+          <Message type="warning">{t('Cadastre a razão insulina/carboidrato e o fator de correção nas Configurações para usar a calculadora.')}</Message>
+        </div>
+      )}
+
+      <div className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <Input
+            label={t('Carboidratos (g)')}
+            id="bolus-carbs"
+            type="number"
+            value={carboidratos}
+            onChange={(e) => setCarboidratos(e.target.value)}
+            placeholder={t('Ex: 45')}
+          />
+          <Input
+            label={t('Glicemia atual ({unit})', { unit })}
+            id="bolus-glicemia"
+            type="number"
+            step={GLICEMIA_UNITS[unit].step}
+            value={glicemiaText}
+            onChange={(e) => setGlicemiaText(e.target.value)}
           />
-          <DateInput
-            label="Até"
-            id="data-fim"
-            value={dataFim}
-            onChange={(e) => setDataFim(e.target.value)}
+          <Input
+            label={t('Descrição (opcional)')}
+            id="bolus-descricao"
+            value={descricao}
+            onChange={(e) => setDescricao(e.target.value)}
+            placeholder={t('Ex: Almoço')}
+            className="col-span-2"
           />
         </div>
+        {loading ? (
+          <p className="text-sm text-gray-500 flex items-center"><Loader2 className="w-4 h-4 mr-2 animate-spin" /> {t('Carregando última glicemia...')}</p>
+        ) : latestReading ? (
+          <p className={`text-xs ${latestAgeMinutes > 60 ? 'text-yellow-700' : 'text-gray-500'}`}>
+            {t('Última glicemia registrada: {valor} em {data} às {hora}', {
+              valor: formatGlicemiaWithUnit(latestReading.glicemia, unit),
+              data: formatRecordDate(latestReading),
+              hora: formatRecordTime(latestReading),
+            })}
+            {latestAgeMinutes > 60 && ` ${t('(há mais de 1 hora — considere medir novamente)')}`}
+          </p>
+        ) : (
+          <p className="text-xs text-gray-500">{t('Nenhuma glicemia registrada ainda.')}</p>
+        )}
+
+        {/* Memória de cálculo */}
+        {result && (
+          <div className="p-4 bg-gray-50 rounded-lg border text-sm space-y-1">
+            <h3 className="font-semibold text-gray-700 mb-1">{t('Cálculo passo a passo')}</h3>
+            <p>
+              {t('1. Horário {hora} → faixa a partir de {inicio}: 1 U para {icr} g de carboidrato; 1 U reduz {fc}.', {
+                hora: formatTime(now),
+                inicio: formatClock(faixa.inicio),
+                icr: formatNumber(faixa.icr, 1),
+                fc: formatGlicemiaWithUnit(faixa.fc, unit),
+              })}
+            </p>
+            <p>{t('2. Refeição: {carbs} g ÷ {icr} g/U =', { carbs: formatNumber(carbs, 1), icr: formatNumber(faixa.icr, 1) })} <strong>{formatUnits(result.mealBolus)}</strong></p>
+            <p>
+              {t('3. Correção:')} ({glicemiaMgdl > 0 ? formatGlicemia(glicemiaMgdl, unit) : '—'} − {formatGlicemia(bolus.alvo, unit)}) ÷ {formatGlicemia(faixa.fc, unit)}
+              {' '}= <strong>{formatUnits(result.correction)}</strong>
+            </p>
+            <p>
+              {t('4. Insulina ativa ({n} dose(s) rápida(s) nas últimas {horas} h):', {
+                n: recentDoses.filter(d => d.tipo === 'rapida').length,
+                horas: formatNumber(bolus.duracaoInsulina, 1),
+              })}
+              {' '}<strong>− {formatUnits(iob)}</strong>
+            </p>
+            <p>
+              {t('5. Total:')} {formatUnits(result.mealBolus)} + {formatUnits(result.correction)} − {formatUnits(iob)} = {formatUnits(result.raw)}
+              {' '}→ {t('sugestão')} <strong className="text-indigo-700">{formatUnits(result.total)}</strong> {t('(arredondado para 0,5 U, mínimo 0)')}
+            </p>
+            <p className="text-xs text-gray-500 pt-1">{t('Sugestão de apoio. Confira sempre com a orientação da sua equipe de saúde.')}</p>
+          </div>
+        )}
+
+        {rapidInsulins.length === 0 ? (
+          <Message type="info">{t('Cadastre uma insulina do tipo rápida nas Configurações para salvar a dose.')}</Message>
+        ) : (
+          <div className="grid grid-cols-2 gap-4">
+            <Select
+              label={t('Insulina')}
+              id="bolus-insulina"
+              value={insulinaIndex}
+              onChange={(e) => setInsulinaIndex(e.target.value)}
+              options={rapidInsulins.map((ins, i) => ({ value: String(i), label: ins.nome }))}
+              placeholder={t('Selecione...')}
+            />
+            <Input
+              label={t('Dose aplicada (U)')}
+              id="bolus-dose"
+              type="number"
+              step="0.5"
+              value={dose}
+              onChange={(e) => { setDose(e.target.value); setDoseEdited(true); }}
+            />
+          </div>
+        )}
+
+        {message.text && <Message type={message.type}>{message.text}</Message>}
+
+        <div className="flex flex-col space-y-2">
+          {rapidInsulins.length > 0 && (
+            <Button onClick={() => handleSave(true)} disabled={loading || !dose} icon={Syringe} className="w-full">
+              {t('Salvar Refeição e Dose')}
+            </Button>
+          )}
+          <Button onClick={() => handleSave(false)} disabled={loading || !(carbs > 0)} variant="secondary" icon={Utensils} className="w-full">
+            {t('Salvar Só a Refeição')}
+          </Button>
+          <Button onClick={onBack} variant="secondary" icon={ArrowLeft} className="w-full">
+            {t('Voltar')}
+          </Button>
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+// Protocolo de hipoglicemia ("regra dos 15"): após uma leitura abaixo do limite de
+// hipoglicemia, o app sugere 15 g de carboidrato de ação rápida, conta 15 minutos e
+// pede uma nova medição. A leitura inicial e as de reavaliação ficam ligadas pelo
+// campo "episodioHipo" (id da leitura inicial), formando um episódio.
+const HYPO_TREATMENT_MINUTES = 15;
+const HYPO_LEVEL1_MGDL = 70; // Abaixo disso: nível 1 do consenso internacional
+const HYPO_LEVEL2_MGDL = 54; // Nível 2 do consenso internacional (hipoglicemia clinicamente significativa)
+// Leituras lançadas com mais atraso que isso não iniciam o protocolo
+const HYPO_PROTOCOL_MAX_AGE_MINUTES = 60;
+const FAST_CARB_OPTIONS = [
+  '1 colher de sopa de açúcar ou mel',
+  '150 ml de suco de fruta ou refrigerante comum (não diet)',
+  '3 a 4 balas de glicose ou balas comuns',
+];
+
+const getHypoStorageKey = (scopeKey) => `glico_hipo_episodio_${scopeKey}`;
+
+// Agrupa as leituras por episódio e resume: gravidade (pela menor leitura) e
+// tempo até a primeira leitura de volta acima do limite de hipoglicemia.
+const computeHypoEpisodes = (records, profile) => {
+  const groups = {};
+  records.filter(r => r.episodioHipo).forEach((r) => {
+    (groups[r.episodioHipo] = groups[r.episodioHipo] || []).push(r);
+  });
+
+  const episodes = Object.values(groups).map((readings) => {
+    const sorted = [...readings].sort((a, b) => getRecordDate(a) - getRecordDate(b));
+    const start = getRecordDate(sorted[0]);
+    const min = Math.min(...sorted.map(r => parseFloat(r.glicemia)));
+    const recovery = sorted.find(r => parseFloat(r.glicemia) >= getTargetsFor(profile, r.contexto).low);
+    return {
+      nivel: min < HYPO_LEVEL2_MGDL ? 2 : 1,
+      recoveryMinutes: recovery ? Math.round((getRecordDate(recovery) - start) / 60000) : null,
+    };
+  });
+
+  const recovered = episodes.filter(e => e.recoveryMinutes !== null);
+  return {
+    count: episodes.length,
+    nivel1: episodes.filter(e => e.nivel === 1).length,
+    nivel2: episodes.filter(e => e.nivel === 2).length,
+    unresolved: episodes.length - recovered.length,
+    avgRecoveryMinutes: recovered.length
+      ? Math.round(recovered.reduce((acc, e) => acc + e.recoveryMinutes, 0) / recovered.length)
+      : null,
+  };
+};
+
+const HypoSummary = ({ summary, unit }) => (
+  <div className="space-y-2 pt-3 border-t text-sm">
+    <h4 className="font-semibold text-gray-700 flex items-center space-x-2">
+      <AlertTriangle className="w-4 h-4 text-red-600" />
+      <span>{t('Episódios de hipoglicemia')}</span>
+    </h4>
+    <div className="grid grid-cols-2 gap-2 font-medium">
+      <div><span className="text-gray-600">{t('Episódios:')}</span> {summary.count}</div>
+      <div>
+        <span className="text-gray-600">{t('Recuperação média:')}</span>{' '}
+        {summary.avgRecoveryMinutes !== null ? `${summary.avgRecoveryMinutes} min` : '—'}
+      </div>
+      <div>
+        <span className="text-gray-600">
+          {t('Nível 1 ({min}–{max}):', { min: formatGlicemia(HYPO_LEVEL2_MGDL, unit), max: formatGlicemiaWithUnit(HYPO_LEVEL1_MGDL - 1, unit) })}
+        </span>{' '}
+        {summary.nivel1}
+      </div>
+      <div className="text-red-700">
+        <span className="text-gray-600">{t('Nível 2 (< {limite}):', { limite: formatGlicemiaWithUnit(HYPO_LEVEL2_MGDL, unit) })}</span>{' '}
+        {summary.nivel2}
+      </div>
+    </div>
+    {summary.unresolved > 0 && (
+      <p className="text-xs text-yellow-700">{t('{n} episódio(s) sem medição de recuperação registrada.', { n: summary.unresolved })}</p>
+    )}
+  </div>
+);
+
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${pad2(Math.floor(totalSeconds / 60))}:${pad2(totalSeconds % 60)}`;
+};
+
+// Fluxo guiado do episódio em andamento. O estado do episódio fica no GlicemiaTracker
+// (e no localStorage), para a contagem continuar se a página for recarregada.
+const HypoProtocol = ({ storage, collectionPath, episode, onChange, profile, online, onFinish }) => {
+  const unit = profile.unidade;
+  const lowLimit = getTargetsFor(profile, episode.contexto).low;
+  const [now, setNow] = useState(Date.now());
+  const [recheck, setRecheck] = useState('');
+  const [message, setMessage] = useState({ type: null, text: '' });
+
+  const countdownActive = episode.contagemFim && now < episode.contagemFim;
+
+  // Atualiza o relógio da contagem regressiva a cada segundo
+  useEffect(() => {
+    if (!episode.contagemFim) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [episode.contagemFim]);
+
+  // Notificação do navegador ao fim dos 15 minutos
+  useEffect(() => {
+    if (!episode.contagemFim) return;
+    const delay = episode.contagemFim - Date.now();
+    if (delay <= 0) return;
+    const timeout = setTimeout(() => showBrowserNotification(
+      t('Hora de medir a glicemia'),
+      t('Já se passaram {n} minutos. Meça novamente e registre o valor no app.', { n: HYPO_TREATMENT_MINUTES })
+    ), delay);
+    return () => clearTimeout(timeout);
+  }, [episode.contagemFim]);
+
+  const startCountdown = () => {
+    requestNotificationPermission();
+    onChange({ ...episode, contagemFim: Date.now() + HYPO_TREATMENT_MINUTES * 60 * 1000 });
+  };
+
+  const handleRecheck = (e) => {
+    e.preventDefault();
+    setMessage({ type: null, text: '' });
+    const current = new Date();
+    const { error, record } = buildGlicemiaRecord(
+      recheck,
+      toISODate(current),
+      `${pad2(current.getHours())}:${pad2(current.getMinutes())}`,
+      episode.contexto,
+      unit
+    );
+    if (error) {
+      setMessage({ type: 'error', text: error });
+      return;
+    }
+
+    storage.set(storage.newDocPath(collectionPath), { ...record, episodioHipo: episode.id }).catch((error) => {
+      console.error("Erro ao salvar reavaliação:", error);
+      setMessage({ type: 'error', text: t('Erro ao salvar: ') + error.message });
+    });
+    setRecheck('');
+
+    if (record.glicemia < lowLimit) {
+      // Ainda baixa: repete o tratamento
+      onChange({ ...episode, ultimaGlicemia: record.glicemia, contagemFim: null, tratamentos: episode.tratamentos + 1 });
+    } else {
+      onChange({ ...episode, ultimaGlicemia: record.glicemia, contagemFim: null, recuperadoEm: current.getTime() });
+    }
+  };
+
+  const severe = episode.ultimaGlicemia < HYPO_LEVEL2_MGDL;
+  const recoveryMinutes = episode.recuperadoEm ? Math.round((episode.recuperadoEm - episode.inicio) / 60000) : null;
+
+  return (
+    <Card className="border-2 border-red-300">
+      <h2 className="text-xl font-semibold text-red-700 mb-4 flex items-center space-x-2">
+        <AlertTriangle className="w-5 h-5" />
+        <span>{t('Hipoglicemia: regra dos 15')}</span>
+      </h2>
+
+      <div className="space-y-4">
+        <p className="text-sm text-gray-700">
+          {t('Última medição:')} <strong>{formatGlicemiaWithUnit(episode.ultimaGlicemia, unit)}</strong>
+          {' '}{t('(limite de hipoglicemia: {valor})', { valor: formatGlicemiaWithUnit(lowLimit, unit) })}
+          {!online && ` — ${t('registros salvos neste aparelho')}`}
+        </p>
+
+        {recoveryMinutes !== null ? (
+          <>
+            <Message type="success">
+              {t('Glicemia de volta acima do limite após {n} min. Se a próxima refeição estiver a mais de 1 hora, faça um lanche com carboidrato e proteína.', { n: recoveryMinutes })}
+            </Message>
+            <Button onClick={onFinish} icon={CheckCircle2} className="w-full">{t('Concluir')}</Button>
+          </>
+        ) : (
+          <>
+            {severe && (
+              <Message type="error">
+                {t('Hipoglicemia nível 2. Se houver confusão, sonolência intensa ou dificuldade para engolir, não dê nada pela boca: use glucagon, se disponível, e procure atendimento de emergência.')}
+              </Message>
+            )}
+
+            {!episode.contagemFim ? (
+              <div className="space-y-3">
+                <h3 className="font-semibold text-gray-700">
+                  {episode.tratamentos > 0 ? t('Ainda abaixo do limite. Repita: ') : '1. '}
+                  {t('Consuma 15 g de carboidrato de ação rápida')}
+                </h3>
+                <ul className="list-disc list-inside text-sm text-gray-700">
+                  {FAST_CARB_OPTIONS.map(option => <li key={option}>{t(option)}</li>)}
+                </ul>
+                <Button onClick={startCountdown} icon={Clock} className="w-full">
+                  {t('Já consumi — iniciar {n} minutos', { n: HYPO_TREATMENT_MINUTES })}
+                </Button>
+              </div>
+            ) : (
+              <div className="text-center space-y-1">
+                <h3 className="font-semibold text-gray-700">{t('2. Aguarde e meça novamente')}</h3>
+                <p className={`text-4xl font-extrabold ${countdownActive ? 'text-indigo-700' : 'text-green-600'}`} role="timer">
+                  {formatCountdown(episode.contagemFim - now)}
+                </p>
+                {!countdownActive && <p className="text-sm text-green-700">{t('Hora de medir a glicemia.')}</p>}
+              </div>
+            )}
+
+            <form onSubmit={handleRecheck} className="flex items-end space-x-2">
+              <Input
+                label={t('Nova medição ({unit})', { unit })}
+                id="hipo-reavaliacao"
+                type="number"
+                step={GLICEMIA_UNITS[unit].step}
+                value={recheck}
+                onChange={(e) => setRecheck(e.target.value)}
+                className="flex-1"
+              />
+              <Button type="submit" disabled={!recheck} icon={Save} className="mb-0.5">{t('Salvar')}</Button>
+            </form>
+          </>
+        )}
+
+        {message.text && <Message type={message.type}>{message.text}</Message>}
+
+        {recoveryMinutes === null && (
+          <Button onClick={onFinish} variant="link" className="w-full text-sm">
+            {t('Encerrar protocolo')}
+          </Button>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+// Lembretes de medição e de medicação, salvos no perfil ("lembretes").
+// Cada lembrete: { hora: 'HH:MM', tipo: 'glicemia' | 'insulina', contexto, insulina, ativo }.
+// O agendamento roda na página: os navegadores não agendam notificações locais e o app
+// não tem servidor para enviar push. Por isso os avisos só saem enquanto o app estiver
+// aberto (mesmo em segundo plano ou instalado), o que a tela de lembretes deixa claro.
+// São verificados os lembretes de todos os perfis da conta, não só do perfil ativo.
+// A notificação é exibida pelo service worker, que trata o toque (veja service-worker.js).
+const REMINDER_TYPES = [
+  { value: 'glicemia', label: 'Medir glicemia' },
+  { value: 'insulina', label: 'Aplicar insulina' },
+];
+// Uma leitura (ou dose) feita até 1 hora antes do horário já atende o lembrete
+const REMINDER_WINDOW_MINUTES = 60;
+// Se o app for aberto depois do horário, o lembrete ainda é avisado por até 30 minutos
+const REMINDER_GRACE_MINUTES = 30;
+const REMINDER_CHECK_INTERVAL_MS = 30 * 1000;
+
+const getReminderKey = (lembrete) => `${lembrete.hora}_${lembrete.tipo}_${lembrete.contexto || lembrete.insulina}`;
+const getRemindersStorageKey = (scopeKey) => `glico_lembretes_${scopeKey}`;
+
+// URL aberta ao tocar na notificação; o app lê os parâmetros, passa para o perfil do
+// lembrete ("perfil", ausente no principal) e abre o formulário preenchido
+const getReminderUrl = (lembrete, dependenteId) => {
+  const url = new URL(window.location.href);
+  url.search = lembrete.tipo === 'glicemia'
+    ? `?novo=glicemia&contexto=${encodeURIComponent(lembrete.contexto)}`
+    : `?novo=insulina&insulina=${encodeURIComponent(lembrete.insulina)}`;
+  if (dependenteId) url.searchParams.set('perfil', dependenteId);
+  return url.toString();
+};
+
+const getReminderTitle = (lembrete, nome) => {
+  if (lembrete.tipo === 'glicemia') return nome ? t('Hora de medir a glicemia de {nome}', { nome }) : t('Hora de medir a glicemia');
+  return nome ? t('Hora da insulina de {nome}', { nome }) : t('Hora da insulina');
+};
+
+// Perfis da conta com algum lembrete ativo: o principal e os dependentes
+const useReminderProfiles = (storage, userId) => {
+  const [mainProfile, setMainProfile] = useState(null);
+  const [dependents, setDependents] = useState([]);
+
+  useEffect(() => {
+    if (!storage || !userId) return;
+    const handleError = (error) => console.error("Erro ao carregar lembretes:", error);
+    const unsubscribeMain = storage.watchDoc(getProfileDocPath(userId), setMainProfile, handleError);
+    // Os perfis não têm timestamp (o campo padrão dos intervalos)
+    const unsubscribeDependents = storage.watch(getDependentsPath(userId), { field: 'nome' }, setDependents, handleError);
+    return () => {
+      unsubscribeMain();
+      unsubscribeDependents();
+    };
+  }, [storage, userId]);
+
+  return useMemo(() => [
+    { dependenteId: null, nome: null, lembretes: mergeProfile(mainProfile || {}).lembretes },
+    ...dependents.map(item => ({ dependenteId: item.id, nome: item.data.nome || t('Sem nome'), lembretes: mergeProfile(item.data).lembretes })),
+  ].filter(p => p.lembretes.some(l => l.ativo)), [mainProfile, dependents]);
+};
+
+// Avisa os lembretes de um perfil que chegaram na hora. Os já avisados (ou dispensados
+// por já haver registro no horário) ficam no localStorage, por perfil, para não repetir.
+const checkProfileReminders = (storage, userId, { dependenteId, nome, lembretes }, now) => {
+  const today = toISODate(now);
+  const basePath = getProfileBasePath(userId, dependenteId);
+  const storageKey = getRemindersStorageKey(getProfileScopeKey(userId, dependenteId));
+  let handled;
+  try {
+    handled = JSON.parse(localStorage.getItem(storageKey)) || {};
+  } catch (e) {
+    handled = {};
+  }
+  if (handled.data !== today) handled = { data: today, chaves: [] };
+
+  lembretes.filter(l => l.ativo).forEach((lembrete) => {
+    const key = getReminderKey(lembrete);
+    const at = new Date(`${today}T${lembrete.hora}:00`);
+    const minutesLate = (now - at) / 60000;
+    if (handled.chaves.includes(key) || minutesLate < 0 || minutesLate > REMINDER_GRACE_MINUTES) return;
+
+    handled.chaves.push(key);
+    const slotStart = new Date(at.getTime() - REMINDER_WINDOW_MINUTES * 60 * 1000);
+    const path = `${basePath}/${lembrete.tipo === 'glicemia' ? 'glicemia_records' : 'insulina_records'}`;
+    storage.list(path, { from: slotStart })
+      .then((items) => {
+        const alreadyDone = items.some((item) => (lembrete.tipo === 'glicemia'
+          ? item.data.contexto === lembrete.contexto
+          : item.data.insulina === lembrete.insulina));
+        if (alreadyDone) return;
+        showBrowserNotification(
+          getReminderTitle(lembrete, nome),
+          lembrete.tipo === 'glicemia'
+            ? t('{contexto} — {hora}. Toque para registrar.', { contexto: getContextLabel(lembrete.contexto), hora: formatClock(lembrete.hora) })
+            : t('{insulina} — {hora}. Toque para registrar a dose.', { insulina: lembrete.insulina, hora: formatClock(lembrete.hora) }),
+          { tag: `lembrete-${dependenteId || 'principal'}-${key}`, data: { url: getReminderUrl(lembrete, dependenteId) } }
+        );
+      })
+      .catch((error) => console.error("Erro ao verificar lembrete:", error));
+  });
+
+  localStorage.setItem(storageKey, JSON.stringify(handled));
+};
+
+// Verifica periodicamente os lembretes do dia de todos os perfis da conta
+const useReminderScheduler = (storage, userId) => {
+  const profiles = useReminderProfiles(storage, userId);
+
+  useEffect(() => {
+    if (!storage || !userId || profiles.length === 0) return;
+
+    const check = () => {
+      const now = new Date();
+      profiles.forEach(profile => checkProfileReminders(storage, userId, profile, now));
+    };
+
+    check();
+    const interval = setInterval(check, REMINDER_CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [storage, userId, profiles]);
+};
+
+const getNotificationPermission = () => ('Notification' in window ? Notification.permission : 'unsupported');
+
+const RemindersSettings = ({ profile, saveProfile, onBack }) => {
+  const [lembretes, setLembretes] = useState(profile.lembretes);
+  const [permission, setPermission] = useState(getNotificationPermission);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ type: null, text: '' });
+
+  const updateLembrete = (i, changes) => setLembretes(lembretes.map((item, j) => (j === i ? { ...item, ...changes } : item)));
+
+  const handleTypeChange = (i, tipo) => updateLembrete(i, tipo === 'glicemia'
+    ? { tipo, contexto: '', insulina: null }
+    : { tipo, contexto: null, insulina: profile.insulinas.length ? profile.insulinas[0].nome : '' });
+
+  const handlePermission = () => requestNotificationPermission().then(setPermission);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setMessage({ type: null, text: '' });
+
+    if (lembretes.some(l => !/^\d{2}:\d{2}$/.test(l.hora) || (l.tipo === 'glicemia' ? !l.contexto : !l.insulina))) {
+      setMessage({ type: 'error', text: t('Cada lembrete precisa de horário e de contexto (ou insulina).') });
+      return;
+    }
+    const keys = lembretes.map(getReminderKey);
+    if (new Set(keys).size !== keys.length) {
+      setMessage({ type: 'error', text: t('Há lembretes repetidos.') });
+      return;
+    }
+
+    const sorted = [...lembretes].sort((a, b) => a.hora.localeCompare(b.hora));
+    setLoading(true);
+    try {
+      await saveProfile({ lembretes: sorted });
+      setLembretes(sorted);
+      setMessage({ type: 'success', text: t('Lembretes salvos!') });
+    } catch (error) {
+      console.error("Erro ao salvar lembretes:", error);
+      setMessage({ type: 'error', text: t('Erro ao salvar: ') + error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card>
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
+        <Bell className="w-5 h-5 text-indigo-600" />
+        <span>{t('Lembretes')}</span>
+        <span className="text-xs font-medium text-gray-600 bg-gray-100 rounded px-2 py-0.5">{t('só com o app aberto')}</span>
+      </h2>
+      <form onSubmit={handleSave} className="space-y-4">
+        {permission === 'unsupported' ? (
+          <Message type="warning">{t('Este navegador não oferece notificações.')}</Message>
+        ) : permission === 'denied' ? (
+          <Message type="warning">{t('As notificações estão bloqueadas. Libere-as nas configurações do navegador para receber os lembretes.')}</Message>
+        ) : permission !== 'granted' && (
+          <Button onClick={handlePermission} variant="secondary" icon={Bell} className="w-full text-sm">
+            {t('Permitir notificações')}
+          </Button>
+        )}
+        <Message type="warning">
+          {t('Os lembretes só tocam enquanto o app estiver aberto neste aparelho (mesmo em segundo plano). Com o app fechado, nenhum aviso é enviado: para doses de insulina, use também o alarme do celular.')}
+        </Message>
+        <p className="text-xs text-gray-500">
+          {t('Estes são os lembretes do perfil ativo; os dos outros perfis da conta também são avisados. Um lembrete é dispensado quando já houver um registro do mesmo contexto (ou insulina) na hora anterior.')}
+        </p>
+
+        {lembretes.map((lembrete, i) => (
+          <div key={i} className="flex items-end space-x-2">
+            <input
+              type="checkbox"
+              aria-label={t('Ativo')}
+              checked={lembrete.ativo}
+              onChange={(e) => updateLembrete(i, { ativo: e.target.checked })}
+              className="h-4 w-4 mb-3 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+            />
+            <TimeInput label={t('Horário')} id={`lembrete-hora-${i}`} value={lembrete.hora} onChange={(e) => updateLembrete(i, { hora: e.target.value })} className="w-28" />
+            <Select
+              label={t('Tipo')}
+              id={`lembrete-tipo-${i}`}
+              value={lembrete.tipo}
+              onChange={(e) => handleTypeChange(i, e.target.value)}
+              options={translateOptions(profile.insulinas.length ? REMINDER_TYPES : REMINDER_TYPES.filter(type => type.value === 'glicemia'))}
+              className="flex-1"
+            />
+            {lembrete.tipo === 'glicemia' ? (
+              <Select
+                label={t('Contexto')}
+                id={`lembrete-contexto-${i}`}
+                value={lembrete.contexto}
+                onChange={(e) => updateLembrete(i, { contexto: e.target.value })}
+                options={translateOptions(MEASUREMENT_CONTEXTS)}
+                placeholder={t('Selecione...')}
+                className="flex-1"
+              />
+            ) : (
+              <Select
+                label={t('Insulina')}
+                id={`lembrete-insulina-${i}`}
+                value={lembrete.insulina}
+                onChange={(e) => updateLembrete(i, { insulina: e.target.value })}
+                options={profile.insulinas.map(ins => ({ value: ins.nome, label: ins.nome }))}
+                className="flex-1"
+              />
+            )}
+            <button type="button" onClick={() => setLembretes(lembretes.filter((_, j) => j !== i))} title={t('Remover')} className="p-2 mb-1 text-red-500 hover:text-red-700">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+        <Button
+          onClick={() => setLembretes([...lembretes, { hora: '07:00', tipo: 'glicemia', contexto: '', insulina: null, ativo: true }])}
+          variant="secondary"
+          icon={Plus}
+          className="w-full text-sm"
+        >
+          {t('Adicionar lembrete')}
+        </Button>
+
+        {message.text && <Message type={message.type}>{message.text}</Message>}
+
+        <div className="flex space-x-3">
+          <Button onClick={onBack} variant="secondary" icon={ArrowLeft} className="flex-1">
+            {t('Voltar')}
+          </Button>
+          <Button type="submit" disabled={loading} icon={loading ? Loader2 : Save} className="flex-1">
+            {loading ? t('Salvando...') : t('Salvar')}
+          </Button>
+        </div>
+      </form>
+    </Card>
+  );
+};
+
+// Compartilhamento somente leitura com cuidadores e médicos. O dono grava, em lote:
+//  - artifacts/{appId}/users/{uid}/compartilhamentos/{email}: a lista de convites do dono;
+//  - artifacts/{appId}/compartilhamentos/{email}/pacientes/{uid}: a "caixa de entrada" do
+//    convidado, com os pacientes que compartilharam com ele.
+// As regras do Firestore (firestore.rules) liberam a leitura dos dados do dono para o
+// e-mail convidado, depois de confirmado, enquanto o convite existir.
+const normalizeEmail = (email) => email.trim().toLowerCase();
+const getSharesPath = (userId) => `artifacts/${appId}/users/${userId}/compartilhamentos`;
+const getSharedWithMePath = (email) => `artifacts/${appId}/compartilhamentos/${normalizeEmail(email)}/pacientes`;
+
+// "ownerName" é o nome mostrado a quem recebe o convite
+const SharingSettings = ({ db, userId, userEmail, ownerName, onBack }) => {
+  const [shares, setShares] = useState([]);
+  const [email, setEmail] = useState('');
+  const [invited, setInvited] = useState(null); // E-mail do último convite, para o aviso por e-mail
+  const [message, setMessage] = useState({ type: null, text: '' });
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(query(collection(db, getSharesPath(userId)), orderBy('email')), (snapshot) => {
+      setShares(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (error) => {
+      console.error("Erro ao carregar compartilhamentos:", error);
+      setMessage({ type: 'error', text: t('Erro ao carregar os compartilhamentos: ') + error.message });
+    });
+    return () => unsubscribe();
+  }, [db, userId]);
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    setMessage({ type: null, text: '' });
+    const normalized = normalizeEmail(email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) {
+      setMessage({ type: 'error', text: t('Informe um e-mail válido.') });
+      return;
+    }
+    if (normalized === normalizeEmail(userEmail || '')) {
+      setMessage({ type: 'error', text: t('Você não pode compartilhar com o seu próprio e-mail.') });
+      return;
+    }
+    if (shares.some(s => s.id === normalized)) {
+      setMessage({ type: 'error', text: t('Este e-mail já tem acesso.') });
+      return;
+    }
+
+    const batch = writeBatch(db);
+    batch.set(doc(db, getSharesPath(userId), normalized), { email: normalized, criadoEm: serverTimestamp() });
+    batch.set(doc(db, getSharedWithMePath(normalized), userId), {
+      ownerUid: userId,
+      nome: ownerName,
+      emailPaciente: userEmail,
+      criadoEm: serverTimestamp(),
+    });
+    batch.commit().catch((error) => {
+      console.error("Erro ao compartilhar:", error);
+      setMessage({ type: 'error', text: t('Erro ao compartilhar: ') + error.message });
+    });
+    setMessage({ type: 'success', text: t('Acesso somente leitura concedido a {email}.', { email: normalized }) });
+    setInvited(normalized);
+    setEmail('');
+  };
+
+  const handleRevoke = (share) => {
+    if (!window.confirm(t('Remover o acesso de {email}?', { email: share.email }))) return;
+    const batch = writeBatch(db);
+    batch.delete(doc(db, getSharesPath(userId), share.id));
+    batch.delete(doc(db, getSharedWithMePath(share.id), userId));
+    batch.commit().catch((error) => {
+      console.error("Erro ao revogar acesso:", error);
+      setMessage({ type: 'error', text: t('Erro ao revogar: ') + error.message });
+    });
+    if (invited === share.id) setInvited(null);
+  };
+
+  // Convite por e-mail: abre o programa de e-mail com o endereço do app
+  const inviteMailto = invited && `mailto:${invited}?subject=${encodeURIComponent(t('Acompanhe minhas glicemias'))}&body=${encodeURIComponent(
+    t('Compartilhei meu registro de glicemias com você no Glicemia Control.\n\nEntre ou crie uma conta com este e-mail ({email}) em {url} e abra "Pacientes".', {
+      email: invited,
+      url: `${window.location.origin}${process.env.PUBLIC_URL}/`,
+    })
+  )}`;
+
+  return (
+    <Card>
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
+        <Share2 className="w-5 h-5 text-indigo-600" />
+        <span>{t('Compartilhar')}</span>
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        {t('Quem você convidar poderá ver seus registros e estatísticas em tempo real, sem poder alterá-los.')}
+      </p>
+      <form onSubmit={handleInvite} className="flex items-end space-x-2">
+        <Input
+          label={t('E-mail do cuidador ou médico')}
+          id="share-email"
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder={t('nome@exemplo.com')}
+          className="flex-1"
+        />
+        <Button type="submit" icon={UserPlus} className="mb-0.5">{t('Convidar')}</Button>
+      </form>
+
+      <div className="mt-4 space-y-2">
+        {message.text && <Message type={message.type}>{message.text}</Message>}
+        {inviteMailto && (
+          <a href={inviteMailto} className="text-sm text-indigo-600 hover:text-indigo-800 underline">
+            {t('Avisar {email} por e-mail', { email: invited })}
+          </a>
+        )}
+      </div>
+
+      <h3 className="font-semibold text-gray-700 mt-6 mb-2">{t('Com acesso')}</h3>
+      {shares.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('Nenhum compartilhamento ativo.')}</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {shares.map(share => (
+            <li key={share.id} className="flex justify-between items-center py-2 text-sm">
+              <span>{share.email}</span>
+              <Button onClick={() => handleRevoke(share)} variant="link" className="text-red-600 text-sm">{t('Revogar')}</Button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <Button onClick={onBack} variant="secondary" icon={ArrowLeft} className="w-full mt-6">
+        {t('Voltar')}
+      </Button>
+    </Card>
+  );
+};
+
+// Exclusão de conta (pedidos de titulares pela LGPD). O cliente do Firestore não lista
+// subcoleções, então a árvore de dados de um usuário é descrita aqui e percorrida
+// coleção a coleção, apagando primeiro as subcoleções de cada documento. O histórico
+// de alterações fica em glicemia_history; a subcoleção history sob cada leitura cobre
+// perfis cujo histórico ainda não foi migrado (useHistoryMigration).
+const PROFILE_DATA_TREE = {
+  glicemia_records: { history: {} },
+  glicemia_history: {},
+  insulina_records: {},
+  refeicao_records: {},
+};
+const USER_DATA_TREE = { ...PROFILE_DATA_TREE, profile: {}, compartilhamentos: {}, dependentes: PROFILE_DATA_TREE };
+
+const deleteCollectionTree = async (db, basePath, tree, onProgress) => {
+  for (const [name, subtree] of Object.entries(tree)) {
+    const snapshot = await getDocs(collection(db, basePath, name));
+    for (const docSnap of snapshot.docs) {
+      await deleteCollectionTree(db, `${basePath}/${name}/${docSnap.id}`, subtree, onProgress);
+    }
+    for (let start = 0; start < snapshot.docs.length; start += FIRESTORE_BATCH_LIMIT) {
+      const chunk = snapshot.docs.slice(start, start + FIRESTORE_BATCH_LIMIT);
+      const batch = writeBatch(db);
+      chunk.forEach(docSnap => batch.delete(docSnap.ref));
+      await batch.commit();
+      onProgress(chunk.length);
+    }
+  }
+};
+
+// Apaga tudo em artifacts/{appId}/users/{uid} e as entradas nas caixas de entrada
+// de quem recebeu convites desse usuário
+const deleteUserData = async (db, userId, onProgress) => {
+  const shares = await getDocs(collection(db, getSharesPath(userId)));
+  if (!shares.empty) {
+    const batch = writeBatch(db);
+    shares.docs.forEach(share => batch.delete(doc(db, getSharedWithMePath(share.id), userId)));
+    await batch.commit();
+  }
+  await deleteCollectionTree(db, getUserBasePath(userId), USER_DATA_TREE, onProgress);
+};
+
+const AccountSettings = ({ auth, db, userId, onBack }) => {
+  const user = auth.currentUser;
+  const [emailVerified, setEmailVerified] = useState(user.emailVerified);
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [passwordMessage, setPasswordMessage] = useState({ type: null, text: '' });
+  const [deletePassword, setDeletePassword] = useState('');
+  const [deleteMessage, setDeleteMessage] = useState({ type: null, text: '' });
+  const [loading, setLoading] = useState(null); // 'password' ou 'delete'
+
+  const reauthenticate = (password) => reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, password));
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setPasswordMessage({ type: null, text: '' });
+    if (newPassword !== confirmPassword) {
+      setPasswordMessage({ type: 'error', text: t('A confirmação não confere com a nova senha.') });
+      return;
+    }
+
+    setLoading('password');
+    try {
+      await reauthenticate(currentPassword);
+      await updatePassword(user, newPassword);
+      setPasswordMessage({ type: 'success', text: t('Senha alterada com sucesso!') });
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+    } catch (error) {
+      console.error("Erro ao alterar senha:", error);
+      setPasswordMessage({ type: 'error', text: getErrorMessage(error.code) });
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    setDeleteMessage({ type: null, text: '' });
+    if (!window.confirm(t('Excluir definitivamente a conta e TODOS os registros? Esta ação não pode ser desfeita.'))) return;
+
+    setLoading('delete');
+    try {
+      await reauthenticate(deletePassword);
+    } catch (error) {
+      console.error("Erro ao confirmar senha:", error);
+      setDeleteMessage({ type: 'error', text: getErrorMessage(error.code) });
+      setLoading(null);
+      return;
+    }
+
+    try {
+      let deleted = 0;
+      await deleteUserData(db, userId, (count) => {
+        deleted += count;
+        setDeleteMessage({ type: 'info', text: t('Excluindo dados... {n} documento(s) removido(s).', { n: deleted }) });
+      });
+      // Dados locais deste usuário (perfil ativo, lembretes, episódio de hipoglicemia)
+      Object.keys(localStorage)
+        .filter(key => key.startsWith('glico_') && key.includes(userId))
+        .forEach(key => localStorage.removeItem(key));
+      localStorage.removeItem('glico_auth_email');
+      // Com a conta excluída, o onAuthStateChanged leva de volta ao login
+      await deleteUser(user);
+    } catch (error) {
+      console.error("Erro ao excluir conta:", error);
+      // Erros do Firestore também têm code (ex.: permission-denied), mas só os de autenticação têm mensagem própria
+      const isAuthError = String(error.code || '').startsWith('auth/');
+      setDeleteMessage({ type: 'error', text: isAuthError ? getErrorMessage(error.code) : t('Erro ao excluir os dados: ') + error.message });
+      setLoading(null);
+    }
+  };
+
+  return (
+    <Card>
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
+        <UserCog className="w-5 h-5 text-indigo-600" />
+        <span>{t('Minha Conta')}</span>
+      </h2>
+
+      <div className="space-y-3">
+        <p className="text-sm text-gray-700">
+          {t('E-mail:')} <strong>{user.email}</strong>{' '}
+          {emailVerified && <CheckCircle2 className="w-4 h-4 inline-block text-green-500" aria-label={t('Confirmado')} />}
+        </p>
+        {!emailVerified && (
+          <EmailVerificationNotice user={user} onVerified={() => setEmailVerified(true)}>
+            {t('Seu e-mail ainda não foi confirmado. Abra o link que enviamos no cadastro ou peça um novo.')}
+          </EmailVerificationNotice>
+        )}
+      </div>
+
+      <form onSubmit={handleChangePassword} className="space-y-4 pt-4 mt-4 border-t">
+        <h3 className="font-semibold text-gray-700">{t('Alterar senha')}</h3>
+        <Input label={t('Senha atual')} id="account-current-password" type="password" value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} required />
+        <Input label={t('Nova senha (mínimo 6 caracteres)')} id="account-new-password" type="password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} required />
+        <Input label={t('Confirme a nova senha')} id="account-confirm-password" type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} required />
+        {passwordMessage.text && <Message type={passwordMessage.type}>{passwordMessage.text}</Message>}
+        <Button type="submit" disabled={loading !== null} icon={loading === 'password' ? Loader2 : KeyRound} className="w-full">
+          {loading === 'password' ? t('Alterando...') : t('Alterar Senha')}
+        </Button>
+      </form>
+
+      <AppLockSettings userId={userId} />
+
+      <form onSubmit={handleDeleteAccount} className="space-y-4 pt-4 mt-4 border-t">
+        <h3 className="font-semibold text-red-700">{t('Excluir conta')}</h3>
+        <p className="text-sm text-gray-600">
+          {t('Remove a conta e todos os dados: registros de glicemia, doses, refeições, perfis dependentes, lembretes e compartilhamentos. Exporte um CSV antes, se quiser guardar uma cópia.')}
+        </p>
+        <Input label={t('Digite sua senha para confirmar')} id="account-delete-password" type="password" value={deletePassword} onChange={(e) => setDeletePassword(e.target.value)} required />
+        {deleteMessage.text && <Message type={deleteMessage.type}>{deleteMessage.text}</Message>}
+        <Button type="submit" variant="danger" disabled={loading !== null} icon={loading === 'delete' ? Loader2 : Trash2} className="w-full">
+          {loading === 'delete' ? t('Excluindo...') : t('Excluir Conta e Dados')}
+        </Button>
+      </form>
+
+      <Button onClick={onBack} variant="secondary" icon={ArrowLeft} className="w-full mt-6">
+        {t('Voltar')}
+      </Button>
+    </Card>
+  );
+};
+
+// Pacientes que compartilharam o registro com o usuário logado. Mostra o
+// GlicemiaTracker do paciente escolhido em modo somente leitura.
+const PatientsView = ({ db, storage, user, onBack }) => {
+  const [patients, setPatients] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [emailVerified, setEmailVerified] = useState(user.emailVerified);
+  const [message, setMessage] = useState({ type: null, text: '' });
+
+  useEffect(() => {
+    if (!emailVerified || !user.email) {
+      setLoading(false);
+      return;
+    }
+    const unsubscribe = onSnapshot(collection(db, getSharedWithMePath(user.email)), (snapshot) => {
+      const list = snapshot.docs.map(d => d.data()).sort((a, b) => a.nome.localeCompare(b.nome));
+      setPatients(list);
+      // Mantém a seleção enquanto o acesso existir
+      setSelectedId(current => (list.some(p => p.ownerUid === current) ? current : (list[0] ? list[0].ownerUid : '')));
+      setLoading(false);
+    }, (error) => {
+      console.error("Erro ao carregar pacientes:", error);
+      setMessage({ type: 'error', text: t('Erro ao carregar pacientes: ') + error.message });
+      setLoading(false);
+    });
+    return () => unsubscribe();
+  }, [db, user.email, emailVerified]);
+
+  return (
+    <div className="flex flex-col space-y-6">
+      <header className="flex justify-between items-center bg-indigo-600 text-white p-4 rounded-b-xl shadow-lg no-print">
+        <h1 className="text-xl font-bold flex items-center space-x-2">
+          <Users className="w-5 h-5" />
+          <span>{t('Pacientes')}</span>
+        </h1>
+        <Button onClick={onBack} variant="secondary" icon={ArrowLeft} className="text-xs">
+          {t('Meu registro')}
+        </Button>
+      </header>
+
+      {message.text && <Message type={message.type}>{message.text}</Message>}
+
+      {!emailVerified ? (
+        <Card>
+          <EmailVerificationNotice user={user} onVerified={() => setEmailVerified(true)}>
+            {t('Para ver os registros compartilhados com {email}, confirme antes que o e-mail é seu.', { email: user.email })}
+          </EmailVerificationNotice>
+        </Card>
+      ) : loading ? (
+        <div className="flex justify-center items-center p-8">
+          <Loader2 className="w-6 h-6 animate-spin text-indigo-500" />
+        </div>
+      ) : patients.length === 0 ? (
+        <Card>
+          <p className="text-sm text-gray-500">{t('Ninguém compartilhou registros com {email} ainda.', { email: user.email })}</p>
+        </Card>
+      ) : (
+        <>
+          <Card className="no-print">
+            <Select
+              label={t('Paciente')}
+              id="paciente-selecionado"
+              value={selectedId}
+              onChange={(e) => setSelectedId(e.target.value)}
+              options={patients.map(p => ({ value: p.ownerUid, label: `${p.nome} (${p.emailPaciente})` }))}
+            />
+          </Card>
+          {selectedId && <GlicemiaTracker key={selectedId} storage={storage} db={db} userId={selectedId} readOnly />}
+        </>
+      )}
+    </div>
+  );
+};
+
+// Seletor do perfil ativo, no cabeçalho. "Novo perfil..." cria um dependente; data de
+// nascimento, faixas-alvo etc. são preenchidas depois nas Configurações do perfil.
+const NEW_PROFILE_OPTION = '__novo__';
+
+const ProfileSwitcher = ({ db, userId, activeId, onChange }) => {
+  const [dependents, setDependents] = useState([]);
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(query(collection(db, getDependentsPath(userId)), orderBy('nome')), (snapshot) => {
+      setDependents(snapshot.docs.map(d => ({ id: d.id, nome: d.data().nome })));
+    }, (error) => {
+      console.error("Erro ao carregar perfis:", error);
+    });
+    return () => unsubscribe();
+  }, [db, userId]);
+
+  const handleChange = (e) => {
+    const value = e.target.value;
+    if (value !== NEW_PROFILE_OPTION) {
+      onChange(value || null);
+      return;
+    }
+    const nome = (window.prompt(t('Nome do novo perfil (ex.: nome do filho):')) || '').trim();
+    if (!nome) return;
+    const ref = doc(collection(db, getDependentsPath(userId)));
+    setDoc(ref, { nome, criadoEm: serverTimestamp() }).catch((error) => {
+      console.error("Erro ao criar perfil:", error);
+    });
+    onChange(ref.id);
+  };
+
+  return (
+    <select
+      aria-label={t('Perfil ativo')}
+      value={activeId || ''}
+      onChange={handleChange}
+      className="max-w-[9rem] truncate text-sm font-medium bg-indigo-500 text-white rounded-lg px-2 py-1 border-0 focus:ring-2 focus:ring-white"
+    >
+      <option value="">{t('Meu perfil')}</option>
+      {dependents.map(d => <option key={d.id} value={d.id}>{d.nome || t('Sem nome')}</option>)}
+      <option value={NEW_PROFILE_OPTION}>{t('+ Novo perfil...')}</option>
+    </select>
+  );
+};
+
+// Detecção de padrões ("insights") nas leituras do período, com as regras que um
+// médico costuma olhar. Cada achado traz as leituras (ou os dias) que o originaram
+// e uma pontuação usada para ordenar a lista: segurança primeiro (hipoglicemias).
+const INSIGHT_LEVELS = {
+  alta: { label: 'Atenção', style: 'border-red-500 bg-red-50' },
+  media: { label: 'Observar', style: 'border-yellow-500 bg-yellow-50' },
+  baixa: { label: 'Informação', style: 'border-blue-400 bg-blue-50' },
+};
+const NIGHT_END_MINUTES = 6 * 60; // Madrugada: 00:00 a 05:59
+const DAWN_WINDOW = { start: 2 * 60, end: 5 * 60 }; // Leitura de referência noturna: 02:00 a 04:59
+const DAWN_RISE_MGDL = 20;
+const LUNCH_WINDOW = { start: 12 * 60, end: 17 * 60 }; // Pós-almoço: 12:00 a 16:59
+const WEEKLY_RISE_MGDL = 10;
+const MIN_PATTERN_READINGS = 3;
+
+const getValue = (reg) => parseFloat(reg.glicemia);
+const sortByDate = (records) => [...records].sort((a, b) => getRecordDate(a) - getRecordDate(b));
+
+const detectNocturnalLows = (records, profile, unit) => {
+  const lows = records.filter(r => getRecordMinutes(r) < NIGHT_END_MINUTES && getValue(r) < getTargetsFor(profile, r.contexto).low);
+  const nights = new Set(lows.map(getRecordDay));
+  if (nights.size < 2) return null;
+  const severe = lows.some(r => getValue(r) < HYPO_LEVEL2_MGDL);
+  return {
+    id: 'hipo-noturna',
+    nivel: 'alta',
+    score: 100 + lows.length + (severe ? 20 : 0),
+    titulo: t('Hipoglicemias repetidas na madrugada'),
+    descricao: t(severe
+      ? '{n} leituras abaixo do limite entre 00:00 e 06:00, em {noites} noites diferentes, incluindo valores abaixo de {limite}. Converse com seu médico sobre a dose da insulina basal ou o lanche noturno.'
+      : '{n} leituras abaixo do limite entre 00:00 e 06:00, em {noites} noites diferentes. Converse com seu médico sobre a dose da insulina basal ou o lanche noturno.',
+      { n: lows.length, noites: nights.size, limite: formatGlicemiaWithUnit(HYPO_LEVEL2_MGDL, unit) }),
+    registros: lows,
+  };
+};
+
+// Fenômeno do alvorecer: a glicemia sobe entre a madrugada e o jejum sem hipoglicemia antes
+const detectDawnPhenomenon = (records, profile, unit) => {
+  const byDay = {};
+  records.forEach((r) => {
+    const day = getRecordDay(r);
+    byDay[day] = byDay[day] || { night: null, fasting: null };
+    const minutes = getRecordMinutes(r);
+    if (minutes >= DAWN_WINDOW.start && minutes < DAWN_WINDOW.end && getValue(r) >= getTargetsFor(profile, r.contexto).low) {
+      byDay[day].night = r;
+    } else if (r.contexto === 'jejum' && minutes >= DAWN_WINDOW.end && !byDay[day].fasting) {
+      byDay[day].fasting = r;
+    }
+  });
+  const pairs = Object.values(byDay).filter(d => d.night && d.fasting);
+  const rises = pairs.filter(d => getValue(d.fasting) - getValue(d.night) >= DAWN_RISE_MGDL);
+  if (rises.length >= MIN_PATTERN_READINGS && rises.length >= pairs.length / 2) {
+    const avgRise = rises.reduce((acc, d) => acc + getValue(d.fasting) - getValue(d.night), 0) / rises.length;
+    return {
+      id: 'alvorecer',
+      nivel: 'media',
+      score: 60 + rises.length,
+      titulo: t('Possível fenômeno do alvorecer'),
+      descricao: t('Em {n} de {total} dias a glicemia subiu em média {valor} entre a madrugada (02:00–05:00) e o jejum.', {
+        n: rises.length,
+        total: pairs.length,
+        valor: formatGlicemiaWithUnit(avgRise, unit),
+      }),
+      registros: rises.flatMap(d => [d.night, d.fasting]),
+    };
+  }
+
+  // Sem leituras de madrugada para comparar: aponta jejum frequentemente acima da meta
+  const fasting = records.filter(r => r.contexto === 'jejum');
+  const highFasting = fasting.filter(r => getValue(r) > getTargetsFor(profile, 'jejum').targetHigh);
+  if (pairs.length < MIN_PATTERN_READINGS && fasting.length >= 5 && highFasting.length >= fasting.length / 2) {
+    return {
+      id: 'jejum-alto',
+      nivel: 'media',
+      score: 50 + highFasting.length,
+      titulo: t('Glicemia de jejum frequentemente acima da meta'),
+      descricao: t('{n} de {total} leituras de jejum acima da meta. Medir às 03:00 em algumas noites ajuda a separar o fenômeno do alvorecer de outras causas.', { n: highFasting.length, total: fasting.length }),
+      registros: highFasting,
+    };
+  }
+  return null;
+};
 
-        {/* Estatísticas */}
-        <div className="flex flex-col space-y-3 p-4 bg-gray-50 rounded-lg border mb-4">
-          <h3 className="font-semibold text-lg text-gray-700">Resumo do Período ({stats.count} Registros)</h3>
-          {loadingRecords ? (
-             <p className="text-sm text-gray-500 flex items-center"><Loader2 className="w-4 h-4 mr-2 animate-spin" /> Carregando estatísticas...</p>
-          ) : stats.count > 0 ? (
-            <div className="grid grid-cols-2 gap-2 text-sm font-medium">
-              <div className="text-gray-600">Média:</div>
-              <div className={`text-right font-bold ${stats.color.replace('bg-', 'text-')}`}>{stats.avg} mg/dL</div>
-
-              <div className="text-gray-600">Mínimo:</div>
-              <div className="text-right text-green-700">{stats.min} mg/dL</div>
-
-              <div className="text-gray-600">Máximo:</div>
-              <div className="text-right text-red-700">{stats.max} mg/dL</div>
-            </div>
+const detectPostLunchSpikes = (records, profile) => {
+  const postLunch = records.filter((r) => {
+    const minutes = getRecordMinutes(r);
+    return r.contexto === 'pos_refeicao' && minutes >= LUNCH_WINDOW.start && minutes < LUNCH_WINDOW.end;
+  });
+  const spikes = postLunch.filter(r => getValue(r) > getTargetsFor(profile, 'pos_refeicao').high);
+  if (spikes.length < MIN_PATTERN_READINGS || spikes.length < postLunch.length / 2) return null;
+  return {
+    id: 'pico-almoco',
+    nivel: 'media',
+    score: 40 + spikes.length,
+    titulo: t('Picos frequentes após o almoço'),
+    descricao: t('{n} de {total} leituras pós-almoço acima do limite de hiperglicemia. Vale revisar a contagem de carboidratos ou o horário do bolus do almoço.', { n: spikes.length, total: postLunch.length }),
+    registros: spikes,
+  };
+};
+
+// Média semanal em alta: semanas de 7 dias a partir do início do período,
+// considerando só as que têm leituras suficientes
+const detectRisingWeeklyAverage = (records, dataInicio, unit) => {
+  const start = new Date(`${dataInicio}T00:00:00`);
+  const weeks = {};
+  records.forEach((r) => {
+    const week = Math.floor((getRecordDate(r) - start) / (7 * 24 * 60 * 60 * 1000));
+    (weeks[week] = weeks[week] || []).push(r);
+  });
+  const series = Object.entries(weeks)
+    .filter(([, list]) => list.length >= MIN_PATTERN_READINGS)
+    .map(([week, list]) => ({ week: Number(week), list, avg: list.reduce((acc, r) => acc + getValue(r), 0) / list.length }))
+    .sort((a, b) => a.week - b.week);
+  if (series.length < 3) return null;
+
+  const risingSteps = series.slice(1).filter((w, i) => w.avg > series[i].avg).length;
+  const first = series[0];
+  const last = series[series.length - 1];
+  if (last.avg - first.avg < WEEKLY_RISE_MGDL || risingSteps < series.length - 2) return null;
+  return {
+    id: 'media-semanal',
+    nivel: 'media',
+    score: 30 + Math.round(last.avg - first.avg),
+    titulo: t('Média semanal em alta'),
+    descricao: t('A média subiu de {de} para {para} ao longo de {n} semanas.', {
+      de: formatGlicemiaWithUnit(first.avg, unit),
+      para: formatGlicemiaWithUnit(last.avg, unit),
+      n: series.length,
+    }),
+    registros: last.list,
+  };
+};
+
+const detectMissingDays = (records, dataInicio, dataFim) => {
+  const today = toISODate(new Date());
+  const measured = new Set(records.map(getRecordDay));
+  const missing = listDays(dataInicio, dataFim < today ? dataFim : today).filter(day => !measured.has(day));
+  if (missing.length === 0) return null;
+  return {
+    id: 'dias-sem-medicao',
+    nivel: missing.length >= 3 ? 'media' : 'baixa',
+    score: 10 + missing.length,
+    titulo: missing.length === 1 ? t('1 dia sem medições') : t('{n} dias sem medições', { n: missing.length }),
+    descricao: t('Dias do período sem nenhuma leitura registrada.'),
+    registros: [],
+    dias: missing,
+  };
+};
+
+const detectPatterns = (records, profile, dataInicio, dataFim) => {
+  const sorted = sortByDate(records.filter(r => !isNaN(getValue(r))));
+  const unit = profile.unidade;
+  return [
+    detectNocturnalLows(sorted, profile, unit),
+    detectDawnPhenomenon(sorted, profile, unit),
+    detectPostLunchSpikes(sorted, profile),
+    detectRisingWeeklyAverage(sorted, dataInicio, unit),
+    detectMissingDays(sorted, dataInicio, dataFim),
+  ].filter(Boolean).sort((a, b) => b.score - a.score);
+};
+
+const InsightsPanel = ({ findings, unit }) => {
+  const [openId, setOpenId] = useState(null);
+
+  return (
+    <Card>
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
+        <Lightbulb className="w-5 h-5 text-indigo-600" />
+        <span>{t('Padrões Encontrados')}</span>
+      </h2>
+      {findings.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('Nenhum padrão relevante nas leituras do período.')}</p>
+      ) : (
+        <ol className="space-y-3">
+          {findings.map(finding => (
+            <li key={finding.id} className={`border-l-4 rounded-r-lg p-3 ${INSIGHT_LEVELS[finding.nivel].style}`}>
+              <p className="text-xs font-semibold uppercase text-gray-500">{t(INSIGHT_LEVELS[finding.nivel].label)}</p>
+              <h3 className="font-semibold text-gray-800">{finding.titulo}</h3>
+              <p className="text-sm text-gray-700">{finding.descricao}</p>
+              <Button
+                onClick={() => setOpenId(openId === finding.id ? null : finding.id)}
+                variant="link"
+                className="text-sm"
+              >
+                {openId === finding.id
+                  ? t('Ocultar')
+                  : finding.dias ? t('Ver {n} dia(s)', { n: finding.dias.length }) : t('Ver {n} leitura(s)', { n: finding.registros.length })}
+              </Button>
+              {openId === finding.id && (
+                <ul className="text-xs text-gray-700 space-y-0.5">
+                  {finding.dias
+                    ? finding.dias.map(day => <li key={day}>{formatISODate(day)}</li>)
+                    : finding.registros.map(reg => (
+                      <li key={reg.id}>
+                        {formatRecordDateTime(reg)} — <strong>{formatGlicemiaWithUnit(reg.glicemia, unit)}</strong> ({getContextLabel(reg.contexto)})
+                      </li>
+                    ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </Card>
+  );
+};
+
+// Envia para a conta o histórico gravado no modo local e depois o apaga deste navegador.
+// Só aparece para a conta que entrou a partir do modo local (claimLocalData). Das
+// configurações locais, entram só as que a conta ainda não tem. Os ids dos documentos
+// são mantidos: repetir o envio depois de uma falha não duplica registros.
+const LocalHistoryUpload = ({ storage, userId }) => {
+  const [items, setItems] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [message, setMessage] = useState({ type: null, text: '' });
+
+  useEffect(() => {
+    if (!claimLocalData(userId)) return;
+    let active = true;
+    getDeviceStorage().listAll()
+      .then(all => { if (active) setItems(all); })
+      .catch(error => console.error("Erro ao ler os registros locais:", error));
+    return () => { active = false; };
+  }, [userId]);
+
+  const localBase = getUserBasePath(LOCAL_USER_ID);
+  const recordCount = items.filter(item => /_records$/.test(getParentPath(item.path))).length;
+
+  const handleUpload = async () => {
+    setUploading(true);
+    setMessage({ type: null, text: '' });
+
+    try {
+      const accountProfilePath = getProfileDocPath(userId);
+      const accountProfile = (await storage.list(getParentPath(accountProfilePath)))
+        .find(item => item.path === accountProfilePath);
+      const accountSettings = accountProfile ? accountProfile.data : {};
+
+      const operations = items.map(({ path, data }) => {
+        const target = getUserBasePath(userId) + path.slice(localBase.length);
+        if (path === getProfileDocPath(LOCAL_USER_ID)) {
+          // As versões dos esquemas se referem aos dados que já estão na conta; o que a
+          // conta já configurou prevalece sobre o que foi definido sem conta
+          const { versaoRegistros, versaoHistorico, atualizadoEm, ...settings } = data;
+          const missing = Object.keys(settings).filter(key => accountSettings[key] === undefined);
+          if (missing.length === 0) return null;
+          return { type: 'set', path: target, data: settings, mergeFields: missing };
+        }
+        return { type: 'set', path: target, data };
+      }).filter(Boolean);
+
+      for (let i = 0; i < operations.length; i += MIGRATION_BATCH_SIZE) {
+        await storage.commit(operations.slice(i, i + MIGRATION_BATCH_SIZE));
+      }
+      await getDeviceStorage().clear();
+      localStorage.removeItem(LOCAL_DATA_OWNER_KEY);
+      setItems([]);
+      setMessage({ type: 'success', text: t('{n} registro(s) enviado(s) para a sua conta.', { n: recordCount }) });
+    } catch (error) {
+      console.error("Erro ao enviar os registros locais:", error);
+      setMessage({ type: 'error', text: t('Erro ao enviar: ') + error.message });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  if (recordCount === 0 && !message.text) return null;
+
+  return (
+    <Card>
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
+        <HardDrive className="w-5 h-5 text-indigo-600" />
+        <span>{t('Registros deste navegador')}</span>
+      </h2>
+      {recordCount > 0 && (
+        <>
+          <p className="text-sm text-gray-600 mb-4">
+            {t('{n} registro(s) do uso sem conta estão salvos apenas neste navegador. Envie-os para a sua conta para tê-los em qualquer aparelho.', { n: recordCount })}
+          </p>
+          <Button onClick={handleUpload} disabled={uploading} icon={uploading ? Loader2 : UploadCloud} className="w-full">
+            {uploading ? t('Enviando...') : t('Enviar para a minha conta')}
+          </Button>
+        </>
+      )}
+      {message.text && <Message type={message.type}>{message.text}</Message>}
+    </Card>
+  );
+};
+
+// Leituras por página da tabela do histórico (as páginas seguintes abrem ao rolar)
+const HISTORY_PAGE_SIZE = 50;
+
+// Com "readOnly" (paciente que compartilhou o registro), mostra só o histórico e as estatísticas
+// "dependenteId" indica o perfil ativo (null = perfil principal da conta)
+const GlicemiaTracker = ({ storage, db, auth, userId, userEmail, handleSignOut, onOpenPatients, dependenteId = null, onSwitchProfile, readOnly = false }) => {
+  // Caminho da coleção adaptado para usar o appId (que é o project ID) e o perfil ativo
+  const basePath = getProfileBasePath(userId, dependenteId);
+  const scopeKey = getProfileScopeKey(userId, dependenteId);
+  const GLICEMIA_COLLECTION = `${basePath}/glicemia_records`;
+  const INSULINA_COLLECTION = `${basePath}/insulina_records`;
+  const REFEICAO_COLLECTION = `${basePath}/refeicao_records`;
+  const HISTORICO_COLLECTION = `${basePath}/glicemia_history`;
+
+  // Perfil do usuário (unidade e faixas-alvo) e tela ativa ('tracker', 'settings', 'import', 'fhir', 'bulk', 'report', 'bolus', 'reminders', 'sharing' ou 'account')
+  const { profile, loading: loadingProfile, saveProfile } = useUserProfile(storage, userId, dependenteId);
+  const { targets, unidade: unit } = profile;
+  useRecordMigration(storage, [GLICEMIA_COLLECTION, INSULINA_COLLECTION, REFEICAO_COLLECTION], profile, saveProfile, !readOnly && !loadingProfile);
+  useHistoryMigration(storage, GLICEMIA_COLLECTION, HISTORICO_COLLECTION, profile, saveProfile, !readOnly && !loadingProfile);
+  const [screen, setScreen] = useState('tracker');
+
+  // Episódio de hipoglicemia em andamento (persistido para sobreviver a recarregamentos)
+  const [hypoEpisode, setHypoEpisode] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(getHypoStorageKey(scopeKey)));
+    } catch (e) {
+      return null;
+    }
+  });
+  useEffect(() => {
+    if (hypoEpisode) localStorage.setItem(getHypoStorageKey(scopeKey), JSON.stringify(hypoEpisode));
+    else localStorage.removeItem(getHypoStorageKey(scopeKey));
+  }, [hypoEpisode, scopeKey]);
+
+  // Formulário
+  // Data local do aparelho (toISOString daria a data em UTC, já "amanhã" à noite no Brasil)
+  const today = toISODate(new Date());
+  const currentTime = new Date().toTimeString().split(' ')[0].substring(0, 5);
+  const [glicemia, setGlicemia] = useState('');
+  const [data, setData] = useState(today);
+  const [hora, setHora] = useState(currentTime);
+  const [contexto, setContexto] = useState('');
+  const [loadingSave, setLoadingSave] = useState(false);
+  const [saveMessage, setSaveMessage] = useState({ type: null, text: '' });
+
+  // Lembretes: agendamento e abertura do formulário preenchido ao tocar na notificação
+  useReminderScheduler(storage, readOnly ? null : userId);
+  const [dosePreset, setDosePreset] = useState(null);
+  const [focusField, setFocusField] = useState(null);
+
+  const openFromReminder = useCallback((params) => {
+    const novo = params.get('novo');
+    if (!novo) return;
+    // Lembrete de outro perfil: troca o perfil ativo e devolve os parâmetros à URL, que o
+    // painel do outro perfil lê ao ser montado
+    const perfil = params.get('perfil') || null;
+    if (perfil !== dependenteId && onSwitchProfile) {
+      window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+      onSwitchProfile(perfil);
+      return;
+    }
+    const now = new Date();
+    const nowDate = toISODate(now);
+    const nowTime = `${pad2(now.getHours())}:${pad2(now.getMinutes())}`;
+    setScreen('tracker');
+    if (novo === 'glicemia') {
+      setData(nowDate);
+      setHora(nowTime);
+      setContexto(params.get('contexto') || '');
+      setFocusField('glicemia');
+    } else {
+      setDosePreset({ insulina: params.get('insulina'), data: nowDate, hora: nowTime });
+      setFocusField('dose-unidades');
+    }
+  }, [dependenteId, onSwitchProfile]);
+
+  useEffect(() => {
+    if (readOnly) return;
+
+    // App aberto pela notificação: os parâmetros vêm na URL e são removidos em seguida
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('novo')) {
+      window.history.replaceState(null, '', window.location.pathname);
+      openFromReminder(params);
+    }
+
+    // App já aberto: o service worker envia a URL do lembrete por mensagem
+    if (!('serviceWorker' in navigator)) return;
+    const handleMessage = (event) => {
+      if (event.data && event.data.type === 'abrir-lembrete') openFromReminder(new URL(event.data.url).searchParams);
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [openFromReminder, readOnly]);
+
+  useEffect(() => {
+    if (!focusField) return;
+    const input = document.getElementById(focusField);
+    if (input) {
+      input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      input.focus();
+    }
+    setFocusField(null);
+  }, [focusField]);
+
+  // Célula vazia do diário: abre o formulário com o dia, o horário e o contexto dela
+  const handleLogbookEntry = (day, slot) => {
+    setGlicemia('');
+    setData(day);
+    setHora(slot.hora);
+    setContexto(slot.contexto);
+    setSaveMessage({ type: null, text: '' });
+    setFocusField('glicemia');
+  };
+
+  // Listagem de Registros
+  const [dataInicio, setDataInicio] = useState(today);
+  const [dataFim, setDataFim] = useState(today);
+  const [filtroContexto, setFiltroContexto] = useState(''); // '' = todos os contextos
+  const [historyView, setHistoryView] = useState('table'); // 'table', 'logbook' ou 'charts'
+
+  // Edição, exclusão e histórico de alterações
+  const [editingId, setEditingId] = useState(null);
+  const [editValues, setEditValues] = useState({ glicemia: '', data: '', hora: '', contexto: '' });
+  const [tableMessage, setTableMessage] = useState({ type: null, text: '' });
+  const [historyId, setHistoryId] = useState(null);
+  const [historyEntries, setHistoryEntries] = useState([]);
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const historyRequestRef = useRef(null);
+  const [deletedEntries, setDeletedEntries] = useState(null); // null = lista fechada
+  const [loadingDeleted, setLoadingDeleted] = useState(false);
+
+  // No modo local não há servidor: nada fica pendente de sincronização
+  const localMode = storage.type === 'local';
+  const online = useOnlineStatus() || localMode;
+
+  // Função para salvar novo registro.
+  // Com o cache local, a gravação aparece na tabela na hora, mas a Promise do Firestore
+  // só termina quando o servidor confirma. Offline isso só acontece quando a conexão
+  // volta, então não esperamos a confirmação (o mesmo vale para edição e exclusão).
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setLoadingSave(true);
+    setSaveMessage({ type: null, text: '' });
+
+    const { error, record } = buildGlicemiaRecord(glicemia, data, hora, contexto, unit);
+    if (error) {
+      setSaveMessage({ type: 'error', text: error });
+      setLoadingSave(false);
+      return;
+    }
+
+    // Leitura recente abaixo do limite de hipoglicemia: inicia o protocolo da regra dos 15
+    const startsHypo = record.glicemia < getTargetsFor(profile, contexto).low
+      && Date.now() - record.timestamp.toMillis() < HYPO_PROTOCOL_MAX_AGE_MINUTES * 60 * 1000;
+
+    try {
+      // O id é gerado antes da gravação para ligar a leitura ao episódio
+      const recordPath = storage.newDocPath(GLICEMIA_COLLECTION);
+      const recordId = getPathId(recordPath);
+      storage.set(recordPath, startsHypo ? { ...record, episodioHipo: recordId } : record).catch((error) => {
+        console.error("Erro ao sincronizar registro:", error);
+        setSaveMessage({ type: 'error', text: t('Erro ao salvar: ') + error.message });
+      });
+
+      if (startsHypo) {
+        setHypoEpisode({
+          id: recordId,
+          contexto,
+          inicio: record.timestamp.toMillis(),
+          ultimaGlicemia: record.glicemia,
+          contagemFim: null,
+          tratamentos: 0,
+        });
+        setGlicemia('');
+        return;
+      }
+
+      setSaveMessage({
+        type: 'success',
+        text: online
+          ? t('Registro de {valor} salvo com sucesso!', { valor: formatGlicemiaWithUnit(record.glicemia, unit) })
+          : t('Registro de {valor} salvo neste aparelho. Será sincronizado quando a conexão voltar.', { valor: formatGlicemiaWithUnit(record.glicemia, unit) }),
+      });
+      setGlicemia(''); // Limpa o campo após salvar
+    } catch (error) {
+      console.error("Erro ao salvar registro:", error);
+      setSaveMessage({ type: 'error', text: t('Erro ao salvar: ') + error.message });
+    } finally {
+      setLoadingSave(false);
+      setTimeout(() => setSaveMessage({ type: null, text: '' }), 4000);
+    }
+  };
+
+  // Cada alteração é gravada em "glicemia_history" (com o id do registro em "registroId"),
+  // na mesma transação em lote da edição/exclusão. Fora da subcoleção do registro, o
+  // histórico sobrevive à exclusão e continua listável (inclusive para apagar a conta).
+  const newHistoryOperation = (registroId, fields) => ({
+    type: 'set',
+    path: storage.newDocPath(HISTORICO_COLLECTION),
+    data: { registroId, ...fields, alteradoEm: storage.now() },
+  });
+
+  const showTableMessage = (type, text) => {
+    setTableMessage({ type, text });
+    setTimeout(() => setTableMessage({ type: null, text: '' }), 4000);
+  };
+
+  const startEdit = (reg) => {
+    setEditingId(reg.id);
+    const localDate = getRecordLocalDate(reg);
+    setEditValues({ glicemia: formatGlicemiaInput(reg.glicemia, unit), data: toISODate(localDate), hora: toISOTime(localDate), contexto: reg.contexto || '' });
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setEditValues({ glicemia: '', data: '', hora: '', contexto: '' });
+  };
+
+  // Função para salvar a edição de um registro existente
+  const handleUpdate = async (reg) => {
+    const { error, record } = buildGlicemiaRecord(editValues.glicemia, editValues.data, editValues.hora, editValues.contexto, unit, reg);
+    if (error) {
+      showTableMessage('error', error);
+      return;
+    }
+    // Valor não alterado: mantém o original, evitando erros de arredondamento da conversão
+    if (editValues.glicemia === formatGlicemiaInput(reg.glicemia, unit)) {
+      record.glicemia = reg.glicemia;
+    }
+
+    const valorAnterior = pickHistoryFields(reg);
+    const valorNovo = pickHistoryFields(record);
+    if (JSON.stringify(valorAnterior) === JSON.stringify(valorNovo)) {
+      cancelEdit();
+      return;
+    }
+
+    try {
+      storage.commit([
+        // Um documento ainda na versão 1 perde "data" e "hora" ao ser editado
+        { type: 'update', path: `${GLICEMIA_COLLECTION}/${reg.id}`, data: { ...record, data: storage.deletedField(), hora: storage.deletedField() } },
+        newHistoryOperation(reg.id, { tipo: 'edicao', valorAnterior, valorNovo }),
+      ]).catch((error) => {
+        console.error("Erro ao sincronizar edição:", error);
+        showTableMessage('error', t('Erro ao atualizar: ') + error.message);
+      });
+
+      showTableMessage('success', t('Registro atualizado com sucesso!'));
+      cancelEdit();
+      if (historyId === reg.id) setHistoryId(null);
+    } catch (error) {
+      console.error("Erro ao atualizar registro:", error);
+      showTableMessage('error', t('Erro ao atualizar: ') + error.message);
+    }
+  };
+
+  // Função para excluir um registro. O histórico permanece em "glicemia_history",
+  // incluindo a entrada que registra a exclusão (ver "Registros excluídos").
+  const handleDelete = async (reg) => {
+    if (!window.confirm(t('Excluir o registro de {valor} de {data} às {hora}?', {
+      valor: formatGlicemiaWithUnit(reg.glicemia, unit),
+      data: formatRecordDate(reg),
+      hora: formatRecordTime(reg),
+    }))) return;
+
+    try {
+      storage.commit([
+        newHistoryOperation(reg.id, { tipo: 'exclusao', valorAnterior: pickHistoryFields(reg), valorNovo: null }),
+        { type: 'delete', path: `${GLICEMIA_COLLECTION}/${reg.id}` },
+      ]).catch((error) => {
+        console.error("Erro ao sincronizar exclusão:", error);
+        showTableMessage('error', t('Erro ao excluir: ') + error.message);
+      });
+
+      showTableMessage('success', t('Registro excluído.'));
+      if (editingId === reg.id) cancelEdit();
+    } catch (error) {
+      console.error("Erro ao excluir registro:", error);
+      showTableMessage('error', t('Erro ao excluir: ') + error.message);
+    }
+  };
+
+  // Abre/fecha o histórico de alterações de um registro
+  const toggleHistory = async (reg) => {
+    if (historyId === reg.id) {
+      setHistoryId(null);
+      return;
+    }
+
+    // Só a resposta do último registro aberto é exibida (cliques rápidos em A e depois B)
+    historyRequestRef.current = reg.id;
+    setHistoryId(reg.id);
+    setHistoryEntries([]);
+    setLoadingHistory(true);
+    try {
+      const items = await storage.list(HISTORICO_COLLECTION, { equals: { field: 'registroId', value: reg.id } });
+      if (historyRequestRef.current !== reg.id) return;
+      setHistoryEntries(sortHistoryEntries(items));
+    } catch (error) {
+      if (historyRequestRef.current !== reg.id) return;
+      console.error("Erro ao carregar histórico:", error);
+      showTableMessage('error', t('Erro ao carregar histórico: ') + error.message);
+    } finally {
+      if (historyRequestRef.current === reg.id) setLoadingHistory(false);
+    }
+  };
+
+  // Abre/fecha a lista de registros excluídos, com o valor que cada um tinha
+  const toggleDeleted = async () => {
+    if (deletedEntries) {
+      setDeletedEntries(null);
+      return;
+    }
+    setLoadingDeleted(true);
+    try {
+      const items = await storage.list(HISTORICO_COLLECTION, { equals: { field: 'tipo', value: 'exclusao' } });
+      setDeletedEntries(sortHistoryEntries(items));
+    } catch (error) {
+      console.error("Erro ao carregar registros excluídos:", error);
+      showTableMessage('error', t('Erro ao carregar histórico: ') + error.message);
+    } finally {
+      setLoadingDeleted(false);
+    }
+  };
+
+  // Exporta para CSV os registros do período/contexto filtrados ou todos os registros
+  const handleExport = async (scope) => {
+    try {
+      let records;
+      let suffix;
+      if (scope === 'all') {
+        records = (await storage.list(GLICEMIA_COLLECTION, { order: 'asc' })).map(toRecord);
+        suffix = 'completo';
+      } else {
+        records = [...registrosFiltrados].reverse(); // Ordem cronológica
+        suffix = `${dataInicio}_${dataFim}`;
+      }
+      // O BOM faz o Excel reconhecer o arquivo como UTF-8
+      downloadFile('\uFEFF' + recordsToCsv(records, unit), `glicemia_${suffix}.csv`, 'text/csv;charset=utf-8');
+    } catch (error) {
+      console.error("Erro ao exportar registros:", error);
+      showTableMessage('error', t('Erro ao exportar: ') + error.message);
+    }
+  };
+
+  // Exporta o período/contexto filtrado como Bundle FHIR R4, validado antes do download
+  const handleExportFhir = () => {
+    try {
+      const bundle = buildFhirBundle([...registrosFiltrados].reverse(), profile);
+      const errors = validateFhirBundle(bundle);
+      if (errors.length > 0) throw new Error(errors.slice(0, 3).join('; '));
+      downloadFile(JSON.stringify(bundle, null, 2), `glicemia_${dataInicio}_${dataFim}.fhir.json`, 'application/fhir+json');
+    } catch (error) {
+      console.error("Erro ao exportar FHIR:", error);
+      showTableMessage('error', t('Erro ao exportar: ') + error.message);
+    }
+  };
+
+  // A tabela ouve as leituras em páginas. As estatísticas, o diário, os gráficos e as
+  // exportações ouvem o período inteiro, então também acompanham leituras gravadas em
+  // outras telas (como a importação) ou por outra pessoa com acesso ao perfil.
+  const {
+    records: registrosPaginados,
+    loading: loadingPage,
+    hasMore: hasMoreRecords,
+    loadMore: loadMoreRecords,
+  } = usePagedRecords(storage, GLICEMIA_COLLECTION, dataInicio, dataFim, HISTORY_PAGE_SIZE);
+  const { records: registros, loading: loadingRecords } = usePeriodRecords(storage, GLICEMIA_COLLECTION, dataInicio, dataFim);
+
+  // Doses de insulina e refeições do mesmo período, intercaladas com as leituras no histórico
+  const doses = useRecordsInRange(storage, INSULINA_COLLECTION, dataInicio, dataFim);
+  const refeicoes = useRecordsInRange(storage, REFEICAO_COLLECTION, dataInicio, dataFim);
+
+  const handleDeleteDose = (dose) => {
+    if (!window.confirm(t('Excluir a dose de {dose} de {insulina} de {data} às {hora}?', {
+      dose: formatUnits(parseFloat(dose.unidades)),
+      insulina: dose.insulina,
+      data: formatRecordDate(dose),
+      hora: formatRecordTime(dose),
+    }))) return;
+    storage.remove(`${INSULINA_COLLECTION}/${dose.id}`).catch((error) => {
+      console.error("Erro ao excluir dose:", error);
+      showTableMessage('error', t('Erro ao excluir: ') + error.message);
+    });
+  };
+
+  const handleDeleteMeal = (meal) => {
+    if (!window.confirm(t('Excluir a refeição de {carbs} g de {data} às {hora}?', {
+      carbs: formatNumber(meal.carboidratos),
+      data: formatRecordDate(meal),
+      hora: formatRecordTime(meal),
+    }))) return;
+    storage.remove(`${REFEICAO_COLLECTION}/${meal.id}`).catch((error) => {
+      console.error("Erro ao excluir refeição:", error);
+      showTableMessage('error', t('Erro ao excluir: ') + error.message);
+    });
+  };
+
+  // Cálculo de estatísticas e cores
+  // O filtro de contexto vale para a tabela e para o resumo
+  const registrosFiltrados = useMemo(() => (
+    filtroContexto ? registros.filter(r => r.contexto === filtroContexto) : registros
+  ), [registros, filtroContexto]);
+
+  const stats = useMemo(() => (
+    computeStats(getRecordValues(registrosFiltrados), filtroContexto ? getTargetsFor(profile, filtroContexto) : targets)
+  ), [registrosFiltrados, filtroContexto, profile, targets]);
+
+  // Resumo por contexto de medição, cada um com suas faixas-alvo
+  const statsByContext = useMemo(() => MEASUREMENT_CONTEXTS
+    .map(c => ({ ...c, stats: computeStats(getRecordValues(registros.filter(r => r.contexto === c.value)), getTargetsFor(profile, c.value)) }))
+    .filter(c => c.stats.count > 0), [registros, profile]);
+
+  // Os insights são textos traduzidos, refeitos também quando o idioma muda
+  const locale = useContext(LocaleContext);
+  const insights = useMemo(() => detectPatterns(registros, profile, dataInicio, dataFim), [registros, profile, dataInicio, dataFim, locale]);
+
+  const hypoSummary = useMemo(() => computeHypoEpisodes(registros, profile), [registros, profile]);
+
+  const insulinTotals = useMemo(() => computeInsulinTotals(doses, dataInicio, dataFim), [doses, dataInicio, dataFim]);
+
+  // Leituras das páginas abertas, doses e refeições em ordem cronológica decrescente. Com
+  // filtro de contexto, só leituras (filtradas nas páginas). Enquanto houver páginas a
+  // abrir, doses e refeições mais antigas que a última leitura aberta ficam para depois.
+  const oldestOpened = hasMoreRecords && registrosPaginados.length > 0
+    ? getRecordDate(registrosPaginados[registrosPaginados.length - 1])
+    : null;
+  const historyItems = useMemo(() => [
+    ...registrosPaginados.filter(r => !filtroContexto || r.contexto === filtroContexto).map(reg => ({ ...reg, kind: 'glicemia' })),
+    ...(filtroContexto ? [] : doses.map(dose => ({ ...dose, kind: 'insulina' }))),
+    ...(filtroContexto ? [] : refeicoes.map(meal => ({ ...meal, kind: 'refeicao' }))),
+  ]
+    .filter(item => !oldestOpened || getRecordDate(item) >= oldestOpened)
+    .sort((a, b) => getRecordDate(b) - getRecordDate(a)), [registrosPaginados, doses, refeicoes, filtroContexto, oldestOpened]);
+  const shownReadings = historyItems.filter(item => item.kind === 'glicemia').length;
+
+  // Tabela com rolagem infinita: a próxima página é aberta quando o fim da tabela aparece
+  const loadMoreRef = useRef(null);
+
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMoreRecords || historyView !== 'table' || !('IntersectionObserver' in window)) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMoreRecords();
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMoreRecords, historyView, loadMoreRecords]);
+
+  // Função para determinar o estilo do valor
+  const getGlicemiaStyle = (value, contexto) => GLICEMIA_LEVELS[classifyGlicemia(parseFloat(value), getTargetsFor(profile, contexto))].style;
+
+
+  return (
+    <div className="flex flex-col space-y-6">
+      {/* HEADER */}
+      {!readOnly && (
+        <header className="flex flex-wrap justify-between items-center gap-2 bg-indigo-600 text-white p-4 rounded-b-xl shadow-lg no-print">
+          <h1 className="text-xl font-bold">Glicemia Control</h1>
+          <div className="flex flex-wrap items-center justify-end gap-1">
+            {!localMode && (
+              <>
+                <ProfileSwitcher db={db} userId={userId} activeId={dependenteId} onChange={onSwitchProfile} />
+                <button type="button" onClick={() => setScreen(screen === 'account' ? 'tracker' : 'account')} title={t('Minha conta')} className="p-2 rounded-lg hover:bg-indigo-500">
+                  <UserCog className="w-5 h-5" />
+                </button>
+                <button type="button" onClick={onOpenPatients} title={t('Pacientes')} className="p-2 rounded-lg hover:bg-indigo-500">
+                  <Users className="w-5 h-5" />
+                </button>
+                <button type="button" onClick={() => setScreen(screen === 'sharing' ? 'tracker' : 'sharing')} title={t('Compartilhar')} className="p-2 rounded-lg hover:bg-indigo-500">
+                  <Share2 className="w-5 h-5" />
+                </button>
+              </>
+            )}
+            <button type="button" onClick={() => setScreen(screen === 'reminders' ? 'tracker' : 'reminders')} title={t('Lembretes')} className="p-2 rounded-lg hover:bg-indigo-500">
+              <Bell className="w-5 h-5" />
+            </button>
+            <button type="button" onClick={() => setScreen(screen === 'bolus' ? 'tracker' : 'bolus')} title={t('Refeição e calculadora de bolus')} className="p-2 rounded-lg hover:bg-indigo-500">
+              <Calculator className="w-5 h-5" />
+            </button>
+            <button type="button" onClick={() => setScreen(screen === 'report' ? 'tracker' : 'report')} title={t('Relatório')} className="p-2 rounded-lg hover:bg-indigo-500">
+              <FileText className="w-5 h-5" />
+            </button>
+            <button type="button" onClick={() => setScreen(screen === 'import' ? 'tracker' : 'import')} title={t('Importar CSV')} className="p-2 rounded-lg hover:bg-indigo-500">
+              <Upload className="w-5 h-5" />
+            </button>
+            <button type="button" onClick={() => setScreen(screen === 'settings' ? 'tracker' : 'settings')} title={t('Configurações')} className="p-2 rounded-lg hover:bg-indigo-500">
+              <Settings className="w-5 h-5" />
+            </button>
+            {localMode ? (
+              // Sem Firebase configurado não há conta para entrar
+              handleSignOut && (
+                <Button onClick={handleSignOut} variant="secondary" icon={LogIn} className="text-xs">
+                  {t('Entrar')}
+                </Button>
+              )
+            ) : (
+              <Button onClick={handleSignOut} variant="danger" icon={LogOut} className="text-xs">
+                {t('Sair')}
+              </Button>
+            )}
+          </div>
+        </header>
+      )}
+
+      {localMode && <LocalModeBanner />}
+      {!online && <OfflineBanner />}
+
+      {screen === 'settings' ? (
+        <ProfileSettings profile={profile} saveProfile={saveProfile} onBack={() => setScreen('tracker')} />
+      ) : screen === 'account' ? (
+        <AccountSettings auth={auth} db={db} userId={userId} onBack={() => setScreen('tracker')} />
+      ) : screen === 'sharing' ? (
+        <SharingSettings
+          db={db}
+          userId={userId}
+          userEmail={userEmail}
+          ownerName={(!dependenteId && profile.nome) || userEmail}
+          onBack={() => setScreen('tracker')}
+        />
+      ) : screen === 'reminders' ? (
+        <RemindersSettings profile={profile} saveProfile={saveProfile} onBack={() => setScreen('tracker')} />
+      ) : screen === 'bolus' ? (
+        <BolusCalculator
+          storage={storage}
+          paths={{ glicemia: GLICEMIA_COLLECTION, insulina: INSULINA_COLLECTION, refeicao: REFEICAO_COLLECTION }}
+          profile={profile}
+          online={online}
+          onBack={() => setScreen('tracker')}
+        />
+      ) : screen === 'report' ? (
+        <DoctorReport storage={storage} collectionPath={GLICEMIA_COLLECTION} profile={profile} onBack={() => setScreen('tracker')} />
+      ) : screen === 'import' ? (
+        <CsvImport storage={storage} collectionPath={GLICEMIA_COLLECTION} unit={unit} online={online} onBack={() => setScreen('tracker')} onImportFhir={() => setScreen('fhir')} />
+      ) : screen === 'fhir' ? (
+        <FhirImport storage={storage} collectionPath={GLICEMIA_COLLECTION} unit={unit} online={online} onBack={() => setScreen('import')} />
+      ) : screen === 'bulk' ? (
+        <BulkEntry storage={storage} collectionPath={GLICEMIA_COLLECTION} unit={unit} online={online} onBack={() => setScreen('tracker')} />
+      ) : (
+        <>
+          {!readOnly && !localMode && !dependenteId && <LocalHistoryUpload storage={storage} userId={userId} />}
+
+          {/* 1. REGISTRO DE GLICEMIA */}
+          {readOnly ? null : hypoEpisode ? (
+            <HypoProtocol
+              storage={storage}
+              collectionPath={GLICEMIA_COLLECTION}
+              episode={hypoEpisode}
+              onChange={setHypoEpisode}
+              profile={profile}
+              online={online}
+              onFinish={() => setHypoEpisode(null)}
+            />
           ) : (
-            <p className="text-sm text-gray-500">Nenhum registro encontrado no período selecionado.</p>
+            <Card>
+              <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
+                <Save className="w-5 h-5 text-indigo-600" />
+                <span>{t('Novo Registro')}</span>
+              </h2>
+              <form onSubmit={handleSave} className="space-y-4">
+                <Input
+                  label={t('Valor da Glicemia ({unit})', { unit })}
+                  id="glicemia"
+                  type="number"
+                  step={GLICEMIA_UNITS[unit].step}
+                  value={glicemia}
+                  onChange={(e) => setGlicemia(e.target.value)}
+                  placeholder={t('Ex: {valor}', { valor: GLICEMIA_UNITS[unit].example })}
+                  required
+                  className="col-span-full"
+                />
+                <div className="grid grid-cols-2 gap-4">
+                  <DateInput
+                    label={t('Data')}
+                    id="data"
+                    value={data}
+                    onChange={(e) => setData(e.target.value)}
+                    required
+                  />
+                  <TimeInput
+                    label={t('Hora')}
+                    id="hora"
+                    value={hora}
+                    onChange={(e) => setHora(e.target.value)}
+                    required
+                  />
+                </div>
+                <Select
+                  label={t('Contexto da medição')}
+                  id="contexto"
+                  value={contexto}
+                  onChange={(e) => setContexto(e.target.value)}
+                  options={translateOptions(MEASUREMENT_CONTEXTS)}
+                  placeholder={t('Selecione...')}
+                  required
+                />
+
+                {saveMessage.text && (
+                  <Message type={saveMessage.type}>
+                    {saveMessage.text}
+                  </Message>
+                )}
+
+                <Button type="submit" disabled={loadingSave} icon={loadingSave ? Loader2 : Save} className="w-full mt-4">
+                  {loadingSave ? t('Salvando...') : t('Salvar Registro')}
+                </Button>
+                <Button onClick={() => setScreen('bulk')} variant="link" icon={ListPlus} className="w-full text-sm">
+                  {t('Digitar vários registros de uma vez')}
+                </Button>
+              </form>
+            </Card>
           )}
-        </div>
 
+          {!readOnly && (
+            <InsulinDoseForm
+              storage={storage}
+              collectionPath={INSULINA_COLLECTION}
+              insulinas={profile.insulinas}
+              online={online}
+              today={today}
+              currentTime={currentTime}
+              preset={dosePreset}
+            />
+          )}
 
-        {/* Tabela de Registros */}
-        <div className="overflow-x-auto mt-4">
-          <table className="min-w-full divide-y divide-gray-200">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Glicemia</th>
-                <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Data</th>
-                <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Hora</th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
+          {/* 2. FILTRO E RESULTADOS */}
+          <Card>
+            <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
+              <BarChart className="w-5 h-5 text-indigo-600" />
+              <span>{t('Histórico e Estatísticas')}</span>
+            </h2>
+            <div className="grid grid-cols-2 gap-4 mb-4">
+              <DateInput
+                label={t('De')}
+                id="data-inicio"
+                value={dataInicio}
+                onChange={(e) => setDataInicio(e.target.value)}
+              />
+              <DateInput
+                label={t('Até')}
+                id="data-fim"
+                value={dataFim}
+                onChange={(e) => setDataFim(e.target.value)}
+              />
+              <Select
+                label={t('Contexto')}
+                id="filtro-contexto"
+                value={filtroContexto}
+                onChange={(e) => setFiltroContexto(e.target.value)}
+                options={translateOptions(MEASUREMENT_CONTEXTS)}
+                placeholder={t('Todos')}
+                className="col-span-2"
+              />
+            </div>
+
+            {/* Estatísticas */}
+            <div className="flex flex-col space-y-3 p-4 bg-gray-50 rounded-lg border mb-4">
+              <h3 className="font-semibold text-lg text-gray-700">{t('Resumo do Período ({n} Registros)', { n: stats.count })}</h3>
+              {!loadingRecords && stats.count > 0 && (
+                <p className="text-xs text-gray-500">
+                  {t(filtroContexto
+                    ? 'Calculado sobre todas as {n} leituras de {contexto} de {inicio} a {fim}.'
+                    : 'Calculado sobre todas as {n} leituras de {inicio} a {fim}.', {
+                    n: stats.count,
+                    contexto: getContextLabel(filtroContexto).toLowerCase(),
+                    inicio: formatISODate(dataInicio),
+                    fim: formatISODate(dataFim),
+                  })}
+                </p>
+              )}
               {loadingRecords ? (
-                <tr>
-                  <td colSpan="3" className="px-3 py-4 text-center text-sm text-gray-500">
-                    <Loader2 className="w-5 h-5 animate-spin mx-auto text-indigo-500" />
-                  </td>
-                </tr>
-              ) : registros.length === 0 ? (
-                <tr>
-                  <td colSpan="3" className="px-3 py-4 text-center text-sm text-gray-500">
-                    Nenhum registro encontrado.
-                  </td>
-                </tr>
+                 <p className="text-sm text-gray-500 flex items-center"><Loader2 className="w-4 h-4 mr-2 animate-spin" /> {t('Carregando estatísticas...')}</p>
+              ) : stats.count > 0 ? (
+                <div className="grid grid-cols-2 gap-2 text-sm font-medium">
+                  <div className="text-gray-600">{t('Média:')}</div>
+                  <div className={`text-right font-bold ${stats.color.replace('bg-', 'text-')}`}>{formatGlicemiaWithUnit(stats.avg, unit)}</div>
+
+                  <div className="text-gray-600">{t('Mínimo:')}</div>
+                  <div className="text-right text-green-700">{formatGlicemiaWithUnit(stats.min, unit)}</div>
+
+                  <div className="text-gray-600">{t('Máximo:')}</div>
+                  <div className="text-right text-red-700">{formatGlicemiaWithUnit(stats.max, unit)}</div>
+
+                  {!filtroContexto && statsByContext.length > 0 && (
+                    <div className="col-span-2 mt-2 pt-2 border-t">
+                      <p className="text-gray-700 mb-1">{t('Por contexto:')}</p>
+                      {statsByContext.map(c => (
+                        <div key={c.value} className="grid grid-cols-2 gap-2">
+                          <div className="text-gray-600">{t(c.label)} ({c.stats.count}):</div>
+                          <div className="text-right">
+                            <span className={`font-bold ${c.stats.color.replace('bg-', 'text-')}`}>{formatGlicemia(c.stats.avg, unit)}</span>
+                            <span className="text-gray-500 text-xs"> ({formatGlicemia(c.stats.min, unit)}–{formatGlicemia(c.stats.max, unit)}) {unit}</span>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="col-span-2 mt-2">
+                    <ClinicalMetrics stats={stats} unit={unit} />
+                  </div>
+                </div>
               ) : (
-                registros.map((reg, index) => (
-                  <tr key={reg.id || index} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
-                    <td className={`px-3 py-2 whitespace-nowrap text-sm border rounded-lg ${getGlicemiaStyle(reg.glicemia)}`}>
-                      {reg.glicemia} mg/dL
-                    </td>
-                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">{reg.data}</td>
-                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{reg.hora}</td>
+                <p className="text-sm text-gray-500">{t('Nenhum registro encontrado no período selecionado.')}</p>
+              )}
+              {!loadingRecords && hypoSummary.count > 0 && <HypoSummary summary={hypoSummary} unit={unit} />}
+              {!loadingRecords && doses.length > 0 && <InsulinSummary totals={insulinTotals} />}
+            </div>
+
+
+            {/* Alternância entre tabela e gráficos */}
+            <div className="flex space-x-2 mb-4 no-print">
+              <Button onClick={() => setHistoryView('table')} variant={historyView === 'table' ? 'primary' : 'secondary'} icon={Table} className="flex-1 text-sm">
+                {t('Tabela')}
+              </Button>
+              <Button onClick={() => setHistoryView('logbook')} variant={historyView === 'logbook' ? 'primary' : 'secondary'} icon={Calendar} className="flex-1 text-sm">
+                {t('Diário')}
+              </Button>
+              <Button onClick={() => setHistoryView('charts')} variant={historyView === 'charts' ? 'primary' : 'secondary'} icon={LineChart} className="flex-1 text-sm">
+                {t('Gráficos')}
+              </Button>
+            </div>
+
+            {/* O diário mostra todas as leituras do período, independente do filtro de contexto */}
+            {historyView === 'logbook' && (
+              loadingRecords ? (
+                <Loader2 className="w-5 h-5 animate-spin mx-auto text-indigo-500" />
+              ) : (
+                <LogbookGrid
+                  records={registros}
+                  profile={profile}
+                  dataInicio={dataInicio}
+                  dataFim={dataFim}
+                  onAddEntry={readOnly || hypoEpisode ? null : handleLogbookEntry}
+                />
+              )
+            )}
+
+            {historyView === 'charts' && (
+              loadingRecords ? (
+                <Loader2 className="w-5 h-5 animate-spin mx-auto text-indigo-500" />
+              ) : (
+                <GlicemiaCharts
+                  records={registrosFiltrados}
+                  targets={filtroContexto ? getTargetsFor(profile, filtroContexto) : targets}
+                  unit={unit}
+                  dataInicio={dataInicio}
+                  dataFim={dataFim}
+                />
+              )
+            )}
+
+            {historyView === 'table' && tableMessage.text && (
+              <Message type={tableMessage.type}>
+                {tableMessage.text}
+              </Message>
+            )}
+
+            {/* Tabela de Registros */}
+            <div className={historyView === 'table' ? 'overflow-x-auto mt-4' : 'hidden'}>
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('Glicemia')}</th>
+                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('Data')}</th>
+                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('Hora')}</th>
+                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('Contexto')}</th>
+                    <th className="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider no-print">{t('Ações')}</th>
                   </tr>
-                ))
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {loadingPage ? (
+                    <tr>
+                      <td colSpan="5" className="px-3 py-4 text-center text-sm text-gray-500">
+                        <Loader2 className="w-5 h-5 animate-spin mx-auto text-indigo-500" />
+                      </td>
+                    </tr>
+                  ) : historyItems.length === 0 ? (
+                    <tr>
+                      <td colSpan="5" className="px-3 py-4 text-center text-sm text-gray-500">
+                        {t('Nenhum registro encontrado.')}
+                      </td>
+                    </tr>
+                  ) : (
+                    historyItems.map((reg, index) => reg.kind === 'refeicao' ? (
+                      <tr key={`refeicao-${reg.id}`} className="bg-amber-50/50">
+                        <td className="px-3 py-2 whitespace-nowrap text-sm font-semibold text-amber-700">
+                          <Utensils className="w-4 h-4 inline-block mr-1" />
+                          {formatNumber(reg.carboidratos)} g
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">{formatRecordDate(reg)}</td>
+                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatRecordTime(reg)}</td>
+                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{reg.descricao || t('Refeição')}</td>
+                        <td className="px-2 py-2 whitespace-nowrap text-right no-print">
+                          {reg.pendente && <CloudOff className="w-4 h-4 inline-block mr-1 text-yellow-600" aria-label={t('Pendente de sincronização')} />}
+                          {!readOnly && (
+                            <button type="button" onClick={() => handleDeleteMeal(reg)} title={t('Excluir')} className="p-1 text-red-500 hover:text-red-700">
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ) : reg.kind === 'insulina' ? (
+                      <tr key={`dose-${reg.id}`} className="bg-indigo-50/50">
+                        <td className="px-3 py-2 whitespace-nowrap text-sm font-semibold text-indigo-700">
+                          <Syringe className="w-4 h-4 inline-block mr-1" />
+                          {formatUnits(parseFloat(reg.unidades))}
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">{formatRecordDate(reg)}</td>
+                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatRecordTime(reg)}</td>
+                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{reg.insulina} ({getInsulinTypeLabel(reg.tipo)})</td>
+                        <td className="px-2 py-2 whitespace-nowrap text-right no-print">
+                          {reg.pendente && <CloudOff className="w-4 h-4 inline-block mr-1 text-yellow-600" aria-label={t('Pendente de sincronização')} />}
+                          {!readOnly && (
+                            <button type="button" onClick={() => handleDeleteDose(reg)} title={t('Excluir')} className="p-1 text-red-500 hover:text-red-700">
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ) : (
+                      <React.Fragment key={reg.id || index}>
+                        {editingId === reg.id ? (
+                          <tr className="bg-indigo-50">
+                            <td className="px-2 py-2">
+                              <input
+                                type="number"
+                                step={GLICEMIA_UNITS[unit].step}
+                                aria-label={t('Glicemia')}
+                                value={editValues.glicemia}
+                                onChange={(e) => setEditValues({ ...editValues, glicemia: e.target.value })}
+                                className="w-20 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                              />
+                            </td>
+                            <td className="px-2 py-2">
+                              <input
+                                type="date"
+                                aria-label={t('Data')}
+                                value={editValues.data}
+                                onChange={(e) => setEditValues({ ...editValues, data: e.target.value })}
+                                className="w-32 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                              />
+                            </td>
+                            <td className="px-2 py-2">
+                              <input
+                                type="time"
+                                step="60"
+                                aria-label={t('Hora')}
+                                value={editValues.hora}
+                                onChange={(e) => setEditValues({ ...editValues, hora: e.target.value })}
+                                className="w-24 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                              />
+                            </td>
+                            <td className="px-2 py-2">
+                              <select
+                                aria-label={t('Contexto')}
+                                value={editValues.contexto}
+                                onChange={(e) => setEditValues({ ...editValues, contexto: e.target.value })}
+                                className="w-32 px-2 py-1 border border-gray-300 rounded-lg text-sm bg-white"
+                              >
+                                <option value="">{t('Selecione...')}</option>
+                                {MEASUREMENT_CONTEXTS.map(c => <option key={c.value} value={c.value}>{t(c.label)}</option>)}
+                              </select>
+                            </td>
+                            <td className="px-2 py-2 whitespace-nowrap text-right no-print">
+                              <button type="button" onClick={() => handleUpdate(reg)} title={t('Salvar alteração')} className="p-1 text-green-600 hover:text-green-800">
+                                <Save className="w-4 h-4" />
+                              </button>
+                              <button type="button" onClick={cancelEdit} title={t('Cancelar')} className="p-1 text-gray-500 hover:text-gray-700">
+                                <X className="w-4 h-4" />
+                              </button>
+                            </td>
+                          </tr>
+                        ) : (
+                          <tr className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                            <td className={`px-3 py-2 whitespace-nowrap text-sm border rounded-lg ${getGlicemiaStyle(reg.glicemia, reg.contexto)}`}>
+                              {formatGlicemiaWithUnit(reg.glicemia, unit)}
+                            </td>
+                            <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">{formatRecordDate(reg)}</td>
+                            <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatRecordTime(reg)}</td>
+                            <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{getContextLabel(reg.contexto)}</td>
+                            <td className="px-2 py-2 whitespace-nowrap text-right no-print">
+                              {localMode ? null : reg.pendente ? (
+                                <CloudOff className="w-4 h-4 inline-block mr-1 text-yellow-600" aria-label={t('Pendente de sincronização')}>
+                                  <title>{t('Pendente de sincronização')}</title>
+                                </CloudOff>
+                              ) : (
+                                <CheckCircle2 className="w-4 h-4 inline-block mr-1 text-green-500" aria-label={t('Sincronizado')}>
+                                  <title>{t('Sincronizado')}</title>
+                                </CheckCircle2>
+                              )}
+                              {!readOnly && (
+                                <button type="button" onClick={() => startEdit(reg)} title={t('Editar')} className="p-1 text-indigo-600 hover:text-indigo-800">
+                                  <Pencil className="w-4 h-4" />
+                                </button>
+                              )}
+                              <button type="button" onClick={() => toggleHistory(reg)} title={t('Histórico de alterações')} className="p-1 text-gray-500 hover:text-gray-700">
+                                <History className="w-4 h-4" />
+                              </button>
+                              {!readOnly && (
+                                <button type="button" onClick={() => handleDelete(reg)} title={t('Excluir')} className="p-1 text-red-500 hover:text-red-700">
+                                  <Trash2 className="w-4 h-4" />
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                        {historyId === reg.id && (
+                          <tr className="bg-gray-50">
+                            <td colSpan="5" className="px-3 py-2 text-xs text-gray-600">
+                              <p className="font-semibold mb-1">{t('Histórico de alterações')}</p>
+                              {loadingHistory ? (
+                                <Loader2 className="w-4 h-4 animate-spin text-indigo-500" />
+                              ) : historyEntries.length === 0 ? (
+                                <p>{t('Nenhuma alteração registrada.')}</p>
+                              ) : (
+                                <ul className="space-y-1">
+                                  {historyEntries.map(h => (
+                                    <li key={h.id}>
+                                      <span className="font-medium">{h.alteradoEm ? formatDateTime(h.alteradoEm.toDate()) : '—'}:</span>{' '}
+                                      {formatHistoryFields(h.valorAnterior, unit)} → {formatHistoryFields(h.valorNovo, unit)}
+                                    </li>
+                                  ))}
+                                </ul>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    ))
+                  )}
+                </tbody>
+              </table>
+              {!loadingPage && historyItems.length > 0 && (
+                <div ref={loadMoreRef} className="pt-3 text-center text-xs text-gray-500 no-print">
+                  {!loadingRecords && (
+                    <p>{t('Mostrando {n} de {total} leituras do período.', { n: shownReadings, total: registrosFiltrados.length })}</p>
+                  )}
+                  {hasMoreRecords && (
+                    <Button onClick={loadMoreRecords} variant="link" className="mx-auto text-sm">
+                      {t('Mostrar mais')}
+                    </Button>
+                  )}
+                </div>
               )}
-            </tbody>
-          </table>
-        </div>
-        <p className="text-xs text-gray-400 mt-4">
-          * A tabela é atualizada automaticamente em tempo real (onSnapshot).
-        </p>
-      </Card>
+            </div>
+            <div className="mt-4 no-print">
+              <Button onClick={toggleDeleted} variant="link" icon={loadingDeleted ? Loader2 : History} className="text-sm">
+                {deletedEntries ? t('Ocultar registros excluídos') : t('Registros excluídos')}
+              </Button>
+              {deletedEntries && (
+                <div className="mt-2 p-3 bg-gray-50 rounded-lg border text-xs text-gray-600">
+                  {deletedEntries.length === 0 ? (
+                    <p>{t('Nenhum registro excluído.')}</p>
+                  ) : (
+                    <ul className="space-y-1">
+                      {deletedEntries.map(h => (
+                        <li key={h.id}>
+                          <span className="font-medium">{h.alteradoEm ? formatDateTime(h.alteradoEm.toDate()) : '—'}:</span>{' '}
+                          {formatHistoryFields(h.valorAnterior, unit)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+            <div className="flex space-x-2 mt-4 no-print">
+              <Button onClick={() => handleExport('range')} variant="secondary" icon={Download} className="flex-1 text-sm" disabled={registrosFiltrados.length === 0}>
+                {t('CSV do período')}
+              </Button>
+              <Button onClick={() => handleExport('all')} variant="secondary" icon={Download} className="flex-1 text-sm">
+                {t('CSV completo')}
+              </Button>
+              <Button onClick={handleExportFhir} variant="secondary" icon={Download} className="flex-1 text-sm" disabled={registrosFiltrados.length === 0}>
+                {t('FHIR do período')}
+              </Button>
+            </div>
+            <p className="text-xs text-gray-400 mt-4">
+              {t('* A tabela, as estatísticas e os gráficos são atualizados automaticamente quando as leituras mudam.')}
+            </p>
+          </Card>
+
+          {/* 3. PADRÕES */}
+          {!loadingRecords && <InsightsPanel findings={insights} unit={unit} />}
+        </>
+      )}
     </div>
   );
 };
@@ -701,7 +6246,49 @@ const GlicemiaTracker = ({ db, userId, handleSignOut }) => {
 
 const App = () => {
   const { user, loading: loadingAuth, db, auth, handleSignOut, error: firebaseError } = useFirebaseAuth();
-  const [view, setView] = useState('login'); // 'login', 'register', 'tracker'
+  const { locked, settings: lockSettings, unlock } = useAppLock(user ? user.uid : null);
+  const [view, setView] = useState('login'); // 'login', 'register', 'reset', 'tracker'
+  const [showPatients, setShowPatients] = useState(false); // Registros compartilhados com o usuário
+  const [dependenteId, setDependenteId] = useState(null); // Perfil ativo (null = principal)
+  // Idioma da interface, repassado pelo LocaleContext
+  const [locale, setLocaleState] = useState(getLocale);
+
+  // Registros na nuvem (Firestore) ou no modo local: escolhido na tela de login ou
+  // obrigatório quando o Firebase não está configurado
+  const cloudStorage = useMemo(() => (db ? createFirestoreStorage(db) : null), [db]);
+  const [localModeChosen, setLocalModeChosen] = useState(() => localStorage.getItem(LOCAL_MODE_STORAGE_KEY) === '1');
+  const localMode = !isFirebaseConfigured || (localModeChosen && !user);
+
+  const handleUseLocalMode = () => {
+    localStorage.setItem(LOCAL_MODE_STORAGE_KEY, '1');
+    setLocalModeChosen(true);
+  };
+
+  // Sai do modo local para entrar com uma conta; os registros locais continuam no navegador
+  // e ficam reservados para a conta que entrar em seguida (claimLocalData)
+  const handleLeaveLocalMode = () => {
+    localStorage.setItem(LOCAL_DATA_OWNER_KEY, LOCAL_DATA_PENDING_OWNER);
+    localStorage.removeItem(LOCAL_MODE_STORAGE_KEY);
+    setLocalModeChosen(false);
+    setView('login');
+  };
+
+  const handleLocaleChange = (e) => {
+    setLocale(e.target.value);
+    setLocaleState(getLocale());
+  };
+
+  // O perfil ativo é lembrado por usuário neste aparelho
+  const activeProfileKey = user ? `glico_perfil_ativo_${user.uid}` : null;
+  useEffect(() => {
+    setDependenteId(activeProfileKey ? localStorage.getItem(activeProfileKey) : null);
+  }, [activeProfileKey]);
+
+  const handleSwitchProfile = useCallback((id) => {
+    if (id) localStorage.setItem(activeProfileKey, id);
+    else localStorage.removeItem(activeProfileKey);
+    setDependenteId(id);
+  }, [activeProfileKey]);
 
   // Redireciona a visualização com base no estado de autenticação
   useEffect(() => {
@@ -710,6 +6297,7 @@ const App = () => {
       setView('tracker');
     } else {
       setView('login');
+      setShowPatients(false);
     }
   }, [user, loadingAuth]);
 
@@ -719,8 +6307,8 @@ const App = () => {
             <div className="p-8">
                 <Message type="error">
                     <AlertTriangle className="w-5 h-5 inline-block mr-2" />
-                    Erro de Inicialização do Firebase: {firebaseError}
-                    <p className="mt-2">Verifique se todas as variáveis de ambiente (REACT_APP_...) estão configuradas corretamente no Render.</p>
+                    {t('Erro de Inicialização do Firebase:')} {firebaseError}
+                    <p className="mt-2">{t('Verifique se todas as variáveis de ambiente (REACT_APP_...) estão configuradas corretamente no Render.')}</p>
                 </Message>
             </div>
         );
@@ -730,21 +6318,58 @@ const App = () => {
       return (
         <div className="flex flex-col items-center justify-center h-screen space-y-4">
           <Loader2 className="w-10 h-10 text-indigo-500 animate-spin" />
-          <p className="text-lg text-gray-600">Carregando aplicação...</p>
+          <p className="text-lg text-gray-600">{t('Carregando aplicação...')}</p>
         </div>
       );
     }
 
+    if (localMode) {
+      return (
+        <GlicemiaTracker
+          key="local"
+          storage={getDeviceStorage()}
+          userId={LOCAL_USER_ID}
+          handleSignOut={isFirebaseConfigured ? handleLeaveLocalMode : null}
+        />
+      );
+    }
+
     if (user) {
-      return <GlicemiaTracker db={db} userId={user.uid} handleSignOut={handleSignOut} />;
+      // Com o app bloqueado, o conteúdo continua montado (sem perder o que estava
+      // sendo digitado), mas oculto atrás da tela de desbloqueio
+      return (
+        <>
+          {locked && <AppLockScreen auth={auth} settings={lockSettings} onUnlock={unlock} handleSignOut={handleSignOut} />}
+          <div className={locked ? 'hidden' : ''}>
+            {showPatients ? (
+              <PatientsView db={db} storage={cloudStorage} user={user} onBack={() => setShowPatients(false)} />
+            ) : (
+              <GlicemiaTracker
+                key={dependenteId || 'principal'}
+                storage={cloudStorage}
+                db={db}
+                auth={auth}
+                userId={user.uid}
+                userEmail={user.email}
+                handleSignOut={handleSignOut}
+                onOpenPatients={() => setShowPatients(true)}
+                dependenteId={dependenteId}
+                onSwitchProfile={handleSwitchProfile}
+              />
+            )}
+          </div>
+        </>
+      );
     }
 
     switch (view) {
       case 'register':
         return <Register auth={auth} setView={setView} />;
+      case 'reset':
+        return <PasswordReset auth={auth} setView={setView} />;
       case 'login':
       default:
-        return <Login auth={auth} setView={setView} />;
+        return <Login auth={auth} setView={setView} onUseLocalMode={handleUseLocalMode} />;
     }
   };
 
@@ -760,16 +6385,35 @@ const App = () => {
               background-color: white;
               box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -2px rgba(0, 0, 0, 0.1);
           }
+          .print-only { display: none; }
           @media print {
+            @page { size: A4; margin: 12mm; }
             .no-print { display: none !important; }
             .print-only { display: block !important; }
             body { background-color: white; }
+            .min-h-screen { min-height: 0; padding: 0 !important; background-color: white; }
+            .app-container { max-width: none; min-height: 0; box-shadow: none; }
+            .report-a4 { box-shadow: none !important; padding: 0 !important; font-size: 10pt; }
+            .chart-block { break-inside: avoid; page-break-inside: avoid; }
+            .print-page-break { break-before: page; page-break-before: always; }
             /* Não é necessário print-color-adjust aqui pois o React está usando Tailwind */
           }
         `}
       </style>
       <div className="app-container">
-        {renderContent()}
+        <LocaleContext.Provider value={locale}>
+          {renderContent()}
+        </LocaleContext.Provider>
+        <footer className="flex justify-center p-4 no-print">
+          <select
+            aria-label={t('Idioma')}
+            value={locale}
+            onChange={handleLocaleChange}
+            className="text-sm text-gray-600 bg-white border border-gray-300 rounded-lg px-2 py-1"
+          >
+            {LANGUAGES.map(lang => <option key={lang.value} value={lang.value}>{lang.label}</option>)}
+          </select>
+        </footer>
       </div>
     </div>
   );
@@ -0,0 +1,59 @@
+// Idiomas do app. O texto em português (pt-BR) é a própria chave de tradução:
+// t('Salvar') procura o texto no catálogo do idioma ativo e, se não encontrar,
+// devolve o original. Valores variáveis entram como {nome}: t('Olá, {nome}', { nome }).
+import en from './locales/en';
+import es from './locales/es';
+
+export const LANGUAGES = [
+  { value: 'pt-BR', label: 'Português (Brasil)' },
+  { value: 'en', label: 'English' },
+  { value: 'es', label: 'Español' },
+];
+
+const CATALOGS = { 'pt-BR': {}, en, es };
+const LOCALE_STORAGE_KEY = 'glico_idioma';
+
+// Idioma salvo neste aparelho ou, na primeira visita, o do navegador
+const detectLocale = () => {
+  const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+  if (CATALOGS[saved]) return saved;
+  const browser = (navigator.language || '').toLowerCase();
+  if (browser.startsWith('en')) return 'en';
+  if (browser.startsWith('es')) return 'es';
+  return 'pt-BR';
+};
+
+let activeLocale = detectLocale();
+document.documentElement.lang = activeLocale;
+
+export const getLocale = () => activeLocale;
+
+export const setLocale = (locale) => {
+  activeLocale = CATALOGS[locale] ? locale : 'pt-BR';
+  localStorage.setItem(LOCALE_STORAGE_KEY, activeLocale);
+  document.documentElement.lang = activeLocale;
+};
+
+export const t = (text, params) => {
+  const translated = CATALOGS[activeLocale][text] || text;
+  if (!params) return translated;
+  return translated.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+};
+
+// Os formatadores do Intl são caros de criar; guarda um por idioma e opções
+const formatters = {};
+const getFormatter = (Type, options) => {
+  const key = `${Type.name}|${activeLocale}|${JSON.stringify(options)}`;
+  if (!formatters[key]) formatters[key] = new Type(activeLocale, options);
+  return formatters[key];
+};
+
+export const formatDate = (date) => getFormatter(Intl.DateTimeFormat, { day: '2-digit', month: '2-digit', year: 'numeric' }).format(date);
+export const formatShortDate = (date) => getFormatter(Intl.DateTimeFormat, { day: '2-digit', month: '2-digit' }).format(date);
+export const formatTime = (date) => getFormatter(Intl.DateTimeFormat, { hour: '2-digit', minute: '2-digit' }).format(date);
+export const formatDateTime = (date) => `${formatDate(date)} ${formatTime(date)}`;
+
+export const formatNumber = (value, decimals = 0) => getFormatter(Intl.NumberFormat, {
+  minimumFractionDigits: decimals,
+  maximumFractionDigits: decimals,
+}).format(value);
@@ -16,3 +16,13 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Service worker (apenas no build de produção): permite abrir o app offline
+// e instalá-lo na tela inicial. Os dados offline ficam no cache do Firestore.
+if ('serviceWorker' in navigator && process.env.NODE_ENV === 'production') {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((error) => console.error('Erro ao registrar o service worker:', error));
+  });
+}
@@ -0,0 +1,489 @@
+// Traduções para inglês. Chave: texto original em português (ver src/i18n.js).
+const translations = {
+  'Erro ao inicializar Firebase. Detalhes no console.': 'Error initialising Firebase. See the console for details.',
+  'Você está offline. Os registros ficam salvos neste aparelho e serão sincronizados quando a conexão voltar.': 'You are offline. Entries are saved on this device and will sync when the connection is back.',
+  'Modo local: os registros ficam apenas neste navegador, sem conta. Exporte o CSV de vez em quando como cópia de segurança.': 'Local mode: records stay only in this browser, with no account. Export the CSV now and then as a backup.',
+  'O formato do e-mail é inválido.': 'The e-mail format is invalid.',
+  'Esta conta de usuário foi desativada.': 'This user account has been disabled.',
+  'Nenhum usuário encontrado com este e-mail.': 'No user found with this e-mail.',
+  'A senha está incorreta.': 'The password is incorrect.',
+  'Este e-mail já está em uso.': 'This e-mail is already in use.',
+  'A senha deve ter pelo menos 6 caracteres.': 'The password must be at least 6 characters long.',
+  'Informe o e-mail.': 'Enter the e-mail.',
+  'Informe a senha.': 'Enter the password.',
+  'Muitas tentativas seguidas. Aguarde alguns minutos e tente novamente.': 'Too many attempts in a row. Wait a few minutes and try again.',
+  'Sem conexão com a internet. Verifique sua rede e tente novamente.': 'No internet connection. Check your network and try again.',
+  'Por segurança, entre novamente e repita a operação.': 'For security, sign in again and repeat the operation.',
+  'A senha informada não pertence à conta conectada.': 'The password entered does not belong to the signed-in account.',
+  'O link expirou. Solicite um novo.': 'The link has expired. Request a new one.',
+  'O link é inválido ou já foi usado.': 'The link is invalid or has already been used.',
+  'Ocorreu um erro desconhecido. Por favor, tente novamente.': 'An unknown error occurred. Please try again.',
+  'Acessar Glicemia Control': 'Sign in to Glicemia Control',
+  'E-mail (Nome de Usuário)': 'E-mail (Username)',
+  'seu@email.com': 'you@email.com',
+  'Senha': 'Password',
+  'Sua senha secreta': 'Your secret password',
+  'Manter conectado e lembrar o e-mail neste dispositivo': 'Keep me signed in and remember the e-mail on this device',
+  'Entrando...': 'Signing in...',
+  'Entrar': 'Sign in',
+  'Esqueci minha senha': 'I forgot my password',
+  'Não tem uma conta?': 'Don\'t have an account?',
+  'Cadastrar Novo Usuário': 'Register New User',
+  'Usar sem conta (dados só neste navegador)': 'Use without an account (data only in this browser)',
+  'Cadastro realizado com sucesso! Enviamos um link de confirmação para o seu e-mail. Você será logado automaticamente.': 'Registration successful! We sent a confirmation link to your e-mail. You will be signed in automatically.',
+  'Cadastro de Novo Usuário': 'New User Registration',
+  'E-mail': 'E-mail',
+  'seu@email.com (Será seu login)': 'you@email.com (Will be your login)',
+  'Senha (Mínimo 6 caracteres)': 'Password (Minimum 6 characters)',
+  'Sua senha': 'Your password',
+  'Cadastrando...': 'Registering...',
+  'Cadastrar e Entrar': 'Register and Sign in',
+  'Voltar para o Login': 'Back to Sign in',
+  'Se houver uma conta com este e-mail, você receberá um link para criar uma nova senha.': 'If there is an account with this e-mail, you will receive a link to create a new password.',
+  'Recuperar Senha': 'Recover Password',
+  'Enviando...': 'Sending...',
+  'Enviar Link de Recuperação': 'Send Recovery Link',
+  'Enviamos um link de confirmação para {email}.': 'We sent a confirmation link to {email}.',
+  'O e-mail ainda não foi confirmado.': 'The e-mail has not been confirmed yet.',
+  'Enviar link de confirmação': 'Send confirmation link',
+  'Já confirmei': 'I\'ve confirmed it',
+  'Muitas tentativas incorretas. Desbloqueie com a senha da conta.': 'Too many incorrect attempts. Unlock with your account password.',
+  'PIN incorreto. Restam {n} tentativa(s) antes de exigir a senha da conta.': 'Incorrect PIN. {n} attempt(s) left before the account password is required.',
+  'App bloqueado': 'App locked',
+  'Senha da conta': 'Account password',
+  'PIN': 'PIN',
+  'Aguarde {n} s para tentar de novo.': 'Wait {n} s to try again.',
+  'Desbloquear': 'Unlock',
+  'Usar PIN': 'Use PIN',
+  'Esqueci o PIN': 'I forgot the PIN',
+  'Sair': 'Sign out',
+  'O PIN deve ter de 4 a 8 dígitos.': 'The PIN must have 4 to 8 digits.',
+  'A confirmação não confere com o PIN.': 'The confirmation does not match the PIN.',
+  'PIN definido. O app pedirá o PIN ao ser aberto.': 'PIN set. The app will ask for the PIN when opened.',
+  'PIN removido.': 'PIN removed.',
+  'Bloqueio do app neste aparelho': 'App lock on this device',
+  'Bloquear após inatividade': 'Lock after inactivity',
+  'Novo PIN': 'New PIN',
+  'PIN (opcional)': 'PIN (optional)',
+  '4 a 8 dígitos': '4 to 8 digits',
+  'Confirme o PIN': 'Confirm the PIN',
+  'Sem PIN, o desbloqueio após a inatividade pede a senha da conta.': 'Without a PIN, unlocking after inactivity asks for the account password.',
+  'Remover PIN': 'Remove PIN',
+  'Trocar PIN': 'Change PIN',
+  'Definir PIN': 'Set PIN',
+  'Informe valores positivos para todos os limites.': 'Enter positive values for all limits.',
+  'Os limites devem respeitar: Hipo ≤ Meta mínima < Meta máxima ≤ Hiper.': 'Limits must satisfy: Hypo ≤ Target minimum < Target maximum ≤ Hyper.',
+  'Métricas clínicas': 'Clinical metrics',
+  'Apenas {count} registro(s) no período. Com menos de {min} medições, as métricas abaixo são pouco representativas.': 'Only {count} entry(ies) in the period. With fewer than {min} readings, the metrics below are not very representative.',
+  'Tempo nas faixas': 'Time in ranges',
+  'Desvio padrão:': 'Standard deviation:',
+  'Coeficiente de variação:': 'Coefficient of variation:',
+  'GMI:': 'GMI:',
+  'HbA1c estimada:': 'Estimated HbA1c:',
+  'Meta do consenso: mais de 70% no alvo, menos de 4% abaixo de {low}, menos de 1% abaixo de {veryLow} e coeficiente de variação de até 36%.': 'Consensus target: more than 70% in range, less than 4% below {low}, less than 1% below {veryLow} and a coefficient of variation of up to 36%.',
+  'Tendência no período': 'Trend over the period',
+  'Faixa verde: meta. Linhas tracejadas: limites de hipo e hiperglicemia. Valores em {unit}.': 'Green band: target. Dashed lines: hypo- and hyperglycaemia limits. Values in {unit}.',
+  'Perfil ambulatorial (AGP)': 'Ambulatory glucose profile (AGP)',
+  'Mediana': 'Median',
+  'Percentis 25–75': '25th–75th percentiles',
+  'Percentis 5–95': '5th–95th percentiles',
+  'Poucas leituras no período: as faixas de percentis são pouco representativas.': 'Few readings in the period: the percentile bands are not very representative.',
+  'Sem valor de glicemia': 'No glucose value',
+  'Valor inválido: "{value}"': 'Invalid value: "{value}"',
+  'Valor fora da faixa plausível: {value} {unit}': 'Value outside the plausible range: {value} {unit}',
+  'Data ou hora inválida': 'Invalid date or time',
+  'Erro ao carregar registros existentes: ': 'Error loading existing entries: ',
+  'O arquivo não contém registros.': 'The file contains no entries.',
+  'Erro ao importar registros: {error}': 'Error importing records: {error}',
+  '{written} registro(s) importado(s). {duplicate} duplicado(s) e {invalid} inválido(s) ignorados.': '{written} entry(ies) imported. {duplicate} duplicate(s) and {invalid} invalid row(s) skipped.',
+  'registros salvos neste aparelho': 'entries saved on this device',
+  'Erro ao importar após {written} registro(s): {error}': 'Import failed after {written} record(s): {error}',
+  'Coluna {n}': 'Column {n}',
+  'OK': 'OK',
+  'Duplicado': 'Duplicate',
+  'Inválido': 'Invalid',
+  'Importar Registros (CSV)': 'Import Entries (CSV)',
+  'Aceita o CSV exportado por este app e exportações de glicosímetros ou do LibreView. Registros que já existem (mesmo horário e valor) são ignorados.': 'Accepts the CSV exported by this app and exports from glucose meters or LibreView. Entries that already exist (same time and value) are skipped.',
+  '{n} linha(s)': '{n} row(s)',
+  'Linha do cabeçalho': 'Header row',
+  'Linha {n}': 'Row {n}',
+  'Data': 'Date',
+  'Hora': 'Time',
+  'Junto com a data': 'Together with the date',
+  'Formato da data': 'Date format',
+  'Contexto': 'Context',
+  'Nenhum': 'None',
+  'Coluna de unidade': 'Unit column',
+  'Nenhuma': 'None',
+  'Unidade dos valores': 'Unit of the values',
+  'Colunas de valor (usa a primeira preenchida em cada linha)': 'Value columns (uses the first filled one in each row)',
+  '{ok} para importar, {duplicate} duplicado(s), {invalid} inválido(s).': '{ok} to import, {duplicate} duplicate(s), {invalid} invalid.',
+  'Verificando registros existentes...': 'Checking existing entries...',
+  'Linha': 'Row',
+  'Data/Hora': 'Date/Time',
+  'Valor': 'Value',
+  'Situação': 'Status',
+  'Mostrando as primeiras 50 de {n} linhas.': 'Showing the first 50 of {n} rows.',
+  'Voltar': 'Back',
+  'Importando...': 'Importing...',
+  'Importar {n}': 'Import {n}',
+  'Importar um arquivo FHIR (JSON)': 'Import a FHIR file (JSON)',
+  'Informe a hora': 'Enter the time',
+  'Data no futuro': 'Date in the future',
+  'Já registrado': 'Already recorded',
+  'Repetido na linha {n}': 'Repeated on row {n}',
+  'A grade aceita até {n} linhas por vez; o restante não foi colado.': 'The grid takes up to {n} rows at a time; the rest was not pasted.',
+  'Nenhum registro foi salvo: {error}': 'No records were saved: {error}',
+  'Sem contexto': 'No context',
+  '{n} leitura(s) salva(s), de {inicio} a {fim}: {detalhe}.': '{n} reading(s) saved, from {inicio} to {fim}: {detalhe}.',
+  'Vários registros de uma vez': 'Several records at once',
+  'Digite as leituras ou cole linhas de uma planilha (data, hora, valor e contexto). Enter e as setas mudam de célula. Nada é salvo até que todas as linhas estejam corretas, e então tudo é salvo de uma vez.': 'Type the readings or paste rows from a spreadsheet (date, time, value and context). Enter and the arrow keys move between cells. Nothing is saved until every row is correct, and then everything is saved at once.',
+  'Valor ({unit})': 'Value ({unit})',
+  'Remover linha': 'Remove row',
+  'Adicionar linhas': 'Add rows',
+  '{ok} linha(s) pronta(s), {invalid} com erro.': '{ok} row(s) ready, {invalid} with errors.',
+  'Salvando...': 'Saving...',
+  'Salvar {n}': 'Save {n}',
+  'Glicemia': 'Glucose',
+  '{campo}: valor inválido': '{campo}: invalid value',
+  '{campo}: obrigatório': '{campo}: required',
+  '{campo}: referência não encontrada no Bundle': '{campo}: reference not found in the Bundle',
+  'O arquivo não é um Bundle FHIR.': 'The file is not a FHIR Bundle.',
+  '{campo}: fullUrl repetido': '{campo}: duplicate fullUrl',
+  'Observação cancelada ou registrada por engano': 'Observation cancelled or entered in error',
+  'Não é uma glicemia (código {code})': 'Not a blood glucose reading (code {code})',
+  'O arquivo não é um JSON válido.': 'The file is not valid JSON.',
+  'Importar Registros (FHIR)': 'Import Records (FHIR)',
+  'Aceita um Bundle FHIR R4 em JSON com Observations de glicemia (códigos LOINC), como o exportado por este app. Registros que já existem (mesmo horário e valor) são ignorados.': 'Accepts a FHIR R4 Bundle in JSON with blood glucose Observations (LOINC codes), such as the one exported by this app. Records that already exist (same time and value) are skipped.',
+  '{arquivo} tem {n} erro(s) de estrutura FHIR:': '{arquivo} has {n} FHIR structure error(s):',
+  '{n} Observation(s)': '{n} Observation(s)',
+  'Paciente:': 'Patient:',
+  'Entrada': 'Entry',
+  'Erro ao carregar registros: ': 'Error loading entries: ',
+  'Relatório para o Médico': 'Report for the Doctor',
+  'De': 'From',
+  'Até': 'To',
+  'Informe o nome do paciente nas Configurações para identificá-lo no relatório.': 'Enter the patient name in Settings to identify them in the report.',
+  'Imprimir / PDF': 'Print / PDF',
+  'Relatório de Glicemia': 'Blood Glucose Report',
+  'Nascimento:': 'Date of birth:',
+  'Período:': 'Period:',
+  '{inicio} a {fim}': '{inicio} to {fim}',
+  'Emitido em:': 'Issued on:',
+  'Faixa-alvo:': 'Target range:',
+  'hipo': 'hypo',
+  'hiper': 'hyper',
+  'Estatísticas ({n} leituras)': 'Statistics ({n} readings)',
+  'Nenhum registro no período.': 'No entries in the period.',
+  'Média:': 'Average:',
+  'Mínimo:': 'Minimum:',
+  'Máximo:': 'Maximum:',
+  'Hipoglicemias:': 'Hypoglycaemias:',
+  'Hiperglicemias:': 'Hyperglycaemias:',
+  'Leituras/dia:': 'Readings/day:',
+  'Diário ({unit})': 'Daily log ({unit})',
+  'Dia': 'Day',
+  'Eventos de hipo e hiperglicemia': 'Hypo- and hyperglycaemia events',
+  'Nenhum evento no período.': 'No events in the period.',
+  'Evento': 'Event',
+  'Gerado pelo Glicemia Control em {data}. Valores informados pelo paciente.': 'Generated by Glicemia Control on {data}. Values reported by the patient.',
+  'Toque em uma célula vazia para registrar a leitura daquele dia e horário.': 'Tap an empty cell to log the reading for that day and time.',
+  'Registrar: {dia}, {horario}': 'Log: {dia}, {horario}',
+  'Informe a glicemia-alvo da calculadora.': 'Enter the calculator target glucose.',
+  'A duração de ação da insulina deve ficar entre 2 e 8 horas.': 'The insulin action duration must be between 2 and 8 hours.',
+  'Cada faixa horária precisa de início, razão insulina/carboidrato e fator de correção positivos.': 'Each time slot needs a start time and positive insulin-to-carb ratio and correction factor.',
+  'Duas faixas horárias não podem começar no mesmo horário.': 'Two time slots cannot start at the same time.',
+  'Configurações salvas! O histórico já usa a nova unidade e os novos limites.': 'Settings saved! The history already uses the new unit and limits.',
+  'Erro ao salvar: ': 'Error saving: ',
+  'Configurações': 'Settings',
+  'Nome do paciente': 'Patient name',
+  'Usado no relatório': 'Used in the report',
+  'Data de nascimento': 'Date of birth',
+  'Unidade de glicemia': 'Glucose unit',
+  'Faixas-alvo': 'Target ranges',
+  'Defina os limites indicados pelo seu médico. Eles são usados nas cores do resumo e do histórico.': 'Set the limits given by your doctor. They are used for the colours of the summary and history.',
+  'Limites por contexto de medição': 'Limits per measurement context',
+  'Ex.: metas diferentes para jejum e para 2h após a refeição.': 'E.g. different targets for fasting and 2h after meals.',
+  '{contexto}: limites próprios': '{contexto}: own limits',
+  'Minhas insulinas': 'My insulins',
+  'Nome': 'Name',
+  'Ex: Lantus': 'E.g. Lantus',
+  'Tipo': 'Type',
+  'Remover': 'Remove',
+  'Adicionar insulina': 'Add insulin',
+  'Calculadora de bolus': 'Bolus calculator',
+  'Use os valores definidos pela sua equipe de saúde. Cada faixa vale a partir do horário de início até a próxima.': 'Use the values set by your healthcare team. Each slot applies from its start time until the next one.',
+  'Glicemia-alvo ({unit})': 'Target glucose ({unit})',
+  'Duração da insulina (h)': 'Insulin duration (h)',
+  'Início': 'Start',
+  'g por 1 U': 'g per 1 U',
+  '{unit} por 1 U': '{unit} per 1 U',
+  'Adicionar faixa horária': 'Add time slot',
+  'Salvar': 'Save',
+  'Por favor, insira um valor de glicemia válido.': 'Please enter a valid glucose value.',
+  'Selecione o contexto da medição.': 'Select the measurement context.',
+  'Data ou hora inválida.': 'Invalid date or time.',
+  '{valor} em {data} às {hora} ({contexto})': '{valor} on {data} at {hora} ({contexto})',
+  'Selecione a insulina.': 'Select the insulin.',
+  'Informe uma dose entre 0 e {max} unidades.': 'Enter a dose between 0 and {max} units.',
+  'Insulina (média diária)': 'Insulin (daily average)',
+  'Basal:': 'Basal:',
+  'Bolus:': 'Bolus:',
+  'Total:': 'Total:',
+  'Basal': 'Basal',
+  'Bolus': 'Bolus',
+  'Total': 'Total',
+  'Dose de {dose} U de {insulina} salva!': '{dose} U dose of {insulina} saved!',
+  'Dose de {dose} U de {insulina} salva neste aparelho!': '{dose} U dose of {insulina} saved on this device!',
+  'Nova Dose de Insulina': 'New Insulin Dose',
+  'Cadastre suas insulinas nas Configurações para registrar doses.': 'Add your insulins in Settings to log doses.',
+  'Insulina': 'Insulin',
+  'Selecione...': 'Select...',
+  'Unidades (U)': 'Units (U)',
+  'Ex: 10': 'E.g. 10',
+  'Salvar Dose': 'Save Dose',
+  'Informe os carboidratos em gramas (0 a 500).': 'Enter the carbohydrates in grams (0 to 500).',
+  'Erro ao carregar a última glicemia e as doses recentes: ': 'Error loading the latest glucose and recent doses: ',
+  'Refeição salva!': 'Meal saved!',
+  'Refeição salva neste aparelho!': 'Meal saved on this device!',
+  'Refeição e dose de {dose} U salvas!': 'Meal and {dose} U dose saved!',
+  'Refeição e dose de {dose} U salvas neste aparelho!': 'Meal and {dose} U dose saved on this device!',
+  'Dose de {dose} U salva!': '{dose} U dose saved!',
+  'Dose de {dose} U salva neste aparelho!': '{dose} U dose saved on this device!',
+  'Refeição e Calculadora de Bolus': 'Meal and Bolus Calculator',
+  'Cadastre a razão insulina/carboidrato e o fator de correção nas Configurações para usar a calculadora.': 'Set the insulin-to-carb ratio and correction factor in Settings to use the calculator.',
+  'Carboidratos (g)': 'Carbohydrates (g)',
+  'Ex: 45': 'E.g. 45',
+  'Glicemia atual ({unit})': 'Current glucose ({unit})',
+  'Descrição (opcional)': 'Description (optional)',
+  'Ex: Almoço': 'E.g. Lunch',
+  'Carregando última glicemia...': 'Loading latest glucose...',
+  'Última glicemia registrada: {valor} em {data} às {hora}': 'Latest glucose logged: {valor} on {data} at {hora}',
+  '(há mais de 1 hora — considere medir novamente)': '(over 1 hour ago — consider measuring again)',
+  'Nenhuma glicemia registrada ainda.': 'No glucose logged yet.',
+  'Cálculo passo a passo': 'Step-by-step calculation',
+  '1. Horário {hora} → faixa a partir de {inicio}: 1 U para {icr} g de carboidrato; 1 U reduz {fc}.': '1. Time {hora} → slot from {inicio}: 1 U per {icr} g of carbohydrate; 1 U lowers {fc}.',
+  '2. Refeição: {carbs} g ÷ {icr} g/U =': '2. Meal: {carbs} g ÷ {icr} g/U =',
+  '3. Correção:': '3. Correction:',
+  '4. Insulina ativa ({n} dose(s) rápida(s) nas últimas {horas} h):': '4. Active insulin ({n} rapid dose(s) in the last {horas} h):',
+  '5. Total:': '5. Total:',
+  'sugestão': 'suggested',
+  '(arredondado para 0,5 U, mínimo 0)': '(rounded to 0.5 U, minimum 0)',
+  'Sugestão de apoio. Confira sempre com a orientação da sua equipe de saúde.': 'Supporting suggestion only. Always check it against your healthcare team\'s guidance.',
+  'Cadastre uma insulina do tipo rápida nas Configurações para salvar a dose.': 'Add a rapid-acting insulin in Settings to save the dose.',
+  'Dose aplicada (U)': 'Dose given (U)',
+  'Salvar Refeição e Dose': 'Save Meal and Dose',
+  'Salvar Só a Refeição': 'Save Meal Only',
+  'Episódios de hipoglicemia': 'Hypoglycaemia episodes',
+  'Episódios:': 'Episodes:',
+  'Recuperação média:': 'Average recovery:',
+  'Nível 1 ({min}–{max}):': 'Level 1 ({min}–{max}):',
+  'Nível 2 (< {limite}):': 'Level 2 (< {limite}):',
+  '{n} episódio(s) sem medição de recuperação registrada.': '{n} episode(s) without a logged recovery reading.',
+  'Hora de medir a glicemia': 'Time to check your glucose',
+  'Já se passaram {n} minutos. Meça novamente e registre o valor no app.': '{n} minutes have passed. Measure again and log the value in the app.',
+  'Hipoglicemia: regra dos 15': 'Hypoglycaemia: rule of 15',
+  'Última medição:': 'Last reading:',
+  '(limite de hipoglicemia: {valor})': '(hypoglycaemia limit: {valor})',
+  'Glicemia de volta acima do limite após {n} min. Se a próxima refeição estiver a mais de 1 hora, faça um lanche com carboidrato e proteína.': 'Glucose back above the limit after {n} min. If the next meal is more than 1 hour away, have a snack with carbohydrate and protein.',
+  'Concluir': 'Finish',
+  'Hipoglicemia nível 2. Se houver confusão, sonolência intensa ou dificuldade para engolir, não dê nada pela boca: use glucagon, se disponível, e procure atendimento de emergência.': 'Level 2 hypoglycaemia. If there is confusion, severe drowsiness or difficulty swallowing, give nothing by mouth: use glucagon if available and seek emergency care.',
+  'Ainda abaixo do limite. Repita: ': 'Still below the limit. Repeat: ',
+  'Consuma 15 g de carboidrato de ação rápida': 'Have 15 g of fast-acting carbohydrate',
+  'Já consumi — iniciar {n} minutos': 'Done — start {n} minutes',
+  '2. Aguarde e meça novamente': '2. Wait and measure again',
+  'Hora de medir a glicemia.': 'Time to check your glucose.',
+  'Nova medição ({unit})': 'New reading ({unit})',
+  'Encerrar protocolo': 'End protocol',
+  'Hora de medir a glicemia de {nome}': 'Time to check {nome}\'s blood glucose',
+  'Hora da insulina de {nome}': 'Time for {nome}\'s insulin',
+  'Hora da insulina': 'Insulin time',
+  'Sem nome': 'Unnamed',
+  '{contexto} — {hora}. Toque para registrar.': '{contexto} — {hora}. Tap to log.',
+  '{insulina} — {hora}. Toque para registrar a dose.': '{insulina} — {hora}. Tap to log the dose.',
+  'Cada lembrete precisa de horário e de contexto (ou insulina).': 'Each reminder needs a time and a context (or insulin).',
+  'Há lembretes repetidos.': 'There are duplicate reminders.',
+  'Lembretes salvos!': 'Reminders saved!',
+  'Lembretes': 'Reminders',
+  'só com o app aberto': 'only while the app is open',
+  'Este navegador não oferece notificações.': 'This browser does not support notifications.',
+  'As notificações estão bloqueadas. Libere-as nas configurações do navegador para receber os lembretes.': 'Notifications are blocked. Allow them in the browser settings to receive reminders.',
+  'Permitir notificações': 'Allow notifications',
+  'Os lembretes só tocam enquanto o app estiver aberto neste aparelho (mesmo em segundo plano). Com o app fechado, nenhum aviso é enviado: para doses de insulina, use também o alarme do celular.': 'Reminders only go off while the app is open on this device (even in the background). When the app is closed no alert is sent: for insulin doses, also use your phone\'s alarm.',
+  'Estes são os lembretes do perfil ativo; os dos outros perfis da conta também são avisados. Um lembrete é dispensado quando já houver um registro do mesmo contexto (ou insulina) na hora anterior.': 'These are the active profile\'s reminders; reminders of the account\'s other profiles also go off. A reminder is skipped when there is already a record for the same context (or insulin) in the previous hour.',
+  'Ativo': 'Active',
+  'Horário': 'Time',
+  'Adicionar lembrete': 'Add reminder',
+  'Erro ao carregar os compartilhamentos: ': 'Error loading shares: ',
+  'Informe um e-mail válido.': 'Enter a valid e-mail.',
+  'Você não pode compartilhar com o seu próprio e-mail.': 'You cannot share with your own e-mail.',
+  'Este e-mail já tem acesso.': 'This e-mail already has access.',
+  'Erro ao compartilhar: ': 'Error sharing: ',
+  'Acesso somente leitura concedido a {email}.': 'Read-only access granted to {email}.',
+  'Remover o acesso de {email}?': 'Remove access for {email}?',
+  'Erro ao revogar: ': 'Error revoking: ',
+  'Acompanhe minhas glicemias': 'Follow my glucose readings',
+  'Compartilhei meu registro de glicemias com você no Glicemia Control.\n\nEntre ou crie uma conta com este e-mail ({email}) em {url} e abra "Pacientes".': 'I shared my glucose log with you on Glicemia Control.\n\nSign in or create an account with this e-mail ({email}) at {url} and open "Patients".',
+  'Compartilhar': 'Share',
+  'Quem você convidar poderá ver seus registros e estatísticas em tempo real, sem poder alterá-los.': 'Anyone you invite can see your entries and statistics in real time, without being able to change them.',
+  'E-mail do cuidador ou médico': 'Caregiver\'s or doctor\'s e-mail',
+  'nome@exemplo.com': 'name@example.com',
+  'Convidar': 'Invite',
+  'Avisar {email} por e-mail': 'Notify {email} by e-mail',
+  'Com acesso': 'With access',
+  'Nenhum compartilhamento ativo.': 'No active shares.',
+  'Revogar': 'Revoke',
+  'A confirmação não confere com a nova senha.': 'The confirmation does not match the new password.',
+  'Senha alterada com sucesso!': 'Password changed successfully!',
+  'Excluir definitivamente a conta e TODOS os registros? Esta ação não pode ser desfeita.': 'Permanently delete the account and ALL entries? This cannot be undone.',
+  'Excluindo dados... {n} documento(s) removido(s).': 'Deleting data... {n} document(s) removed.',
+  'Erro ao excluir os dados: ': 'Error deleting the data: ',
+  'Minha Conta': 'My Account',
+  'E-mail:': 'E-mail:',
+  'Confirmado': 'Confirmed',
+  'Seu e-mail ainda não foi confirmado. Abra o link que enviamos no cadastro ou peça um novo.': 'Your e-mail has not been confirmed yet. Open the link we sent when you registered or request a new one.',
+  'Alterar senha': 'Change password',
+  'Senha atual': 'Current password',
+  'Nova senha (mínimo 6 caracteres)': 'New password (minimum 6 characters)',
+  'Confirme a nova senha': 'Confirm the new password',
+  'Alterando...': 'Changing...',
+  'Alterar Senha': 'Change Password',
+  'Excluir conta': 'Delete account',
+  'Remove a conta e todos os dados: registros de glicemia, doses, refeições, perfis dependentes, lembretes e compartilhamentos. Exporte um CSV antes, se quiser guardar uma cópia.': 'Removes the account and all data: glucose entries, doses, meals, dependent profiles, reminders and shares. Export a CSV first if you want to keep a copy.',
+  'Digite sua senha para confirmar': 'Type your password to confirm',
+  'Excluindo...': 'Deleting...',
+  'Excluir Conta e Dados': 'Delete Account and Data',
+  'Erro ao carregar pacientes: ': 'Error loading patients: ',
+  'Pacientes': 'Patients',
+  'Meu registro': 'My log',
+  'Para ver os registros compartilhados com {email}, confirme antes que o e-mail é seu.': 'To see the entries shared with {email}, first confirm that the e-mail is yours.',
+  'Ninguém compartilhou registros com {email} ainda.': 'Nobody has shared entries with {email} yet.',
+  'Paciente': 'Patient',
+  'Nome do novo perfil (ex.: nome do filho):': 'New profile name (e.g. your child\'s name):',
+  'Perfil ativo': 'Active profile',
+  'Meu perfil': 'My profile',
+  '+ Novo perfil...': '+ New profile...',
+  'Hipoglicemias repetidas na madrugada': 'Repeated overnight hypoglycaemia',
+  '{n} leituras abaixo do limite entre 00:00 e 06:00, em {noites} noites diferentes, incluindo valores abaixo de {limite}. Converse com seu médico sobre a dose da insulina basal ou o lanche noturno.': '{n} readings below the limit between 00:00 and 06:00, on {noites} different nights, including values below {limite}. Talk to your doctor about the basal insulin dose or the bedtime snack.',
+  '{n} leituras abaixo do limite entre 00:00 e 06:00, em {noites} noites diferentes. Converse com seu médico sobre a dose da insulina basal ou o lanche noturno.': '{n} readings below the limit between 00:00 and 06:00, on {noites} different nights. Talk to your doctor about the basal insulin dose or the bedtime snack.',
+  'Possível fenômeno do alvorecer': 'Possible dawn phenomenon',
+  'Em {n} de {total} dias a glicemia subiu em média {valor} entre a madrugada (02:00–05:00) e o jejum.': 'On {n} of {total} days glucose rose by {valor} on average between the early morning (02:00–05:00) and fasting.',
+  'Glicemia de jejum frequentemente acima da meta': 'Fasting glucose often above target',
+  '{n} de {total} leituras de jejum acima da meta. Medir às 03:00 em algumas noites ajuda a separar o fenômeno do alvorecer de outras causas.': '{n} of {total} fasting readings above target. Measuring at 03:00 on a few nights helps tell the dawn phenomenon apart from other causes.',
+  'Picos frequentes após o almoço': 'Frequent post-lunch spikes',
+  '{n} de {total} leituras pós-almoço acima do limite de hiperglicemia. Vale revisar a contagem de carboidratos ou o horário do bolus do almoço.': '{n} of {total} post-lunch readings above the hyperglycaemia limit. Consider reviewing carb counting or the timing of the lunch bolus.',
+  'Média semanal em alta': 'Weekly average rising',
+  'A média subiu de {de} para {para} ao longo de {n} semanas.': 'The average rose from {de} to {para} over {n} weeks.',
+  '1 dia sem medições': '1 day without readings',
+  '{n} dias sem medições': '{n} days without readings',
+  'Dias do período sem nenhuma leitura registrada.': 'Days in the period with no reading logged.',
+  'Padrões Encontrados': 'Patterns Found',
+  'Nenhum padrão relevante nas leituras do período.': 'No relevant patterns in the readings for the period.',
+  'Ocultar': 'Hide',
+  'Ver {n} dia(s)': 'View {n} day(s)',
+  'Ver {n} leitura(s)': 'View {n} reading(s)',
+  '{n} registro(s) enviado(s) para a sua conta.': '{n} record(s) uploaded to your account.',
+  'Erro ao enviar: ': 'Upload error: ',
+  'Registros deste navegador': 'Records in this browser',
+  '{n} registro(s) do uso sem conta estão salvos apenas neste navegador. Envie-os para a sua conta para tê-los em qualquer aparelho.': '{n} record(s) from using the app without an account are saved only in this browser. Upload them to your account to have them on any device.',
+  'Enviar para a minha conta': 'Upload to my account',
+  'Registro de {valor} salvo com sucesso!': 'Entry of {valor} saved successfully!',
+  'Registro de {valor} salvo neste aparelho. Será sincronizado quando a conexão voltar.': 'Entry of {valor} saved on this device. It will sync when the connection is back.',
+  'Erro ao atualizar: ': 'Error updating: ',
+  'Registro atualizado com sucesso!': 'Entry updated successfully!',
+  'Excluir o registro de {valor} de {data} às {hora}?': 'Delete the {valor} entry from {data} at {hora}?',
+  'Erro ao excluir: ': 'Error deleting: ',
+  'Registro excluído.': 'Entry deleted.',
+  'Erro ao carregar histórico: ': 'Error loading history: ',
+  'Erro ao exportar: ': 'Error exporting: ',
+  'Excluir a dose de {dose} de {insulina} de {data} às {hora}?': 'Delete the {dose} dose of {insulina} from {data} at {hora}?',
+  'Excluir a refeição de {carbs} g de {data} às {hora}?': 'Delete the {carbs} g meal from {data} at {hora}?',
+  'Minha conta': 'My account',
+  'Refeição e calculadora de bolus': 'Meal and bolus calculator',
+  'Relatório': 'Report',
+  'Importar CSV': 'Import CSV',
+  'Novo Registro': 'New Entry',
+  'Valor da Glicemia ({unit})': 'Glucose Value ({unit})',
+  'Ex: {valor}': 'E.g. {valor}',
+  'Contexto da medição': 'Measurement context',
+  'Salvar Registro': 'Save Entry',
+  'Digitar vários registros de uma vez': 'Enter several records at once',
+  'Histórico e Estatísticas': 'History and Statistics',
+  'Todos': 'All',
+  'Resumo do Período ({n} Registros)': 'Period Summary ({n} Entries)',
+  'Calculado sobre todas as {n} leituras de {contexto} de {inicio} a {fim}.': 'Calculated over all {n} {contexto} readings from {inicio} to {fim}.',
+  'Calculado sobre todas as {n} leituras de {inicio} a {fim}.': 'Calculated over all {n} readings from {inicio} to {fim}.',
+  'Carregando estatísticas...': 'Loading statistics...',
+  'Por contexto:': 'By context:',
+  'Nenhum registro encontrado no período selecionado.': 'No entries found in the selected period.',
+  'Tabela': 'Table',
+  'Diário': 'Logbook',
+  'Gráficos': 'Charts',
+  'Ações': 'Actions',
+  'Nenhum registro encontrado.': 'No entries found.',
+  'Refeição': 'Meal',
+  'Pendente de sincronização': 'Pending sync',
+  'Excluir': 'Delete',
+  'Salvar alteração': 'Save change',
+  'Cancelar': 'Cancel',
+  'Sincronizado': 'Synced',
+  'Editar': 'Edit',
+  'Histórico de alterações': 'Change history',
+  'Nenhuma alteração registrada.': 'No changes recorded.',
+  'Mostrando {n} de {total} leituras do período.': 'Showing {n} of {total} readings in the period.',
+  'Mostrar mais': 'Show more',
+  'Ocultar registros excluídos': 'Hide deleted records',
+  'Registros excluídos': 'Deleted records',
+  'Nenhum registro excluído.': 'No deleted records.',
+  'CSV do período': 'Period CSV',
+  'CSV completo': 'Full CSV',
+  'FHIR do período': 'FHIR for the period',
+  '* A tabela, as estatísticas e os gráficos são atualizados automaticamente quando as leituras mudam.': '* The table, statistics and charts update automatically when readings change.',
+  'Erro de Inicialização do Firebase:': 'Firebase Initialisation Error:',
+  'Verifique se todas as variáveis de ambiente (REACT_APP_...) estão configuradas corretamente no Render.': 'Check that all environment variables (REACT_APP_...) are set correctly on Render.',
+  'Carregando aplicação...': 'Loading application...',
+  'Idioma': 'Language',
+  'Jejum': 'Fasting',
+  'Antes da refeição': 'Before meal',
+  '2h após a refeição': '2h after meal',
+  'Antes de dormir': 'Bedtime',
+  'Madrugada': 'Overnight',
+  'Hipoglicemia': 'Hypoglycaemia',
+  'Abaixo da meta': 'Below target',
+  'Ótimo': 'Great',
+  'Moderado': 'Moderate',
+  'Hiperglicemia': 'Hyperglycaemia',
+  'Muito baixo': 'Very low',
+  'Baixo': 'Low',
+  'No alvo': 'In range',
+  'Alto': 'High',
+  'Muito alto': 'Very high',
+  'AAAA-MM-DD': 'YYYY-MM-DD',
+  'DD/MM/AAAA': 'DD/MM/YYYY',
+  'MM/DD/AAAA': 'MM/DD/YYYY',
+  'Desativado': 'Off',
+  '1 minuto': '1 minute',
+  '5 minutos': '5 minutes',
+  '15 minutos': '15 minutes',
+  '30 minutos': '30 minutes',
+  'Rápida (bolus)': 'Rapid (bolus)',
+  'Medir glicemia': 'Check glucose',
+  'Aplicar insulina': 'Take insulin',
+  'Hipoglicemia abaixo de': 'Hypoglycaemia below',
+  'Hiperglicemia acima de': 'Hyperglycaemia above',
+  'Meta mínima': 'Target minimum',
+  'Meta máxima': 'Target maximum',
+  'Atenção': 'Warning',
+  'Observar': 'Watch',
+  'Informação': 'Information',
+  'Café da manhã': 'Breakfast',
+  'Almoço': 'Lunch',
+  'Jantar': 'Dinner',
+  'Antes': 'Before',
+  'Depois': 'After',
+  '1 colher de sopa de açúcar ou mel': '1 tablespoon of sugar or honey',
+  '150 ml de suco de fruta ou refrigerante comum (não diet)': '150 ml of fruit juice or regular (non-diet) soda',
+  '3 a 4 balas de glicose ou balas comuns': '3 to 4 glucose tablets or regular candies',
+};
+
+export default translations;
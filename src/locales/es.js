@@ -0,0 +1,489 @@
+// Traduções para espanhol. Chave: texto original em português (ver src/i18n.js).
+const translations = {
+  'Erro ao inicializar Firebase. Detalhes no console.': 'Error al inicializar Firebase. Detalles en la consola.',
+  'Você está offline. Os registros ficam salvos neste aparelho e serão sincronizados quando a conexão voltar.': 'Estás sin conexión. Los registros se guardan en este dispositivo y se sincronizarán cuando vuelva la conexión.',
+  'Modo local: os registros ficam apenas neste navegador, sem conta. Exporte o CSV de vez em quando como cópia de segurança.': 'Modo local: los registros quedan solo en este navegador, sin cuenta. Exportá el CSV de vez en cuando como copia de seguridad.',
+  'O formato do e-mail é inválido.': 'El formato del e-mail no es válido.',
+  'Esta conta de usuário foi desativada.': 'Esta cuenta de usuario fue desactivada.',
+  'Nenhum usuário encontrado com este e-mail.': 'No se encontró ningún usuario con este e-mail.',
+  'A senha está incorreta.': 'La contraseña es incorrecta.',
+  'Este e-mail já está em uso.': 'Este e-mail ya está en uso.',
+  'A senha deve ter pelo menos 6 caracteres.': 'La contraseña debe tener al menos 6 caracteres.',
+  'Informe o e-mail.': 'Ingresá el e-mail.',
+  'Informe a senha.': 'Ingresá la contraseña.',
+  'Muitas tentativas seguidas. Aguarde alguns minutos e tente novamente.': 'Demasiados intentos seguidos. Esperá unos minutos y volvé a intentarlo.',
+  'Sem conexão com a internet. Verifique sua rede e tente novamente.': 'Sin conexión a internet. Verificá tu red y volvé a intentarlo.',
+  'Por segurança, entre novamente e repita a operação.': 'Por seguridad, volvé a ingresar y repetí la operación.',
+  'A senha informada não pertence à conta conectada.': 'La contraseña ingresada no corresponde a la cuenta conectada.',
+  'O link expirou. Solicite um novo.': 'El enlace venció. Solicitá uno nuevo.',
+  'O link é inválido ou já foi usado.': 'El enlace no es válido o ya fue usado.',
+  'Ocorreu um erro desconhecido. Por favor, tente novamente.': 'Ocurrió un error desconocido. Por favor, volvé a intentarlo.',
+  'Acessar Glicemia Control': 'Ingresar a Glicemia Control',
+  'E-mail (Nome de Usuário)': 'E-mail (Nombre de usuario)',
+  'seu@email.com': 'tu@email.com',
+  'Senha': 'Contraseña',
+  'Sua senha secreta': 'Tu contraseña secreta',
+  'Manter conectado e lembrar o e-mail neste dispositivo': 'Mantener la sesión y recordar el e-mail en este dispositivo',
+  'Entrando...': 'Ingresando...',
+  'Entrar': 'Ingresar',
+  'Esqueci minha senha': 'Olvidé mi contraseña',
+  'Não tem uma conta?': '¿No tenés una cuenta?',
+  'Cadastrar Novo Usuário': 'Registrar Nuevo Usuario',
+  'Usar sem conta (dados só neste navegador)': 'Usar sin cuenta (datos solo en este navegador)',
+  'Cadastro realizado com sucesso! Enviamos um link de confirmação para o seu e-mail. Você será logado automaticamente.': '¡Registro exitoso! Enviamos un enlace de confirmación a tu e-mail. Vas a ingresar automáticamente.',
+  'Cadastro de Novo Usuário': 'Registro de Nuevo Usuario',
+  'E-mail': 'E-mail',
+  'seu@email.com (Será seu login)': 'tu@email.com (Será tu usuario)',
+  'Senha (Mínimo 6 caracteres)': 'Contraseña (Mínimo 6 caracteres)',
+  'Sua senha': 'Tu contraseña',
+  'Cadastrando...': 'Registrando...',
+  'Cadastrar e Entrar': 'Registrarse e Ingresar',
+  'Voltar para o Login': 'Volver al inicio de sesión',
+  'Se houver uma conta com este e-mail, você receberá um link para criar uma nova senha.': 'Si hay una cuenta con este e-mail, vas a recibir un enlace para crear una nueva contraseña.',
+  'Recuperar Senha': 'Recuperar Contraseña',
+  'Enviando...': 'Enviando...',
+  'Enviar Link de Recuperação': 'Enviar Enlace de Recuperación',
+  'Enviamos um link de confirmação para {email}.': 'Enviamos un enlace de confirmación a {email}.',
+  'O e-mail ainda não foi confirmado.': 'El e-mail todavía no fue confirmado.',
+  'Enviar link de confirmação': 'Enviar enlace de confirmación',
+  'Já confirmei': 'Ya lo confirmé',
+  'Muitas tentativas incorretas. Desbloqueie com a senha da conta.': 'Demasiados intentos incorrectos. Desbloqueá con la contraseña de la cuenta.',
+  'PIN incorreto. Restam {n} tentativa(s) antes de exigir a senha da conta.': 'PIN incorrecto. Quedan {n} intento(s) antes de pedir la contraseña de la cuenta.',
+  'App bloqueado': 'App bloqueada',
+  'Senha da conta': 'Contraseña de la cuenta',
+  'PIN': 'PIN',
+  'Aguarde {n} s para tentar de novo.': 'Esperá {n} s para volver a intentar.',
+  'Desbloquear': 'Desbloquear',
+  'Usar PIN': 'Usar PIN',
+  'Esqueci o PIN': 'Olvidé el PIN',
+  'Sair': 'Salir',
+  'O PIN deve ter de 4 a 8 dígitos.': 'El PIN debe tener de 4 a 8 dígitos.',
+  'A confirmação não confere com o PIN.': 'La confirmación no coincide con el PIN.',
+  'PIN definido. O app pedirá o PIN ao ser aberto.': 'PIN definido. La app va a pedir el PIN al abrirse.',
+  'PIN removido.': 'PIN eliminado.',
+  'Bloqueio do app neste aparelho': 'Bloqueo de la app en este dispositivo',
+  'Bloquear após inatividade': 'Bloquear tras inactividad',
+  'Novo PIN': 'Nuevo PIN',
+  'PIN (opcional)': 'PIN (opcional)',
+  '4 a 8 dígitos': '4 a 8 dígitos',
+  'Confirme o PIN': 'Confirmá el PIN',
+  'Sem PIN, o desbloqueio após a inatividade pede a senha da conta.': 'Sin PIN, el desbloqueo tras la inactividad pide la contraseña de la cuenta.',
+  'Remover PIN': 'Quitar PIN',
+  'Trocar PIN': 'Cambiar PIN',
+  'Definir PIN': 'Definir PIN',
+  'Informe valores positivos para todos os limites.': 'Ingresá valores positivos para todos los límites.',
+  'Os limites devem respeitar: Hipo ≤ Meta mínima < Meta máxima ≤ Hiper.': 'Los límites deben cumplir: Hipo ≤ Meta mínima < Meta máxima ≤ Hiper.',
+  'Métricas clínicas': 'Métricas clínicas',
+  'Apenas {count} registro(s) no período. Com menos de {min} medições, as métricas abaixo são pouco representativas.': 'Solo {count} registro(s) en el período. Con menos de {min} mediciones, las métricas de abajo son poco representativas.',
+  'Tempo nas faixas': 'Tiempo en rangos',
+  'Desvio padrão:': 'Desvío estándar:',
+  'Coeficiente de variação:': 'Coeficiente de variación:',
+  'GMI:': 'GMI:',
+  'HbA1c estimada:': 'HbA1c estimada:',
+  'Meta do consenso: mais de 70% no alvo, menos de 4% abaixo de {low}, menos de 1% abaixo de {veryLow} e coeficiente de variação de até 36%.': 'Meta del consenso: más de 70% en rango, menos de 4% por debajo de {low}, menos de 1% por debajo de {veryLow} y coeficiente de variación de hasta 36%.',
+  'Tendência no período': 'Tendencia en el período',
+  'Faixa verde: meta. Linhas tracejadas: limites de hipo e hiperglicemia. Valores em {unit}.': 'Banda verde: meta. Líneas punteadas: límites de hipo e hiperglucemia. Valores en {unit}.',
+  'Perfil ambulatorial (AGP)': 'Perfil ambulatorio (AGP)',
+  'Mediana': 'Mediana',
+  'Percentis 25–75': 'Percentiles 25–75',
+  'Percentis 5–95': 'Percentiles 5–95',
+  'Poucas leituras no período: as faixas de percentis são pouco representativas.': 'Pocas lecturas en el período: las bandas de percentiles son poco representativas.',
+  'Sem valor de glicemia': 'Sin valor de glucemia',
+  'Valor inválido: "{value}"': 'Valor inválido: "{value}"',
+  'Valor fora da faixa plausível: {value} {unit}': 'Valor fuera del rango plausible: {value} {unit}',
+  'Data ou hora inválida': 'Fecha u hora inválida',
+  'Erro ao carregar registros existentes: ': 'Error al cargar los registros existentes: ',
+  'O arquivo não contém registros.': 'El archivo no contiene registros.',
+  'Erro ao importar registros: {error}': 'Error al importar registros: {error}',
+  '{written} registro(s) importado(s). {duplicate} duplicado(s) e {invalid} inválido(s) ignorados.': '{written} registro(s) importado(s). {duplicate} duplicado(s) y {invalid} inválido(s) ignorados.',
+  'registros salvos neste aparelho': 'registros guardados en este dispositivo',
+  'Erro ao importar após {written} registro(s): {error}': 'Error al importar después de {written} registro(s): {error}',
+  'Coluna {n}': 'Columna {n}',
+  'OK': 'OK',
+  'Duplicado': 'Duplicado',
+  'Inválido': 'Inválido',
+  'Importar Registros (CSV)': 'Importar Registros (CSV)',
+  'Aceita o CSV exportado por este app e exportações de glicosímetros ou do LibreView. Registros que já existem (mesmo horário e valor) são ignorados.': 'Acepta el CSV exportado por esta app y exportaciones de glucómetros o de LibreView. Los registros que ya existen (mismo horario y valor) se ignoran.',
+  '{n} linha(s)': '{n} fila(s)',
+  'Linha do cabeçalho': 'Fila del encabezado',
+  'Linha {n}': 'Fila {n}',
+  'Data': 'Fecha',
+  'Hora': 'Hora',
+  'Junto com a data': 'Junto con la fecha',
+  'Formato da data': 'Formato de fecha',
+  'Contexto': 'Contexto',
+  'Nenhum': 'Ninguno',
+  'Coluna de unidade': 'Columna de unidad',
+  'Nenhuma': 'Ninguna',
+  'Unidade dos valores': 'Unidad de los valores',
+  'Colunas de valor (usa a primeira preenchida em cada linha)': 'Columnas de valor (usa la primera completa en cada fila)',
+  '{ok} para importar, {duplicate} duplicado(s), {invalid} inválido(s).': '{ok} para importar, {duplicate} duplicado(s), {invalid} inválido(s).',
+  'Verificando registros existentes...': 'Verificando registros existentes...',
+  'Linha': 'Fila',
+  'Data/Hora': 'Fecha/Hora',
+  'Valor': 'Valor',
+  'Situação': 'Estado',
+  'Mostrando as primeiras 50 de {n} linhas.': 'Mostrando las primeras 50 de {n} filas.',
+  'Voltar': 'Volver',
+  'Importando...': 'Importando...',
+  'Importar {n}': 'Importar {n}',
+  'Importar um arquivo FHIR (JSON)': 'Importar un archivo FHIR (JSON)',
+  'Informe a hora': 'Ingresá la hora',
+  'Data no futuro': 'Fecha en el futuro',
+  'Já registrado': 'Ya registrado',
+  'Repetido na linha {n}': 'Repetido en la fila {n}',
+  'A grade aceita até {n} linhas por vez; o restante não foi colado.': 'La grilla acepta hasta {n} filas por vez; el resto no se pegó.',
+  'Nenhum registro foi salvo: {error}': 'No se guardó ningún registro: {error}',
+  'Sem contexto': 'Sin contexto',
+  '{n} leitura(s) salva(s), de {inicio} a {fim}: {detalhe}.': '{n} lectura(s) guardada(s), del {inicio} al {fim}: {detalhe}.',
+  'Vários registros de uma vez': 'Varios registros a la vez',
+  'Digite as leituras ou cole linhas de uma planilha (data, hora, valor e contexto). Enter e as setas mudam de célula. Nada é salvo até que todas as linhas estejam corretas, e então tudo é salvo de uma vez.': 'Escribí las lecturas o pegá filas de una planilla (fecha, hora, valor y contexto). Enter y las flechas cambian de celda. No se guarda nada hasta que todas las filas estén correctas, y entonces se guarda todo de una vez.',
+  'Valor ({unit})': 'Valor ({unit})',
+  'Remover linha': 'Quitar fila',
+  'Adicionar linhas': 'Agregar filas',
+  '{ok} linha(s) pronta(s), {invalid} com erro.': '{ok} fila(s) lista(s), {invalid} con error.',
+  'Salvando...': 'Guardando...',
+  'Salvar {n}': 'Guardar {n}',
+  'Glicemia': 'Glucemia',
+  '{campo}: valor inválido': '{campo}: valor inválido',
+  '{campo}: obrigatório': '{campo}: obligatorio',
+  '{campo}: referência não encontrada no Bundle': '{campo}: referencia no encontrada en el Bundle',
+  'O arquivo não é um Bundle FHIR.': 'El archivo no es un Bundle FHIR.',
+  '{campo}: fullUrl repetido': '{campo}: fullUrl repetido',
+  'Observação cancelada ou registrada por engano': 'Observación cancelada o registrada por error',
+  'Não é uma glicemia (código {code})': 'No es una glucemia (código {code})',
+  'O arquivo não é um JSON válido.': 'El archivo no es un JSON válido.',
+  'Importar Registros (FHIR)': 'Importar Registros (FHIR)',
+  'Aceita um Bundle FHIR R4 em JSON com Observations de glicemia (códigos LOINC), como o exportado por este app. Registros que já existem (mesmo horário e valor) são ignorados.': 'Acepta un Bundle FHIR R4 en JSON con Observations de glucemia (códigos LOINC), como el que exporta esta app. Los registros que ya existen (mismo horario y valor) se ignoran.',
+  '{arquivo} tem {n} erro(s) de estrutura FHIR:': '{arquivo} tiene {n} error(es) de estructura FHIR:',
+  '{n} Observation(s)': '{n} Observation(s)',
+  'Paciente:': 'Paciente:',
+  'Entrada': 'Entrada',
+  'Erro ao carregar registros: ': 'Error al cargar los registros: ',
+  'Relatório para o Médico': 'Informe para el Médico',
+  'De': 'Desde',
+  'Até': 'Hasta',
+  'Informe o nome do paciente nas Configurações para identificá-lo no relatório.': 'Ingresá el nombre del paciente en Configuración para identificarlo en el informe.',
+  'Imprimir / PDF': 'Imprimir / PDF',
+  'Relatório de Glicemia': 'Informe de Glucemia',
+  'Nascimento:': 'Nacimiento:',
+  'Período:': 'Período:',
+  '{inicio} a {fim}': '{inicio} al {fim}',
+  'Emitido em:': 'Emitido el:',
+  'Faixa-alvo:': 'Rango objetivo:',
+  'hipo': 'hipo',
+  'hiper': 'hiper',
+  'Estatísticas ({n} leituras)': 'Estadísticas ({n} lecturas)',
+  'Nenhum registro no período.': 'Ningún registro en el período.',
+  'Média:': 'Promedio:',
+  'Mínimo:': 'Mínimo:',
+  'Máximo:': 'Máximo:',
+  'Hipoglicemias:': 'Hipoglucemias:',
+  'Hiperglicemias:': 'Hiperglucemias:',
+  'Leituras/dia:': 'Lecturas/día:',
+  'Diário ({unit})': 'Diario ({unit})',
+  'Dia': 'Día',
+  'Eventos de hipo e hiperglicemia': 'Eventos de hipo e hiperglucemia',
+  'Nenhum evento no período.': 'Ningún evento en el período.',
+  'Evento': 'Evento',
+  'Gerado pelo Glicemia Control em {data}. Valores informados pelo paciente.': 'Generado por Glicemia Control el {data}. Valores informados por el paciente.',
+  'Toque em uma célula vazia para registrar a leitura daquele dia e horário.': 'Tocá una celda vacía para registrar la lectura de ese día y horario.',
+  'Registrar: {dia}, {horario}': 'Registrar: {dia}, {horario}',
+  'Informe a glicemia-alvo da calculadora.': 'Ingresá la glucemia objetivo de la calculadora.',
+  'A duração de ação da insulina deve ficar entre 2 e 8 horas.': 'La duración de acción de la insulina debe estar entre 2 y 8 horas.',
+  'Cada faixa horária precisa de início, razão insulina/carboidrato e fator de correção positivos.': 'Cada franja horaria necesita inicio, relación insulina/carbohidrato y factor de corrección positivos.',
+  'Duas faixas horárias não podem começar no mesmo horário.': 'Dos franjas horarias no pueden empezar a la misma hora.',
+  'Configurações salvas! O histórico já usa a nova unidade e os novos limites.': '¡Configuración guardada! El historial ya usa la nueva unidad y los nuevos límites.',
+  'Erro ao salvar: ': 'Error al guardar: ',
+  'Configurações': 'Configuración',
+  'Nome do paciente': 'Nombre del paciente',
+  'Usado no relatório': 'Se usa en el informe',
+  'Data de nascimento': 'Fecha de nacimiento',
+  'Unidade de glicemia': 'Unidad de glucemia',
+  'Faixas-alvo': 'Rangos objetivo',
+  'Defina os limites indicados pelo seu médico. Eles são usados nas cores do resumo e do histórico.': 'Definí los límites indicados por tu médico. Se usan en los colores del resumen y del historial.',
+  'Limites por contexto de medição': 'Límites por contexto de medición',
+  'Ex.: metas diferentes para jejum e para 2h após a refeição.': 'Ej.: metas distintas para ayunas y para 2 h después de comer.',
+  '{contexto}: limites próprios': '{contexto}: límites propios',
+  'Minhas insulinas': 'Mis insulinas',
+  'Nome': 'Nombre',
+  'Ex: Lantus': 'Ej.: Lantus',
+  'Tipo': 'Tipo',
+  'Remover': 'Quitar',
+  'Adicionar insulina': 'Agregar insulina',
+  'Calculadora de bolus': 'Calculadora de bolo',
+  'Use os valores definidos pela sua equipe de saúde. Cada faixa vale a partir do horário de início até a próxima.': 'Usá los valores definidos por tu equipo de salud. Cada franja vale desde su horario de inicio hasta la siguiente.',
+  'Glicemia-alvo ({unit})': 'Glucemia objetivo ({unit})',
+  'Duração da insulina (h)': 'Duración de la insulina (h)',
+  'Início': 'Inicio',
+  'g por 1 U': 'g por 1 U',
+  '{unit} por 1 U': '{unit} por 1 U',
+  'Adicionar faixa horária': 'Agregar franja horaria',
+  'Salvar': 'Guardar',
+  'Por favor, insira um valor de glicemia válido.': 'Por favor, ingresá un valor de glucemia válido.',
+  'Selecione o contexto da medição.': 'Seleccioná el contexto de la medición.',
+  'Data ou hora inválida.': 'Fecha u hora inválida.',
+  '{valor} em {data} às {hora} ({contexto})': '{valor} el {data} a las {hora} ({contexto})',
+  'Selecione a insulina.': 'Seleccioná la insulina.',
+  'Informe uma dose entre 0 e {max} unidades.': 'Ingresá una dosis entre 0 y {max} unidades.',
+  'Insulina (média diária)': 'Insulina (promedio diario)',
+  'Basal:': 'Basal:',
+  'Bolus:': 'Bolo:',
+  'Total:': 'Total:',
+  'Basal': 'Basal',
+  'Bolus': 'Bolo',
+  'Total': 'Total',
+  'Dose de {dose} U de {insulina} salva!': '¡Dosis de {dose} U de {insulina} guardada!',
+  'Dose de {dose} U de {insulina} salva neste aparelho!': '¡Dosis de {dose} U de {insulina} guardada en este dispositivo!',
+  'Nova Dose de Insulina': 'Nueva Dosis de Insulina',
+  'Cadastre suas insulinas nas Configurações para registrar doses.': 'Cargá tus insulinas en Configuración para registrar dosis.',
+  'Insulina': 'Insulina',
+  'Selecione...': 'Seleccioná...',
+  'Unidades (U)': 'Unidades (U)',
+  'Ex: 10': 'Ej.: 10',
+  'Salvar Dose': 'Guardar Dosis',
+  'Informe os carboidratos em gramas (0 a 500).': 'Ingresá los carbohidratos en gramos (0 a 500).',
+  'Erro ao carregar a última glicemia e as doses recentes: ': 'Error al cargar la última glucemia y las dosis recientes: ',
+  'Refeição salva!': '¡Comida guardada!',
+  'Refeição salva neste aparelho!': '¡Comida guardada en este dispositivo!',
+  'Refeição e dose de {dose} U salvas!': '¡Comida y dosis de {dose} U guardadas!',
+  'Refeição e dose de {dose} U salvas neste aparelho!': '¡Comida y dosis de {dose} U guardadas en este dispositivo!',
+  'Dose de {dose} U salva!': '¡Dosis de {dose} U guardada!',
+  'Dose de {dose} U salva neste aparelho!': '¡Dosis de {dose} U guardada en este dispositivo!',
+  'Refeição e Calculadora de Bolus': 'Comida y Calculadora de Bolo',
+  'Cadastre a razão insulina/carboidrato e o fator de correção nas Configurações para usar a calculadora.': 'Cargá la relación insulina/carbohidrato y el factor de corrección en Configuración para usar la calculadora.',
+  'Carboidratos (g)': 'Carbohidratos (g)',
+  'Ex: 45': 'Ej.: 45',
+  'Glicemia atual ({unit})': 'Glucemia actual ({unit})',
+  'Descrição (opcional)': 'Descripción (opcional)',
+  'Ex: Almoço': 'Ej.: Almuerzo',
+  'Carregando última glicemia...': 'Cargando la última glucemia...',
+  'Última glicemia registrada: {valor} em {data} às {hora}': 'Última glucemia registrada: {valor} el {data} a las {hora}',
+  '(há mais de 1 hora — considere medir novamente)': '(hace más de 1 hora — considerá medir de nuevo)',
+  'Nenhuma glicemia registrada ainda.': 'Todavía no hay glucemias registradas.',
+  'Cálculo passo a passo': 'Cálculo paso a paso',
+  '1. Horário {hora} → faixa a partir de {inicio}: 1 U para {icr} g de carboidrato; 1 U reduz {fc}.': '1. Hora {hora} → franja desde {inicio}: 1 U cada {icr} g de carbohidrato; 1 U baja {fc}.',
+  '2. Refeição: {carbs} g ÷ {icr} g/U =': '2. Comida: {carbs} g ÷ {icr} g/U =',
+  '3. Correção:': '3. Corrección:',
+  '4. Insulina ativa ({n} dose(s) rápida(s) nas últimas {horas} h):': '4. Insulina activa ({n} dosis rápida(s) en las últimas {horas} h):',
+  '5. Total:': '5. Total:',
+  'sugestão': 'sugerido',
+  '(arredondado para 0,5 U, mínimo 0)': '(redondeado a 0,5 U, mínimo 0)',
+  'Sugestão de apoio. Confira sempre com a orientação da sua equipe de saúde.': 'Sugerencia de apoyo. Verificala siempre con las indicaciones de tu equipo de salud.',
+  'Cadastre uma insulina do tipo rápida nas Configurações para salvar a dose.': 'Cargá una insulina de tipo rápida en Configuración para guardar la dosis.',
+  'Dose aplicada (U)': 'Dosis aplicada (U)',
+  'Salvar Refeição e Dose': 'Guardar Comida y Dosis',
+  'Salvar Só a Refeição': 'Guardar Solo la Comida',
+  'Episódios de hipoglicemia': 'Episodios de hipoglucemia',
+  'Episódios:': 'Episodios:',
+  'Recuperação média:': 'Recuperación promedio:',
+  'Nível 1 ({min}–{max}):': 'Nivel 1 ({min}–{max}):',
+  'Nível 2 (< {limite}):': 'Nivel 2 (< {limite}):',
+  '{n} episódio(s) sem medição de recuperação registrada.': '{n} episodio(s) sin medición de recuperación registrada.',
+  'Hora de medir a glicemia': 'Hora de medir la glucemia',
+  'Já se passaram {n} minutos. Meça novamente e registre o valor no app.': 'Ya pasaron {n} minutos. Medí de nuevo y registrá el valor en la app.',
+  'Hipoglicemia: regra dos 15': 'Hipoglucemia: regla de los 15',
+  'Última medição:': 'Última medición:',
+  '(limite de hipoglicemia: {valor})': '(límite de hipoglucemia: {valor})',
+  'Glicemia de volta acima do limite após {n} min. Se a próxima refeição estiver a mais de 1 hora, faça um lanche com carboidrato e proteína.': 'Glucemia de nuevo por encima del límite después de {n} min. Si la próxima comida es en más de 1 hora, comé una colación con carbohidrato y proteína.',
+  'Concluir': 'Finalizar',
+  'Hipoglicemia nível 2. Se houver confusão, sonolência intensa ou dificuldade para engolir, não dê nada pela boca: use glucagon, se disponível, e procure atendimento de emergência.': 'Hipoglucemia nivel 2. Si hay confusión, somnolencia intensa o dificultad para tragar, no des nada por boca: usá glucagón si está disponible y buscá atención de emergencia.',
+  'Ainda abaixo do limite. Repita: ': 'Todavía por debajo del límite. Repetí: ',
+  'Consuma 15 g de carboidrato de ação rápida': 'Consumí 15 g de carbohidrato de acción rápida',
+  'Já consumi — iniciar {n} minutos': 'Ya lo consumí — iniciar {n} minutos',
+  '2. Aguarde e meça novamente': '2. Esperá y medí de nuevo',
+  'Hora de medir a glicemia.': 'Hora de medir la glucemia.',
+  'Nova medição ({unit})': 'Nueva medición ({unit})',
+  'Encerrar protocolo': 'Terminar protocolo',
+  'Hora de medir a glicemia de {nome}': 'Hora de medir la glucemia de {nome}',
+  'Hora da insulina de {nome}': 'Hora de la insulina de {nome}',
+  'Hora da insulina': 'Hora de la insulina',
+  'Sem nome': 'Sin nombre',
+  '{contexto} — {hora}. Toque para registrar.': '{contexto} — {hora}. Tocá para registrar.',
+  '{insulina} — {hora}. Toque para registrar a dose.': '{insulina} — {hora}. Tocá para registrar la dosis.',
+  'Cada lembrete precisa de horário e de contexto (ou insulina).': 'Cada recordatorio necesita horario y contexto (o insulina).',
+  'Há lembretes repetidos.': 'Hay recordatorios repetidos.',
+  'Lembretes salvos!': '¡Recordatorios guardados!',
+  'Lembretes': 'Recordatorios',
+  'só com o app aberto': 'solo con la app abierta',
+  'Este navegador não oferece notificações.': 'Este navegador no ofrece notificaciones.',
+  'As notificações estão bloqueadas. Libere-as nas configurações do navegador para receber os lembretes.': 'Las notificaciones están bloqueadas. Habilitalas en la configuración del navegador para recibir los recordatorios.',
+  'Permitir notificações': 'Permitir notificaciones',
+  'Os lembretes só tocam enquanto o app estiver aberto neste aparelho (mesmo em segundo plano). Com o app fechado, nenhum aviso é enviado: para doses de insulina, use também o alarme do celular.': 'Los recordatorios solo suenan mientras la app esté abierta en este dispositivo (aunque sea en segundo plano). Con la app cerrada no se envía ningún aviso: para las dosis de insulina, usá también la alarma del celular.',
+  'Estes são os lembretes do perfil ativo; os dos outros perfis da conta também são avisados. Um lembrete é dispensado quando já houver um registro do mesmo contexto (ou insulina) na hora anterior.': 'Estos son los recordatorios del perfil activo; los de los otros perfiles de la cuenta también se avisan. Un recordatorio se omite cuando ya hay un registro del mismo contexto (o insulina) en la hora anterior.',
+  'Ativo': 'Activo',
+  'Horário': 'Horario',
+  'Adicionar lembrete': 'Agregar recordatorio',
+  'Erro ao carregar os compartilhamentos: ': 'Error al cargar los accesos compartidos: ',
+  'Informe um e-mail válido.': 'Ingresá un e-mail válido.',
+  'Você não pode compartilhar com o seu próprio e-mail.': 'No podés compartir con tu propio e-mail.',
+  'Este e-mail já tem acesso.': 'Este e-mail ya tiene acceso.',
+  'Erro ao compartilhar: ': 'Error al compartir: ',
+  'Acesso somente leitura concedido a {email}.': 'Acceso de solo lectura otorgado a {email}.',
+  'Remover o acesso de {email}?': '¿Quitar el acceso de {email}?',
+  'Erro ao revogar: ': 'Error al revocar: ',
+  'Acompanhe minhas glicemias': 'Seguí mis glucemias',
+  'Compartilhei meu registro de glicemias com você no Glicemia Control.\n\nEntre ou crie uma conta com este e-mail ({email}) em {url} e abra "Pacientes".': 'Compartí mi registro de glucemias con vos en Glicemia Control.\n\nIngresá o creá una cuenta con este e-mail ({email}) en {url} y abrí "Pacientes".',
+  'Compartilhar': 'Compartir',
+  'Quem você convidar poderá ver seus registros e estatísticas em tempo real, sem poder alterá-los.': 'Quien invites podrá ver tus registros y estadísticas en tiempo real, sin poder modificarlos.',
+  'E-mail do cuidador ou médico': 'E-mail del cuidador o médico',
+  'nome@exemplo.com': 'nombre@ejemplo.com',
+  'Convidar': 'Invitar',
+  'Avisar {email} por e-mail': 'Avisar a {email} por e-mail',
+  'Com acesso': 'Con acceso',
+  'Nenhum compartilhamento ativo.': 'Ningún acceso compartido activo.',
+  'Revogar': 'Revocar',
+  'A confirmação não confere com a nova senha.': 'La confirmación no coincide con la nueva contraseña.',
+  'Senha alterada com sucesso!': '¡Contraseña cambiada con éxito!',
+  'Excluir definitivamente a conta e TODOS os registros? Esta ação não pode ser desfeita.': '¿Eliminar definitivamente la cuenta y TODOS los registros? Esta acción no se puede deshacer.',
+  'Excluindo dados... {n} documento(s) removido(s).': 'Eliminando datos... {n} documento(s) eliminado(s).',
+  'Erro ao excluir os dados: ': 'Error al eliminar los datos: ',
+  'Minha Conta': 'Mi Cuenta',
+  'E-mail:': 'E-mail:',
+  'Confirmado': 'Confirmado',
+  'Seu e-mail ainda não foi confirmado. Abra o link que enviamos no cadastro ou peça um novo.': 'Tu e-mail todavía no fue confirmado. Abrí el enlace que enviamos en el registro o pedí uno nuevo.',
+  'Alterar senha': 'Cambiar contraseña',
+  'Senha atual': 'Contraseña actual',
+  'Nova senha (mínimo 6 caracteres)': 'Nueva contraseña (mínimo 6 caracteres)',
+  'Confirme a nova senha': 'Confirmá la nueva contraseña',
+  'Alterando...': 'Cambiando...',
+  'Alterar Senha': 'Cambiar Contraseña',
+  'Excluir conta': 'Eliminar cuenta',
+  'Remove a conta e todos os dados: registros de glicemia, doses, refeições, perfis dependentes, lembretes e compartilhamentos. Exporte um CSV antes, se quiser guardar uma cópia.': 'Elimina la cuenta y todos los datos: registros de glucemia, dosis, comidas, perfiles dependientes, recordatorios y accesos compartidos. Exportá un CSV antes si querés guardar una copia.',
+  'Digite sua senha para confirmar': 'Escribí tu contraseña para confirmar',
+  'Excluindo...': 'Eliminando...',
+  'Excluir Conta e Dados': 'Eliminar Cuenta y Datos',
+  'Erro ao carregar pacientes: ': 'Error al cargar los pacientes: ',
+  'Pacientes': 'Pacientes',
+  'Meu registro': 'Mi registro',
+  'Para ver os registros compartilhados com {email}, confirme antes que o e-mail é seu.': 'Para ver los registros compartidos con {email}, primero confirmá que el e-mail es tuyo.',
+  'Ninguém compartilhou registros com {email} ainda.': 'Nadie compartió registros con {email} todavía.',
+  'Paciente': 'Paciente',
+  'Nome do novo perfil (ex.: nome do filho):': 'Nombre del nuevo perfil (ej.: nombre del hijo):',
+  'Perfil ativo': 'Perfil activo',
+  'Meu perfil': 'Mi perfil',
+  '+ Novo perfil...': '+ Nuevo perfil...',
+  'Hipoglicemias repetidas na madrugada': 'Hipoglucemias repetidas en la madrugada',
+  '{n} leituras abaixo do limite entre 00:00 e 06:00, em {noites} noites diferentes, incluindo valores abaixo de {limite}. Converse com seu médico sobre a dose da insulina basal ou o lanche noturno.': '{n} lecturas por debajo del límite entre las 00:00 y las 06:00, en {noites} noches distintas, incluyendo valores por debajo de {limite}. Hablá con tu médico sobre la dosis de insulina basal o la colación nocturna.',
+  '{n} leituras abaixo do limite entre 00:00 e 06:00, em {noites} noites diferentes. Converse com seu médico sobre a dose da insulina basal ou o lanche noturno.': '{n} lecturas por debajo del límite entre las 00:00 y las 06:00, en {noites} noches distintas. Hablá con tu médico sobre la dosis de insulina basal o la colación nocturna.',
+  'Possível fenômeno do alvorecer': 'Posible fenómeno del alba',
+  'Em {n} de {total} dias a glicemia subiu em média {valor} entre a madrugada (02:00–05:00) e o jejum.': 'En {n} de {total} días la glucemia subió en promedio {valor} entre la madrugada (02:00–05:00) y el ayuno.',
+  'Glicemia de jejum frequentemente acima da meta': 'Glucemia en ayunas frecuentemente por encima de la meta',
+  '{n} de {total} leituras de jejum acima da meta. Medir às 03:00 em algumas noites ajuda a separar o fenômeno do alvorecer de outras causas.': '{n} de {total} lecturas en ayunas por encima de la meta. Medir a las 03:00 algunas noches ayuda a distinguir el fenómeno del alba de otras causas.',
+  'Picos frequentes após o almoço': 'Picos frecuentes después del almuerzo',
+  '{n} de {total} leituras pós-almoço acima do limite de hiperglicemia. Vale revisar a contagem de carboidratos ou o horário do bolus do almoço.': '{n} de {total} lecturas post-almuerzo por encima del límite de hiperglucemia. Conviene revisar el conteo de carbohidratos o el horario del bolo del almuerzo.',
+  'Média semanal em alta': 'Promedio semanal en alza',
+  'A média subiu de {de} para {para} ao longo de {n} semanas.': 'El promedio subió de {de} a {para} a lo largo de {n} semanas.',
+  '1 dia sem medições': '1 día sin mediciones',
+  '{n} dias sem medições': '{n} días sin mediciones',
+  'Dias do período sem nenhuma leitura registrada.': 'Días del período sin ninguna lectura registrada.',
+  'Padrões Encontrados': 'Patrones Encontrados',
+  'Nenhum padrão relevante nas leituras do período.': 'Ningún patrón relevante en las lecturas del período.',
+  'Ocultar': 'Ocultar',
+  'Ver {n} dia(s)': 'Ver {n} día(s)',
+  'Ver {n} leitura(s)': 'Ver {n} lectura(s)',
+  '{n} registro(s) enviado(s) para a sua conta.': '{n} registro(s) enviado(s) a tu cuenta.',
+  'Erro ao enviar: ': 'Error al enviar: ',
+  'Registros deste navegador': 'Registros de este navegador',
+  '{n} registro(s) do uso sem conta estão salvos apenas neste navegador. Envie-os para a sua conta para tê-los em qualquer aparelho.': '{n} registro(s) del uso sin cuenta están guardados solo en este navegador. Envialos a tu cuenta para tenerlos en cualquier dispositivo.',
+  'Enviar para a minha conta': 'Enviar a mi cuenta',
+  'Registro de {valor} salvo com sucesso!': '¡Registro de {valor} guardado con éxito!',
+  'Registro de {valor} salvo neste aparelho. Será sincronizado quando a conexão voltar.': 'Registro de {valor} guardado en este dispositivo. Se sincronizará cuando vuelva la conexión.',
+  'Erro ao atualizar: ': 'Error al actualizar: ',
+  'Registro atualizado com sucesso!': '¡Registro actualizado con éxito!',
+  'Excluir o registro de {valor} de {data} às {hora}?': '¿Eliminar el registro de {valor} del {data} a las {hora}?',
+  'Erro ao excluir: ': 'Error al eliminar: ',
+  'Registro excluído.': 'Registro eliminado.',
+  'Erro ao carregar histórico: ': 'Error al cargar el historial: ',
+  'Erro ao exportar: ': 'Error al exportar: ',
+  'Excluir a dose de {dose} de {insulina} de {data} às {hora}?': '¿Eliminar la dosis de {dose} de {insulina} del {data} a las {hora}?',
+  'Excluir a refeição de {carbs} g de {data} às {hora}?': '¿Eliminar la comida de {carbs} g del {data} a las {hora}?',
+  'Minha conta': 'Mi cuenta',
+  'Refeição e calculadora de bolus': 'Comida y calculadora de bolo',
+  'Relatório': 'Informe',
+  'Importar CSV': 'Importar CSV',
+  'Novo Registro': 'Nuevo Registro',
+  'Valor da Glicemia ({unit})': 'Valor de Glucemia ({unit})',
+  'Ex: {valor}': 'Ej.: {valor}',
+  'Contexto da medição': 'Contexto de la medición',
+  'Salvar Registro': 'Guardar Registro',
+  'Digitar vários registros de uma vez': 'Cargar varios registros a la vez',
+  'Histórico e Estatísticas': 'Historial y Estadísticas',
+  'Todos': 'Todos',
+  'Resumo do Período ({n} Registros)': 'Resumen del Período ({n} Registros)',
+  'Calculado sobre todas as {n} leituras de {contexto} de {inicio} a {fim}.': 'Calculado sobre todas las {n} lecturas de {contexto} del {inicio} al {fim}.',
+  'Calculado sobre todas as {n} leituras de {inicio} a {fim}.': 'Calculado sobre todas las {n} lecturas del {inicio} al {fim}.',
+  'Carregando estatísticas...': 'Cargando estadísticas...',
+  'Por contexto:': 'Por contexto:',
+  'Nenhum registro encontrado no período selecionado.': 'No se encontraron registros en el período seleccionado.',
+  'Tabela': 'Tabla',
+  'Diário': 'Diario',
+  'Gráficos': 'Gráficos',
+  'Ações': 'Acciones',
+  'Nenhum registro encontrado.': 'No se encontraron registros.',
+  'Refeição': 'Comida',
+  'Pendente de sincronização': 'Pendiente de sincronización',
+  'Excluir': 'Eliminar',
+  'Salvar alteração': 'Guardar cambio',
+  'Cancelar': 'Cancelar',
+  'Sincronizado': 'Sincronizado',
+  'Editar': 'Editar',
+  'Histórico de alterações': 'Historial de cambios',
+  'Nenhuma alteração registrada.': 'Ningún cambio registrado.',
+  'Mostrando {n} de {total} leituras do período.': 'Mostrando {n} de {total} lecturas del período.',
+  'Mostrar mais': 'Mostrar más',
+  'Ocultar registros excluídos': 'Ocultar registros eliminados',
+  'Registros excluídos': 'Registros eliminados',
+  'Nenhum registro excluído.': 'Ningún registro eliminado.',
+  'CSV do período': 'CSV del período',
+  'CSV completo': 'CSV completo',
+  'FHIR do período': 'FHIR del período',
+  '* A tabela, as estatísticas e os gráficos são atualizados automaticamente quando as leituras mudam.': '* La tabla, las estadísticas y los gráficos se actualizan automáticamente cuando cambian las lecturas.',
+  'Erro de Inicialização do Firebase:': 'Error de Inicialización de Firebase:',
+  'Verifique se todas as variáveis de ambiente (REACT_APP_...) estão configuradas corretamente no Render.': 'Verificá que todas las variables de entorno (REACT_APP_...) estén configuradas correctamente en Render.',
+  'Carregando aplicação...': 'Cargando aplicación...',
+  'Idioma': 'Idioma',
+  'Jejum': 'Ayunas',
+  'Antes da refeição': 'Antes de comer',
+  '2h após a refeição': '2 h después de comer',
+  'Antes de dormir': 'Antes de dormir',
+  'Madrugada': 'Madrugada',
+  'Hipoglicemia': 'Hipoglucemia',
+  'Abaixo da meta': 'Por debajo de la meta',
+  'Ótimo': 'Óptimo',
+  'Moderado': 'Moderado',
+  'Hiperglicemia': 'Hiperglucemia',
+  'Muito baixo': 'Muy bajo',
+  'Baixo': 'Bajo',
+  'No alvo': 'En rango',
+  'Alto': 'Alto',
+  'Muito alto': 'Muy alto',
+  'AAAA-MM-DD': 'AAAA-MM-DD',
+  'DD/MM/AAAA': 'DD/MM/AAAA',
+  'MM/DD/AAAA': 'MM/DD/AAAA',
+  'Desativado': 'Desactivado',
+  '1 minuto': '1 minuto',
+  '5 minutos': '5 minutos',
+  '15 minutos': '15 minutos',
+  '30 minutos': '30 minutos',
+  'Rápida (bolus)': 'Rápida (bolo)',
+  'Medir glicemia': 'Medir glucemia',
+  'Aplicar insulina': 'Aplicar insulina',
+  'Hipoglicemia abaixo de': 'Hipoglucemia por debajo de',
+  'Hiperglicemia acima de': 'Hiperglucemia por encima de',
+  'Meta mínima': 'Meta mínima',
+  'Meta máxima': 'Meta máxima',
+  'Atenção': 'Atención',
+  'Observar': 'Observar',
+  'Informação': 'Información',
+  'Café da manhã': 'Desayuno',
+  'Almoço': 'Almuerzo',
+  'Jantar': 'Cena',
+  'Antes': 'Antes',
+  'Depois': 'Después',
+  '1 colher de sopa de açúcar ou mel': '1 cucharada de azúcar o miel',
+  '150 ml de suco de fruta ou refrigerante comum (não diet)': '150 ml de jugo de fruta o gaseosa común (no diet)',
+  '3 a 4 balas de glicose ou balas comuns': '3 a 4 tabletas de glucosa o caramelos comunes',
+};
+
+export default translations;
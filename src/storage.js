@@ -0,0 +1,342 @@
+// Armazenamento dos registros. O GlicemiaTracker e as telas ligadas a ele usam apenas
+// esta interface, que tem duas implementações:
+//   createFirestoreStorage(db)    Firestore: conta na nuvem, com cache offline
+//   createIndexedDbStorage()      IndexedDB: dados só neste navegador, sem conta
+//
+// Os caminhos seguem o formato do Firestore: coleção "a/b/c", documento "a/b/c/id".
+// Cada documento lido chega como { id, path, data, pending }.
+//
+//   type                                    'firebase' | 'local'
+//   newDocPath(collectionPath)              caminho de um documento novo (id gerado)
+//   set(path, data, { mergeFields })        sem mergeFields, substitui o documento inteiro
+//   update(path, changes)
+//   remove(path)
+//   commit(operations)                      lote atômico de { type: 'set' | 'update' | 'delete', path, data, mergeFields }
+//   list(collectionPath, range)             range: { field, from, to, order, limit, equals, startAfter, endAt }
+//   watch(collectionPath, range, onNext, onError)   devolve a função que encerra a escuta
+//   watchDoc(path, onNext, onError)         onNext recebe os dados ou undefined
+//   now()                                   hora do servidor (Firestore) ou do aparelho
+//   deletedField()                          marca um campo a remover em update
+//
+// "range.field" é 'timestamp' por padrão; "from" e "to" são objetos Date.
+// "range.equals" ({ field, value }) filtra por igualdade em outro campo; combinado com
+// "order" exigiria um índice composto no Firestore, então quem usa ordena em memória.
+// "range.startAfter" e "range.endAt" são cursores de paginação ({ value: Date, id }):
+// a lista começa depois do documento indicado ou termina nele, inclusive. Exigem
+// "order"; documentos com o mesmo valor no campo são desempatados pelo id.
+import {
+  collection,
+  deleteDoc,
+  deleteField,
+  doc,
+  documentId,
+  endAt,
+  getDocs,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  setDoc,
+  startAfter,
+  Timestamp,
+  updateDoc,
+  where,
+  writeBatch,
+} from 'firebase/firestore';
+
+// =========================================================================
+// Firestore
+// =========================================================================
+
+export const createFirestoreStorage = (db) => {
+  const buildQuery = (collectionPath, range = {}) => {
+    const field = range.field || 'timestamp';
+    const constraints = [];
+    if (range.equals) constraints.push(where(range.equals.field, '==', range.equals.value));
+    if (range.from) constraints.push(where(field, '>=', Timestamp.fromDate(range.from)));
+    if (range.to) constraints.push(where(field, '<=', Timestamp.fromDate(range.to)));
+    if (range.order) constraints.push(orderBy(field, range.order));
+    // Desempate pelo id: com limite ou cursores, as páginas não repetem nem pulam documentos
+    if (range.order && (range.limit || range.startAfter || range.endAt)) constraints.push(orderBy(documentId(), range.order));
+    if (range.startAfter) constraints.push(startAfter(Timestamp.fromDate(range.startAfter.value), range.startAfter.id));
+    if (range.endAt) constraints.push(endAt(Timestamp.fromDate(range.endAt.value), range.endAt.id));
+    if (range.limit) constraints.push(limit(range.limit));
+    return query(collection(db, collectionPath), ...constraints);
+  };
+
+  // Gravações ainda não confirmadas pelo servidor usam a hora estimada localmente
+  const toItem = (snapshot) => ({
+    id: snapshot.id,
+    path: snapshot.ref.path,
+    data: snapshot.data({ serverTimestamps: 'estimate' }),
+    pending: snapshot.metadata.hasPendingWrites,
+  });
+
+  return {
+    type: 'firebase',
+    newDocPath: (collectionPath) => doc(collection(db, collectionPath)).path,
+    set: (path, data, options = {}) => setDoc(doc(db, path), data, options.mergeFields ? { mergeFields: options.mergeFields } : {}),
+    update: (path, changes) => updateDoc(doc(db, path), changes),
+    remove: (path) => deleteDoc(doc(db, path)),
+    commit: (operations) => {
+      const batch = writeBatch(db);
+      operations.forEach(({ type, path, data, mergeFields }) => {
+        if (type === 'delete') batch.delete(doc(db, path));
+        else if (type === 'update') batch.update(doc(db, path), data);
+        else batch.set(doc(db, path), data, mergeFields ? { mergeFields } : {});
+      });
+      return batch.commit();
+    },
+    list: (collectionPath, range) => getDocs(buildQuery(collectionPath, range)).then(snapshot => snapshot.docs.map(toItem)),
+    // includeMetadataChanges: a escuta também dispara quando uma gravação
+    // pendente (feita offline) é confirmada pelo servidor
+    watch: (collectionPath, range, onNext, onError) => onSnapshot(
+      buildQuery(collectionPath, range),
+      { includeMetadataChanges: true },
+      snapshot => onNext(snapshot.docs.map(toItem)),
+      onError
+    ),
+    watchDoc: (path, onNext, onError) => onSnapshot(doc(db, path), snapshot => onNext(snapshot.data()), onError),
+    now: () => serverTimestamp(),
+    deletedField: () => deleteField(),
+  };
+};
+
+// =========================================================================
+// IndexedDB (modo local)
+// Um único object store guarda todos os documentos, com o caminho como chave.
+// O índice [coleção, tempo] atende às consultas por intervalo de "timestamp";
+// consultas por outro campo (ex.: histórico de alterações) filtram em memória.
+// =========================================================================
+
+const LOCAL_DB_NAME = 'glicemia_control_local';
+const LOCAL_DB_VERSION = 1;
+const LOCAL_STORE = 'documentos';
+const LOCAL_CHANNEL = 'glicemia_control_local';
+
+const DELETED_FIELD = { deleted: true };
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Id no mesmo formato dos gerados pelo Firestore (20 caracteres)
+const createId = () => Array.from(crypto.getRandomValues(new Uint8Array(20)), n => AUTO_ID_CHARS[n % AUTO_ID_CHARS.length]).join('');
+
+const getParentPath = (path) => path.slice(0, path.lastIndexOf('/'));
+const getDocId = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+// O IndexedDB não preserva a classe Timestamp: ela é gravada como { timestampMs }
+// e reconstruída na leitura, em qualquer nível do documento.
+const encodeValue = (value) => {
+  if (value instanceof Timestamp) return { timestampMs: value.toMillis() };
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, encodeValue(v)]));
+  }
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (value && typeof value === 'object') {
+    if (typeof value.timestampMs === 'number') return Timestamp.fromMillis(value.timestampMs);
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, decodeValue(v)]));
+  }
+  return value;
+};
+
+const toMillis = (value) => (value instanceof Timestamp ? value.toMillis() : -Infinity);
+
+// Linha do object store: os dados codificados e as chaves dos índices
+const toRow = (path, data) => ({
+  path,
+  colecao: getParentPath(path),
+  tempo: toMillis(data.timestamp),
+  dados: encodeValue(data),
+});
+
+const fromRow = (row) => ({ id: getDocId(row.path), path: row.path, data: decodeValue(row.dados), pending: false });
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openLocalDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(LOCAL_DB_NAME, LOCAL_DB_VERSION);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(LOCAL_STORE, { keyPath: 'path' });
+    store.createIndex('colecao', 'colecao');
+    store.createIndex('colecao_tempo', ['colecao', 'tempo']);
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Aplica os campos de "changes" sobre "current"; DELETED_FIELD remove o campo
+const applyChanges = (current, changes) => {
+  const result = { ...current };
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === DELETED_FIELD) delete result[key];
+    else result[key] = value;
+  });
+  return result;
+};
+
+const filterAndSort = (items, range) => {
+  const field = range.field || 'timestamp';
+  const from = range.from ? range.from.getTime() : -Infinity;
+  const to = range.to ? range.to.getTime() : Infinity;
+  const hasConstraints = Boolean(range.from || range.to || range.order);
+  let result = items.filter(item => {
+    if (range.equals && item.data[range.equals.field] !== range.equals.value) return false;
+    const value = toMillis(item.data[field]);
+    // Como no Firestore, documentos sem o campo ficam fora de consultas por intervalo ou ordem
+    if (value === -Infinity) return !hasConstraints;
+    return value >= from && value <= to;
+  });
+  if (range.order) {
+    const direction = range.order === 'desc' ? -1 : 1;
+    // Posição na ordem da consulta: pelo campo e, no empate, pelo id
+    const compare = (a, b) => direction * (a.value - b.value || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    const position = (item) => ({ value: toMillis(item.data[field]), id: item.id });
+    const cursor = (c) => ({ value: c.value.getTime(), id: c.id });
+    result = result.sort((a, b) => compare(position(a), position(b)));
+    if (range.startAfter) result = result.filter(item => compare(position(item), cursor(range.startAfter)) > 0);
+    if (range.endAt) result = result.filter(item => compare(position(item), cursor(range.endAt)) <= 0);
+  }
+  return range.limit ? result.slice(0, range.limit) : result;
+};
+
+export const createIndexedDbStorage = () => {
+  let databasePromise = null;
+  const getDatabase = () => {
+    databasePromise = databasePromise || openLocalDatabase();
+    return databasePromise;
+  };
+
+  // Escutas ativas, avisadas depois de cada gravação na coleção (ou no documento)
+  const listeners = new Set();
+  // Outras abas do mesmo navegador também são avisadas
+  const channel = 'BroadcastChannel' in window ? new BroadcastChannel(LOCAL_CHANNEL) : null;
+
+  const notify = (paths, broadcast = true) => {
+    const collections = new Set(paths.map(getParentPath));
+    listeners.forEach(listener => {
+      if (paths.includes(listener.path) || collections.has(listener.path)) listener.refresh();
+    });
+    if (broadcast && channel) channel.postMessage(paths);
+  };
+  if (channel) channel.onmessage = (event) => notify(event.data, false);
+
+  const readCollection = async (collectionPath, range = {}) => {
+    const database = await getDatabase();
+    const store = database.transaction(LOCAL_STORE).objectStore(LOCAL_STORE);
+    const rows = (range.field || 'timestamp') === 'timestamp'
+      ? await requestToPromise(store.index('colecao_tempo').getAll(IDBKeyRange.bound(
+        [collectionPath, range.from ? range.from.getTime() : -Infinity],
+        [collectionPath, range.to ? range.to.getTime() : Infinity]
+      )))
+      : await requestToPromise(store.index('colecao').getAll(collectionPath));
+    return filterAndSort(rows.map(fromRow), range);
+  };
+
+  const readDoc = async (path) => {
+    const database = await getDatabase();
+    const row = await requestToPromise(database.transaction(LOCAL_STORE).objectStore(LOCAL_STORE).get(path));
+    return row ? fromRow(row).data : undefined;
+  };
+
+  // Todas as operações em uma única transação: ou todas são gravadas, ou nenhuma
+  const commit = async (operations) => {
+    const database = await getDatabase();
+    const transaction = database.transaction(LOCAL_STORE, 'readwrite');
+    const store = transaction.objectStore(LOCAL_STORE);
+    let failure = null;
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onabort = () => reject(failure || transaction.error);
+    });
+
+    operations.forEach(({ type, path, data, mergeFields }) => {
+      if (type === 'delete') {
+        store.delete(path);
+        return;
+      }
+      if (type === 'set' && !mergeFields) {
+        store.put(toRow(path, applyChanges({}, data)));
+        return;
+      }
+      // update e set com mergeFields partem do documento atual
+      const request = store.get(path);
+      request.onsuccess = () => {
+        if (type === 'update' && !request.result) {
+          failure = new Error(`Documento não encontrado: ${path}`);
+          transaction.abort();
+          return;
+        }
+        const current = request.result ? fromRow(request.result).data : {};
+        const changes = mergeFields
+          ? Object.fromEntries(mergeFields.map(field => [field, field in data ? data[field] : DELETED_FIELD]))
+          : data;
+        store.put(toRow(path, applyChanges(current, changes)));
+      };
+    });
+
+    await done;
+    notify(operations.map(op => op.path));
+  };
+
+  return {
+    type: 'local',
+    newDocPath: (collectionPath) => `${collectionPath}/${createId()}`,
+    set: (path, data, options = {}) => commit([{ type: 'set', path, data, mergeFields: options.mergeFields }]),
+    update: (path, changes) => commit([{ type: 'update', path, data: changes }]),
+    remove: (path) => commit([{ type: 'delete', path }]),
+    commit,
+    list: readCollection,
+    watch: (collectionPath, range, onNext, onError) => {
+      let active = true;
+      const listener = {
+        path: collectionPath,
+        refresh: () => readCollection(collectionPath, range)
+          .then(items => { if (active) onNext(items); })
+          .catch(error => { if (active && onError) onError(error); }),
+      };
+      listeners.add(listener);
+      listener.refresh();
+      return () => {
+        active = false;
+        listeners.delete(listener);
+      };
+    },
+    watchDoc: (path, onNext, onError) => {
+      let active = true;
+      const listener = {
+        path,
+        refresh: () => readDoc(path)
+          .then(data => { if (active) onNext(data); })
+          .catch(error => { if (active && onError) onError(error); }),
+      };
+      listeners.add(listener);
+      listener.refresh();
+      return () => {
+        active = false;
+        listeners.delete(listener);
+      };
+    },
+    now: () => Timestamp.now(),
+    deletedField: () => DELETED_FIELD,
+
+    // Exclusivos do modo local: usados para enviar o histórico a uma conta
+    listAll: async () => {
+      const database = await getDatabase();
+      const rows = await requestToPromise(database.transaction(LOCAL_STORE).objectStore(LOCAL_STORE).getAll());
+      return rows.map(fromRow);
+    },
+    clear: async () => {
+      const all = await getDatabase()
+        .then(database => requestToPromise(database.transaction(LOCAL_STORE).objectStore(LOCAL_STORE).getAllKeys()));
+      await commit(all.map(path => ({ type: 'delete', path })));
+    },
+  };
+};